@@ -0,0 +1,265 @@
+// src/backup/backupService.js
+"use strict";
+
+const fs = require("fs/promises");
+const path = require("path");
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// SQLite (and FileStorage's ".journal") keep these next to a database file;
+// left over beside a file that gets replaced they would be applied to the
+// wrong data
+const SIDECAR_SUFFIXES = ["-wal", "-shm", "-journal", ".journal"];
+
+const REAL_CLOCK = {
+  now: () => Date.now(),
+  setTimeout: (fn, ms) => setTimeout(fn, ms),
+  clearTimeout: (handle) => clearTimeout(handle),
+};
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Keeps snapshots of the storage's file in `backupDir`, rotated like the
+ * log files (see rotateIfNeeded in logger/logg.js): <file>.1 is the newest
+ * snapshot, <file>.2 the one before, and so on up to maxBackups.
+ *
+ * start() takes a snapshot when the newest one is older than the interval,
+ * then one every interval while the app runs.
+ *
+ * restore() copies a snapshot next to the live file and opens the copy with
+ * openStorage() to check it (migrations, integrity check, reading every
+ * todo). Only then is the current data snapshotted and the copy swapped in
+ * through database.reopen().
+ */
+class BackupService {
+  /**
+   * options:
+   *  - database: Database whose storage implements backup() and
+   *    checkIntegrity()
+   *  - sourcePath: the storage's file
+   *  - backupDir: directory for the snapshots
+   *  - maxBackups: snapshots kept (default 7)
+   *  - intervalMs: time between snapshots (default 24 hours)
+   *  - openStorage: (filePath) => storage; opens a snapshot to check it
+   *  - clock: { now, setTimeout, clearTimeout } (default the real ones)
+   *  - fsModule: optional injection for fs/promises (for testing)
+   *  - onError: called with errors of timer-driven snapshots
+   *    (default console.error)
+   */
+  constructor(options = {}) {
+    const {
+      database,
+      sourcePath,
+      backupDir,
+      maxBackups = 7,
+      intervalMs = 24 * HOUR_MS,
+      openStorage,
+      clock = REAL_CLOCK,
+      fsModule = fs,
+      onError = (err) => console.error(err),
+    } = options;
+    if (!database) throw new Error("database is required");
+    if (!sourcePath) throw new Error("sourcePath is required");
+    if (!backupDir) throw new Error("backupDir is required");
+    if (typeof openStorage !== "function") {
+      throw new Error("openStorage is required");
+    }
+    if (!Number.isInteger(maxBackups) || maxBackups < 1) {
+      throw new Error("maxBackups must be a positive integer");
+    }
+
+    this.database = database;
+    this.sourcePath = sourcePath;
+    this.backupDir = backupDir;
+    this.maxBackups = maxBackups;
+    this.intervalMs = intervalMs;
+    this.openStorage = openStorage;
+    this.clock = clock;
+    this.fs = fsModule;
+    this.onError = onError;
+
+    this.baseName = path.basename(sourcePath);
+    this._timer = null;
+    this._running = Promise.resolve();
+    this._stopped = true;
+  }
+
+  async start() {
+    this._stopped = false;
+    const [newest] = await this.listBackups();
+    const age = newest
+      ? this.clock.now() - Date.parse(newest.createdAt)
+      : Infinity;
+    if (age < this.intervalMs) {
+      this._schedule(this.intervalMs - age);
+      return;
+    }
+    try {
+      await this.backupNow();
+    } finally {
+      this._schedule(this.intervalMs);
+    }
+  }
+
+  stop() {
+    this._stopped = true;
+    if (this._timer) this.clock.clearTimeout(this._timer);
+    this._timer = null;
+  }
+
+  /**
+   * Snapshots, newest first: { name, index, createdAt, size }.
+   */
+  async listBackups() {
+    let names;
+    try {
+      names = await this.fs.readdir(this.backupDir);
+    } catch (err) {
+      if (err.code === "ENOENT") return [];
+      throw err;
+    }
+    const pattern = new RegExp(`^${escapeRegExp(this.baseName)}\\.(\\d+)$`);
+    const backups = [];
+    for (const name of names) {
+      const match = pattern.exec(name);
+      if (!match) continue;
+      const stats = await this.fs.stat(path.join(this.backupDir, name));
+      backups.push({
+        name,
+        index: Number(match[1]),
+        createdAt: stats.mtime.toISOString(),
+        size: stats.size,
+      });
+    }
+    return backups.sort((a, b) => a.index - b.index);
+  }
+
+  /**
+   * Takes a snapshot now. Resolves to its path (<backupDir>/<file>.1).
+   */
+  backupNow() {
+    return this._serialize(() => this._snapshot());
+  }
+
+  /**
+   * Replaces the current data with the snapshot `name` (as listed by
+   * listBackups()) after checking it; the data it replaces is snapshotted
+   * first. Resolves to { name, count, savedAs } where count is the number
+   * of todos restored and savedAs the snapshot of the replaced data.
+   */
+  restore(name) {
+    return this._serialize(() => this._restore(name));
+  }
+
+  // one snapshot or restore at a time
+  _serialize(task) {
+    const run = this._running.then(task);
+    this._running = run.catch(() => {});
+    return run;
+  }
+
+  _schedule(delay) {
+    if (this._stopped) return;
+    this._timer = this.clock.setTimeout(() => {
+      this._timer = null;
+      this.backupNow()
+        .catch((err) => this.onError(err))
+        .then(() => this._schedule(this.intervalMs));
+    }, delay);
+  }
+
+  _pathOf(index) {
+    return path.join(this.backupDir, `${this.baseName}.${index}`);
+  }
+
+  async _exists(filePath) {
+    try {
+      await this.fs.stat(filePath);
+      return true;
+    } catch (err) {
+      if (err.code === "ENOENT") return false;
+      throw err;
+    }
+  }
+
+  async _removeSidecars(filePath) {
+    for (const suffix of SIDECAR_SUFFIXES) {
+      await this.fs.rm(`${filePath}${suffix}`, { force: true });
+    }
+  }
+
+  async _remove(filePath) {
+    await this.fs.rm(filePath, { force: true });
+    await this._removeSidecars(filePath);
+  }
+
+  async _snapshot() {
+    await this.fs.mkdir(this.backupDir, { recursive: true });
+    const tmpPath = path.join(
+      this.backupDir,
+      `${this.baseName}.tmp-${this.clock.now()}`
+    );
+    try {
+      await this.database.backup(tmpPath);
+    } catch (err) {
+      await this._remove(tmpPath);
+      throw err;
+    }
+
+    // <file>.1 -> <file>.2 -> ... the way log files rotate; snapshots past
+    // maxBackups (left from a larger setting) go away
+    for (const { index } of await this.listBackups()) {
+      if (index > this.maxBackups) await this.fs.rm(this._pathOf(index));
+    }
+    for (let i = this.maxBackups - 1; i >= 1; i -= 1) {
+      if (await this._exists(this._pathOf(i))) {
+        await this.fs.rename(this._pathOf(i), this._pathOf(i + 1));
+      }
+    }
+    await this.fs.rename(tmpPath, this._pathOf(1));
+    return this._pathOf(1);
+  }
+
+  // opens a copy of a snapshot and resolves to its number of todos
+  async _check(filePath) {
+    const storage = this.openStorage(filePath);
+    try {
+      await storage.init();
+      const problems = await storage.checkIntegrity();
+      if (problems.length > 0) throw new Error(problems.join("; "));
+      return (await storage.getAllTodos()).length;
+    } finally {
+      await storage.close();
+    }
+  }
+
+  async _restore(name) {
+    const backup = (await this.listBackups()).find((b) => b.name === name);
+    if (!backup) throw new Error(`No backup named ${name}`);
+
+    // staged next to the live file so the final rename stays on one disk
+    const stagingPath = `${this.sourcePath}.restore`;
+    await this._remove(stagingPath);
+    await this.fs.copyFile(path.join(this.backupDir, name), stagingPath);
+    let count;
+    try {
+      count = await this._check(stagingPath);
+    } catch (err) {
+      await this._remove(stagingPath);
+      throw new Error(`${name} is not a usable backup: ${err.message}`);
+    }
+
+    const savedAs = await this._snapshot();
+    await this.database.reopen(async () => {
+      await this._removeSidecars(this.sourcePath);
+      await this.fs.rename(stagingPath, this.sourcePath);
+    });
+    await this._removeSidecars(stagingPath);
+    return { name, count, savedAs };
+  }
+}
+
+module.exports = { BackupService };
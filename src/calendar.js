@@ -0,0 +1,161 @@
+// calendar.js
+// Calendar strip at the top of the main page. Shows a week or a month of
+// days with pending/completed counts; clicking a day selects it (clicking
+// it again clears the selection). Uses the helpers from dates.js.
+
+function createCalendar({ loadCounts, onSelect }) {
+  const state = {
+    mode: localStorage.getItem("calendar-mode") === "month" ? "month" : "week",
+    anchor: new Date(),
+    selected: null,
+  };
+  let lastCounts = new Map();
+
+  const titleEl = document.getElementById("calendar-title");
+  const daysEl = document.getElementById("calendar-days");
+  const modeButtons = document.querySelectorAll(".calendar-modes [data-mode]");
+
+  document.getElementById("calendar-prev").addEventListener("click", () => {
+    move(-1);
+  });
+  document.getElementById("calendar-next").addEventListener("click", () => {
+    move(1);
+  });
+  document.getElementById("calendar-today").addEventListener("click", () => {
+    state.anchor = new Date();
+    refresh();
+  });
+  modeButtons.forEach((button) => {
+    button.addEventListener("click", () => {
+      state.mode = button.dataset.mode;
+      localStorage.setItem("calendar-mode", state.mode);
+      refresh();
+    });
+  });
+
+  function move(direction) {
+    const a = state.anchor;
+    state.anchor =
+      state.mode === "month"
+        ? new Date(a.getFullYear(), a.getMonth() + direction, 1)
+        : addDays(a, 7 * direction);
+    refresh();
+  }
+
+  function visibleDays() {
+    return state.mode === "month"
+      ? monthDays(state.anchor)
+      : weekDays(state.anchor);
+  }
+
+  function title(days) {
+    if (state.mode === "month") {
+      return state.anchor.toLocaleDateString(undefined, {
+        month: "long",
+        year: "numeric",
+      });
+    }
+    const first = formatDueDate(days[0], { month: "short", day: "numeric" });
+    const last = formatDueDate(days[days.length - 1], {
+      month: "short",
+      day: "numeric",
+      year: "numeric",
+    });
+    return `${first} – ${last}`;
+  }
+
+  function select(day) {
+    state.selected = state.selected === day ? null : day;
+    render(lastCounts);
+    onSelect(state.selected);
+  }
+
+  function render(counts) {
+    const days = visibleDays();
+    const today = localDateString();
+    const month = state.anchor.getMonth();
+
+    titleEl.textContent = title(days);
+    modeButtons.forEach((b) => {
+      b.setAttribute("aria-pressed", String(b.dataset.mode === state.mode));
+    });
+    daysEl.className = `calendar-days calendar-${state.mode}`;
+    daysEl.innerHTML = "";
+
+    days.forEach((day) => {
+      const date = parseLocalDate(day);
+      const count = counts.get(day);
+
+      const cell = document.createElement("button");
+      cell.type = "button";
+      cell.className = "calendar-day";
+      cell.classList.toggle("is-today", day === today);
+      cell.classList.toggle("is-selected", day === state.selected);
+      cell.classList.toggle(
+        "is-outside",
+        state.mode === "month" && date.getMonth() !== month
+      );
+      cell.title = formatDueDate(day, { dateStyle: "full" });
+      cell.addEventListener("click", () => select(day));
+
+      const weekday = document.createElement("span");
+      weekday.className = "calendar-weekday";
+      weekday.textContent = date.toLocaleDateString(undefined, {
+        weekday: "short",
+      });
+      const number = document.createElement("span");
+      number.className = "calendar-date";
+      number.textContent = String(date.getDate());
+      cell.appendChild(weekday);
+      cell.appendChild(number);
+
+      const counters = document.createElement("span");
+      counters.className = "calendar-counts";
+      if (count && count.pending > 0) {
+        const pending = document.createElement("span");
+        pending.className = "calendar-count pending";
+        pending.textContent = String(count.pending);
+        pending.title = `${count.pending} pending`;
+        counters.appendChild(pending);
+      }
+      if (count && count.completed > 0) {
+        const completed = document.createElement("span");
+        completed.className = "calendar-count completed";
+        completed.textContent = String(count.completed);
+        completed.title = `${count.completed} completed`;
+        counters.appendChild(completed);
+      }
+      cell.appendChild(counters);
+
+      daysEl.appendChild(cell);
+    });
+  }
+
+  async function refresh() {
+    const days = visibleDays();
+    try {
+      const counts = await loadCounts({
+        from: days[0],
+        to: days[days.length - 1],
+      });
+      lastCounts = new Map(counts.map((c) => [c.date, c]));
+    } catch (error) {
+      console.error("Error loading calendar counts:", error);
+      lastCounts = new Map();
+    }
+    render(lastCounts);
+  }
+
+  return {
+    refresh,
+    get selected() {
+      return state.selected;
+    },
+    clearSelection() {
+      if (state.selected === null) return;
+      state.selected = null;
+      render(lastCounts);
+      onSelect(null);
+    },
+  };
+}
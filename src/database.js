@@ -1,20 +1,128 @@
 // src/database.js
 "use strict";
 
-class Database {
+const EventEmitter = require("events");
+const { nextOccurrence } = require("./storage/recurrence.js");
+const { patchBeforeRevision } = require("./storage/todoRevisions.js");
+const CommandHistory = require("./history/commandHistory.js");
+const { CannotUndoError } = require("./history/cannotUndoError.js");
+const { INBOX_LIST_ID } = require("./storage/todoFields.js");
+const { validateTodo } = require("./validation.js");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// a reminder moves with the due date, keeping its local time of day
+function shiftReminder(remindAt, fromDay, toDay) {
+  if (!remindAt || !fromDay) return null;
+  const days = Math.round((Date.parse(toDay) - Date.parse(fromDay)) / DAY_MS);
+  const shifted = new Date(remindAt);
+  shifted.setDate(shifted.getDate() + days);
+  return shifted.toISOString();
+}
+
+// puts a todo back the way `todo` shows it (the todo itself is a valid
+// patch); tags deleted since are left out and a deleted list falls back to
+// the Inbox
+async function restoreTodo(storage, todo) {
+  const tags = await storage.getAllTags();
+  const lists = await storage.getAllLists();
+  const restored = await storage.updateTodo(todo.id, {
+    ...todo,
+    tags: todo.tags.filter((tag) => tags.some((t) => t.id === tag.id)),
+    listId: lists.some((l) => l.id === todo.listId)
+      ? todo.listId
+      : INBOX_LIST_ID,
+  });
+  if (!restored) {
+    throw new CannotUndoError(`"${todo.title}" was deleted in the meantime`);
+  }
+  return restored;
+}
+
+class Database extends EventEmitter {
   /**
-   * storage must implement the storage interface:
+   * storage must implement the storage interface (InMemoryStorage,
+   * FileStorage and SqliteFileStorage do; test/test-storage-contract.js
+   * runs the same cases against all three):
    *  - init(): Promise<void> (optional)
    *  - close(): Promise<void> (optional)
    *  - getAllTodos({ limit, offset } = {}): Promise<Todo[]>
+   *  - queryTodos({ where, sort, limit, offset }): Promise<Todo[]>
+   *    (contract in storage/todoQuery.js)
+   *  - searchTodos(text, { limit }): Promise<SearchResult[]>
+   *    (contract in storage/todoSearch.js)
+   *  - getTodosByDueDate({ from, to, includeOverdue, includeUndated }):
+   *    Promise<Todo[]>
+   *  - getDayCounts({ from, to }): Promise<{ date, pending, completed }[]>
+   *  - getTodosOnDay(date): Promise<Todo[]>
    *  - getTodoById(id): Promise<Todo | null>
+   *    (these queries and the tag/list counts leave out trashed todos)
    *  - addTodo(todoData): Promise<Todo>
-   *  - updateTodo(id, patch): Promise<Todo | null>
-   *  - deleteTodo(id): Promise<boolean>
+   *  - updateTodo(id, patch, { expectedVersion }): Promise<Todo | null>
+   *    (records a revision when something changed)
+   *  - getRevisions(todoId): Promise<Revision[]> (newest first, see
+   *    storage/todoRevisions.js)
+   *  - deleteTodo(id, { expectedVersion }): Promise<boolean> (moves the todo
+   *    to the trash)
+   *    (every write to a todo bumps its `version`; a given expectedVersion
+   *    that is not the current one throws a ConflictError, see
+   *    storage/conflictError.js)
+   *  - getTrashedTodos(): Promise<Todo[]> (most recently deleted first;
+   *    trashed todos carry deletedAt)
+   *  - restoreTodo(id): Promise<Todo | null>
+   *  - purgeTodo(id): Promise<boolean> (deletes a trashed todo for good)
+   *  - purgeTrash({ before }): Promise<number> (deletes the todos trashed
+   *    before an ISO timestamp for good, all of them without `before`)
+   *  - importTodos(todos, { updates }): Promise<number> (inserts complete
+   *    todos, keeping ids and timestamps; existing ids are skipped. The
+   *    [{ id, patch }] updates are applied in the same write, skipping
+   *    todos that are gone)
+   *  - getAllTags(): Promise<{ id, name, createdAt, count }[]>
+   *  - createTag(name): Promise<Tag>
+   *  - renameTag(id, name): Promise<Tag | null>
+   *  - deleteTag(id): Promise<boolean> (removes the tag from every todo)
+   *  - getAllLists(): Promise<{ id, name, createdAt, count, pending }[]>
+   *    (the Inbox first)
+   *  - createList(name): Promise<List>
+   *  - renameList(id, name): Promise<List | null>
+   *  - deleteList(id, { todos: 'move' | 'delete', moveTo }): Promise<boolean>
+   *    ('delete' moves the todos to the trash)
+   *  - backup(destPath): Promise<void> (optional; consistent copy of the
+   *    storage's file)
+   *  - checkIntegrity(): Promise<string[]> (optional; problems with the
+   *    stored data, [] when it is sound)
+   *
+   * addTodo and updateTodo check their input with validation.js first and
+   * throw a ValidationError listing every bad field.
+   *
+   * Every addTodo/updateTodo/deleteTodo/restoreTodo/importTodos/importBatch
+   * is recorded in `history` so it can be taken back with undo() and
+   * re-applied with redo(). Undo and redo talk to the storage directly and
+   * are not recorded themselves. One that can no longer be applied (its todo
+   * was deleted for good) throws a CannotUndoError
+   * (history/cannotUndoError.js) and leaves the history.
+   * purgeTodo and deleteList cannot be taken back: they are recorded as a
+   * stop whose undo() throws a CannotUndoError, so the change before them is
+   * not undone in their place. purgeTrash, which also runs on a timer, is
+   * not recorded.
+   *
+   * Every change to a todo outside the trash, undo and redo included, is
+   * announced with a "change" event carrying { type, todo }:
+   *  - 'added': a new todo, or one back from the trash
+   *  - 'updated': the todo as it is now
+   *  - 'deleted': the todo as it was before it went to the trash (or away)
+   *  - 'reset' (todo null): reopen() swapped the data; read everything again
+   * Purging trashed todos is not announced.
+   *
+   * options:
+   *  - historyLimit: number of changes that can be undone (default 100)
    */
-  constructor(storage) {
+  constructor(storage, options = {}) {
     if (!storage) throw new Error("storage implementation required");
+    super();
+    const { historyLimit = 100 } = options;
     this.storage = storage;
+    this.history = new CommandHistory({ limit: historyLimit });
   }
 
   async init() {
@@ -29,10 +137,54 @@ class Database {
     }
   }
 
+  /**
+   * Closes the storage, runs `swap` (which may replace the storage's files)
+   * and opens the storage again, even when `swap` fails. The undo history
+   * is dropped: it describes data that may be gone.
+   */
+  async reopen(swap) {
+    await this.close();
+    try {
+      await swap();
+    } finally {
+      await this.init();
+      this.history.clear();
+      this.emit("change", { type: "reset", todo: null });
+    }
+  }
+
+  async backup(destPath) {
+    return this.storage.backup(destPath);
+  }
+
+  async checkIntegrity() {
+    return this.storage.checkIntegrity();
+  }
+
   async getAllTodos(opts = {}) {
     return this.storage.getAllTodos(opts);
   }
 
+  async queryTodos(query) {
+    return this.storage.queryTodos(query);
+  }
+
+  async searchTodos(text, opts = {}) {
+    return this.storage.searchTodos(text, opts);
+  }
+
+  async getTodosByDueDate(range) {
+    return this.storage.getTodosByDueDate(range);
+  }
+
+  async getDayCounts(range) {
+    return this.storage.getDayCounts(range);
+  }
+
+  async getTodosOnDay(date) {
+    return this.storage.getTodosOnDay(date);
+  }
+
   async getTodoById(id) {
     return this.storage.getTodoById(id);
   }
@@ -44,20 +196,352 @@ class Database {
    * @property {string} title
    * @property {string} description
    * @property {boolean} done
+   * @property {"low"|"medium"|"high"} [priority] defaults to "medium"
+   * @property {string|null} [dueDate] calendar day, "YYYY-MM-DD"
+   * @property {{ id?: string, title: string, done?: boolean }[]} [items]
+   *   checklist in display order; passing items to updateTodo replaces the
+   *   whole checklist (items keep their id when it is sent back)
+   * @property {string} [listId] defaults to the Inbox ("inbox")
+   * @property {Object|null} [recurrence] repeat rule, see
+   *   storage/recurrence.js
+   * @property {string[]} [tags] tag ids; todos come back with
+   *   tags: { id, name }[] ordered by name, and those objects are accepted too
    * @property {string} createdAt
    * @property {string} updatedAt
    * @returns
    */
   async addTodo(todoData) {
-    return this.storage.addTodo(todoData);
+    const todo = await this.storage.addTodo(validateTodo(todoData));
+    this.history.record({
+      label: `Add "${todo.title}"`,
+      undo: () => this._erase(todo),
+      redo: () => this._reinsert(todo),
+    });
+    this._changed("added", todo);
+    return todo;
+  }
+
+  /**
+   * Completing a repeating todo creates its next occurrence (same fields,
+   * checklist unticked, next due date) which takes over the rule; the
+   * completed todo keeps its history but stops repeating.
+   *
+   * options:
+   *  - expectedVersion: reject the write with a ConflictError when the
+   *    todo is no longer at this version
+   */
+  async updateTodo(id, patch, options = {}) {
+    patch = validateTodo(patch, { partial: true });
+    const before = await this.storage.getTodoById(id);
+    if (!before) return null;
+    const updated = await this.storage.updateTodo(id, patch, options);
+    if (!updated) return null;
+    if (patch.done !== true || before.done || !updated.recurrence) {
+      this._recordUpdate(before, updated);
+      this._changed("updated", updated);
+      return updated;
+    }
+    const dueDate = nextOccurrence(updated.recurrence, updated.dueDate);
+    const spawned = await this.storage.addTodo({
+      title: updated.title,
+      description: updated.description,
+      priority: updated.priority,
+      dueDate,
+      remindAt: shiftReminder(updated.remindAt, updated.dueDate, dueDate),
+      listId: updated.listId,
+      recurrence: updated.recurrence,
+      items: updated.items.map((item) => ({ title: item.title })),
+      tags: updated.tags,
+    });
+    const completed = await this.storage.updateTodo(id, { recurrence: null });
+    this._recordUpdate(before, completed, spawned);
+    this._changed("updated", completed);
+    this._changed("added", spawned);
+    return completed;
+  }
+
+  // options: { expectedVersion } as for updateTodo()
+  async deleteTodo(id, options = {}) {
+    const todo = await this.storage.getTodoById(id);
+    const deleted = await this.storage.deleteTodo(id, options);
+    if (deleted && todo) {
+      this.history.record({
+        label: `Delete "${todo.title}"`,
+        undo: () => this._untrash(todo),
+        redo: () => this._trash(id),
+      });
+      this._changed("deleted", todo);
+    }
+    return deleted;
+  }
+
+  async getRevisions(todoId) {
+    return this.storage.getRevisions(todoId);
+  }
+
+  /**
+   * Puts a todo back the way it was just before one of its revisions
+   * (as a new update, so it can be undone). Tags deleted since are left
+   * out and a deleted list falls back to the Inbox. Resolves to null when
+   * the todo or the revision is unknown.
+   *
+   * options: { expectedVersion } as for updateTodo()
+   */
+  async restoreRevision(id, revisionId, options = {}) {
+    const revisions = await this.storage.getRevisions(id);
+    const patch = patchBeforeRevision(revisions, revisionId);
+    if (!patch) return null;
+    if (patch.tags) {
+      const tags = await this.storage.getAllTags();
+      patch.tags = patch.tags.filter((tag) =>
+        tags.some((t) => t.id === tag.id)
+      );
+    }
+    if (patch.listId) {
+      const lists = await this.storage.getAllLists();
+      if (!lists.some((l) => l.id === patch.listId)) patch.listId = null;
+    }
+    return this.updateTodo(id, patch, options);
+  }
+
+  async getTrashedTodos() {
+    return this.storage.getTrashedTodos();
+  }
+
+  async restoreTodo(id) {
+    const todo = await this.storage.restoreTodo(id);
+    if (todo) {
+      this.history.record({
+        label: `Restore "${todo.title}"`,
+        undo: () => this._trash(id),
+        redo: () => this._untrash(todo),
+      });
+      this._changed("added", todo);
+    }
+    return todo;
+  }
+
+  async purgeTodo(id) {
+    const todo = (await this.storage.getTrashedTodos()).find(
+      (t) => t.id === id
+    );
+    const purged = await this.storage.purgeTodo(id);
+    if (purged && todo) {
+      this._recordFinal(
+        `Delete "${todo.title}" for good`,
+        `"${todo.title}" was deleted for good`
+      );
+    }
+    return purged;
   }
 
-  async updateTodo(id, patch) {
-    return this.storage.updateTodo(id, patch);
+  async purgeTrash(options) {
+    return this.storage.purgeTrash(options);
   }
 
-  async deleteTodo(id) {
-    return this.storage.deleteTodo(id);
+  /**
+   * Takes back the latest recorded change. Resolves to its label
+   * (e.g. 'Delete "Buy milk"'), or null when there is nothing to undo.
+   */
+  async undo() {
+    return this.history.undo();
+  }
+
+  /**
+   * Re-applies the latest undone change. Resolves to its label, or null
+   * when there is nothing to redo.
+   */
+  async redo() {
+    return this.history.redo();
+  }
+
+  // a change undo() cannot take back: undoing it reports `reason` and
+  // drops it from the history
+  _recordFinal(label, reason) {
+    this.history.record({
+      label,
+      undo: async () => {
+        throw new CannotUndoError(reason);
+      },
+      redo: async () => {},
+    });
+  }
+
+  _changed(type, todo) {
+    if (todo) this.emit("change", { type, todo });
+  }
+
+  // takes back an add: the todo goes away without passing through the trash
+  async _erase(todo) {
+    await this.storage.deleteTodo(todo.id);
+    await this.storage.purgeTodo(todo.id);
+    this._changed("deleted", todo);
+  }
+
+  // puts an erased todo back as it was
+  async _reinsert(todo) {
+    await this.storage.importTodos([todo]);
+    this._changed("added", await this.storage.getTodoById(todo.id));
+  }
+
+  async _trash(id) {
+    const todo = await this.storage.getTodoById(id);
+    if (await this.storage.deleteTodo(id)) this._changed("deleted", todo);
+  }
+
+  async _untrash(todo) {
+    const restored = await this.storage.restoreTodo(todo.id);
+    if (!restored) {
+      throw new CannotUndoError(`"${todo.title}" is no longer in the trash`);
+    }
+    this._changed("added", restored);
+  }
+
+  // announces the todos in `before` as they are now (gone: deleted)
+  async _changedSince(before) {
+    for (const todo of before) {
+      const now = await this.storage.getTodoById(todo.id);
+      if (now) this._changed("updated", now);
+      else this._changed("deleted", todo);
+    }
+  }
+
+  // `spawned` is the next occurrence created by completing a repeating todo;
+  // it comes and goes together with the update
+  _recordUpdate(before, after, spawned = null) {
+    const verb =
+      before.done === after.done ? "Edit" : after.done ? "Complete" : "Reopen";
+    this.history.record({
+      label: `${verb} "${before.title}"`,
+      undo: async () => {
+        if (spawned) await this._erase(spawned);
+        this._changed("updated", await restoreTodo(this.storage, before));
+      },
+      redo: async () => {
+        this._changed("updated", await restoreTodo(this.storage, after));
+        if (spawned) await this._reinsert(spawned);
+      },
+    });
+  }
+
+  // as importBatch() without updates; resolves to the number of todos added
+  async importTodos(todos) {
+    const { added } = await this.importBatch(todos);
+    return added.length;
+  }
+
+  /**
+   * Adds complete `todos` (as for importTodos, with ids) and applies
+   * `updates` ([{ id, patch }], patches as for updateTodo) in one storage
+   * write, recorded as one change so undo() takes all of it back. Updates
+   * of todos that are gone are skipped. Resolves to { added, updated }, the
+   * todos as they are now.
+   *
+   * options:
+   *  - label: for the history (default 'Import N todos')
+   */
+  async importBatch(todos, updates = [], { label } = {}) {
+    const patches = updates.map(({ id, patch }) => ({
+      id,
+      patch: validateTodo(patch, { partial: true }),
+    }));
+    const before = new Map();
+    for (const { id } of patches) {
+      const todo = before.has(id) ? null : await this.storage.getTodoById(id);
+      if (todo) before.set(id, todo);
+    }
+    const known = new Set(
+      (await this.storage.getAllTodos()).map((todo) => todo.id)
+    );
+    await this.storage.importTodos(todos, {
+      updates: patches.filter(({ id }) => before.has(id)),
+    });
+
+    const added = [];
+    for (const { id } of todos) {
+      const todo = known.has(id) ? null : await this.storage.getTodoById(id);
+      if (todo) added.push(todo);
+    }
+    const updated = [];
+    for (const id of before.keys()) {
+      const todo = await this.storage.getTodoById(id);
+      if (todo) updated.push(todo);
+    }
+    if (added.length + updated.length > 0) {
+      this.history.record({
+        label: label || `Import ${added.length + updated.length} todos`,
+        undo: async () => {
+          for (const todo of added) await this._erase(todo);
+          for (const todo of before.values()) {
+            this._changed("updated", await restoreTodo(this.storage, todo));
+          }
+        },
+        redo: async () => {
+          await this.storage.importTodos(added);
+          for (const todo of added) {
+            this._changed("added", await this.storage.getTodoById(todo.id));
+          }
+          for (const todo of updated) {
+            this._changed("updated", await restoreTodo(this.storage, todo));
+          }
+        },
+      });
+    }
+    added.forEach((todo) => this._changed("added", todo));
+    updated.forEach((todo) => this._changed("updated", todo));
+    return { added, updated };
+  }
+
+  async getAllTags() {
+    return this.storage.getAllTags();
+  }
+
+  async createTag(name) {
+    return this.storage.createTag(name);
+  }
+
+  async renameTag(id, name) {
+    const tagged = await this._todosTagged(id);
+    const tag = await this.storage.renameTag(id, name);
+    if (tag) await this._changedSince(tagged);
+    return tag;
+  }
+
+  async deleteTag(id) {
+    const tagged = await this._todosTagged(id);
+    const deleted = await this.storage.deleteTag(id);
+    if (deleted) await this._changedSince(tagged);
+    return deleted;
+  }
+
+  async _todosTagged(tagId) {
+    return this.storage.queryTodos({ where: { tagIds: [tagId] } });
+  }
+
+  async getAllLists() {
+    return this.storage.getAllLists();
+  }
+
+  async createList(name) {
+    return this.storage.createList(name);
+  }
+
+  async renameList(id, name) {
+    return this.storage.renameList(id, name);
+  }
+
+  async deleteList(id, options) {
+    const list = (await this.storage.getAllLists()).find((l) => l.id === id);
+    const listed = await this.storage.queryTodos({ where: { listId: id } });
+    const deleted = await this.storage.deleteList(id, options);
+    if (deleted) {
+      this._recordFinal(
+        `Delete list "${list.name}"`,
+        `the list "${list.name}" was deleted`
+      );
+      await this._changedSince(listed);
+    }
+    return deleted;
   }
 }
 
@@ -0,0 +1,49 @@
+// dates.js
+// Calendar-day helpers shared by renderer.js and calendar.js. Days are
+// "YYYY-MM-DD" strings in local time, the same format as todo.dueDate.
+
+// "YYYY-MM-DD" for the local calendar day, comparable with todo.dueDate
+function localDateString(date = new Date()) {
+  const y = date.getFullYear();
+  const m = String(date.getMonth() + 1).padStart(2, "0");
+  const d = String(date.getDate()).padStart(2, "0");
+  return `${y}-${m}-${d}`;
+}
+
+// local midnight of a "YYYY-MM-DD" day
+function parseLocalDate(day) {
+  const [y, m, d] = day.split("-").map(Number);
+  return new Date(y, m - 1, d);
+}
+
+function formatDueDate(dueDate, options) {
+  return parseLocalDate(dueDate).toLocaleDateString(undefined, options);
+}
+
+function addDays(date, days) {
+  const result = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  result.setDate(result.getDate() + days);
+  return result;
+}
+
+// Monday to Sunday of the week containing `date`, as "YYYY-MM-DD"
+function weekDays(date) {
+  const monday = addDays(date, -((date.getDay() + 6) % 7));
+  return Array.from({ length: 7 }, (_, i) =>
+    localDateString(addDays(monday, i))
+  );
+}
+
+// Every day of the month containing `date`, padded with days of the
+// neighbouring months to whole Monday-to-Sunday weeks
+function monthDays(date) {
+  const first = new Date(date.getFullYear(), date.getMonth(), 1);
+  const last = new Date(date.getFullYear(), date.getMonth() + 1, 0);
+  const start = addDays(first, -((first.getDay() + 6) % 7));
+  const end = addDays(last, 6 - ((last.getDay() + 6) % 7));
+  const days = [];
+  for (let d = start; d <= end; d = addDays(d, 1)) {
+    days.push(localDateString(d));
+  }
+  return days;
+}
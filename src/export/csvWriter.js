@@ -0,0 +1,69 @@
+// src/export/csvWriter.js
+"use strict";
+
+/**
+ * Todos as CSV for spreadsheets: RFC 4180 quoting, CRLF line endings and a
+ * UTF-8 byte order mark so Excel picks the right encoding. Text that a
+ * spreadsheet would run as a formula (starting with = + - @ or a tab/CR)
+ * gets a leading apostrophe.
+ */
+
+const COLUMNS = [
+  "id",
+  "title",
+  "description",
+  "done",
+  "priority",
+  "due_date",
+  "remind_at",
+  "list",
+  "tags",
+  "checklist",
+  "recurrence",
+  "created_at",
+  "updated_at",
+];
+
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+function escapeCell(value) {
+  if (value === null || value === undefined) return "";
+  let text = String(value);
+  if (FORMULA_START.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function rowOf(todo, listNames) {
+  return {
+    id: todo.id,
+    title: todo.title,
+    description: todo.description,
+    done: todo.done ? "yes" : "no",
+    priority: todo.priority,
+    due_date: todo.dueDate,
+    remind_at: todo.remindAt,
+    list: listNames.get(todo.listId) || todo.listId,
+    tags: (todo.tags || []).map((tag) => tag.name).join(", "),
+    checklist: (todo.items || [])
+      .map((item) => `[${item.done ? "x" : " "}] ${item.title}`)
+      .join("\n"),
+    recurrence: todo.recurrence ? JSON.stringify(todo.recurrence) : "",
+    created_at: todo.createdAt,
+    updated_at: todo.updatedAt,
+  };
+}
+
+/**
+ * `lists` ({ id, name }) turn list ids into names.
+ */
+function writeCsv(todos, { lists = [] } = {}) {
+  const listNames = new Map(lists.map((list) => [list.id, list.name]));
+  const lines = [COLUMNS.join(",")];
+  for (const todo of todos) {
+    const row = rowOf(todo, listNames);
+    lines.push(COLUMNS.map((column) => escapeCell(row[column])).join(","));
+  }
+  return "\uFEFF" + lines.join("\r\n") + "\r\n";
+}
+
+module.exports = { COLUMNS, escapeCell, writeCsv };
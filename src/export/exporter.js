@@ -0,0 +1,59 @@
+// src/export/exporter.js
+"use strict";
+
+const fs = require("fs/promises");
+const path = require("path");
+const { writeJson } = require("./jsonWriter.js");
+const { writeCsv } = require("./csvWriter.js");
+const { writeMarkdown } = require("./markdownWriter.js");
+const { writeIcs } = require("../ical/icalendar.js");
+
+/**
+ * Export formats by name: file extension, save dialog label and the pure
+ * writer turning (todos, { lists }) into the file's text.
+ */
+const EXPORT_FORMATS = {
+  json: { extension: "json", label: "JSON", write: writeJson },
+  csv: { extension: "csv", label: "CSV", write: writeCsv },
+  markdown: { extension: "md", label: "Markdown", write: writeMarkdown },
+  ical: { extension: "ics", label: "iCalendar", write: writeIcs },
+};
+
+/**
+ * Writes todos from `database` to filePath in one of EXPORT_FORMATS, via a
+ * temp file and rename.
+ *
+ * options:
+ *  - database: Database (or storage)
+ *  - format: 'json' | 'csv' | 'markdown' | 'ical'
+ *  - filePath: where to write
+ *  - query: optional queryTodos() query (see storage/todoQuery.js);
+ *    every todo (outside the trash) without it
+ *  - fsModule: optional injection for fs/promises (for testing)
+ *
+ * Resolves to { count, filePath }.
+ */
+async function exportTodos(options = {}) {
+  const { database, format, filePath, query = null, fsModule = fs } = options;
+  const spec = EXPORT_FORMATS[format];
+  if (!spec) {
+    throw new Error(
+      `format must be one of ${Object.keys(EXPORT_FORMATS).join(", ")}`
+    );
+  }
+  if (!filePath) throw new Error("filePath is required");
+
+  const todos = query
+    ? await database.queryTodos(query)
+    : await database.getAllTodos();
+  const lists = await database.getAllLists();
+  const text = spec.write(todos, { lists });
+
+  await fsModule.mkdir(path.dirname(filePath), { recursive: true });
+  const tmpPath = `${filePath}.tmp-${Date.now()}`;
+  await fsModule.writeFile(tmpPath, text, "utf8");
+  await fsModule.rename(tmpPath, filePath);
+  return { count: todos.length, filePath };
+}
+
+module.exports = { EXPORT_FORMATS, exportTodos };
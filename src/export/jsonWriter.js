@@ -0,0 +1,31 @@
+// src/export/jsonWriter.js
+"use strict";
+
+/**
+ * Todos as JSON in the FileStorage format ({ todos, tags, lists }, see
+ * storage/fileStorage.js), so an export can be read back with
+ * storage/jsonImporter.js: ids, done flags and timestamps are kept, todos
+ * reference their tags through tagIds and their list through listId.
+ *
+ * Only the tags and lists used by the exported todos are written.
+ * `lists` are the storage's lists ({ id, name, createdAt }, extra fields
+ * are dropped).
+ */
+function writeJson(todos, { lists = [] } = {}) {
+  const tags = new Map();
+  const listIds = new Set();
+  const data = {
+    todos: todos.map(({ tags: todoTags = [], ...todo }) => {
+      todoTags.forEach((tag) => tags.set(tag.id, tag));
+      listIds.add(todo.listId);
+      return { ...todo, tagIds: todoTags.map((tag) => tag.id) };
+    }),
+    tags: Array.from(tags.values()).map(({ id, name }) => ({ id, name })),
+    lists: lists
+      .filter((list) => listIds.has(list.id))
+      .map(({ id, name, createdAt }) => ({ id, name, createdAt })),
+  };
+  return JSON.stringify(data, null, 2) + "\n";
+}
+
+module.exports = { writeJson };
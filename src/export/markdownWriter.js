@@ -0,0 +1,64 @@
+// src/export/markdownWriter.js
+"use strict";
+
+/**
+ * Todos as a Markdown checklist in the style of the repository's todo.md:
+ * "[x] done" / "[ ] pending" lines under a "## <list>" heading per list.
+ * Due date, a non-default priority and tags follow the title in
+ * parentheses; the description and the checklist items are indented below.
+ */
+
+function oneLine(text) {
+  return String(text || "")
+    .replace(/\s*[\r\n]+\s*/g, " ")
+    .trim();
+}
+
+function todoLines(todo) {
+  const details = [];
+  if (todo.dueDate) details.push(`due ${todo.dueDate}`);
+  if (todo.priority && todo.priority !== "medium") {
+    details.push(`${todo.priority} priority`);
+  }
+  const tags = (todo.tags || []).map((tag) => `#${tag.name}`).join(" ");
+  if (tags) details.push(tags);
+
+  const lines = [
+    `[${todo.done ? "x" : " "}] ${oneLine(todo.title)}${
+      details.length ? ` (${details.join(", ")})` : ""
+    }`,
+  ];
+  String(todo.description || "")
+    .split(/\r?\n/)
+    .filter((line) => line.trim() !== "")
+    .forEach((line) => lines.push(`  ${line.trim()}`));
+  (todo.items || []).forEach((item) => {
+    lines.push(`  [${item.done ? "x" : " "}] ${oneLine(item.title)}`);
+  });
+  return lines;
+}
+
+/**
+ * options:
+ *  - lists: the storage's lists ({ id, name }); todos are grouped under
+ *    them in this order (todos of unknown lists come last)
+ *  - title: top-level heading (default "Todos")
+ */
+function writeMarkdown(todos, { lists = [], title = "Todos" } = {}) {
+  const groups = new Map(lists.map((list) => [list.id, []]));
+  for (const todo of todos) {
+    if (!groups.has(todo.listId)) groups.set(todo.listId, []);
+    groups.get(todo.listId).push(todo);
+  }
+  const names = new Map(lists.map((list) => [list.id, list.name]));
+
+  const out = [`# ${title}`];
+  for (const [listId, listTodos] of groups) {
+    if (listTodos.length === 0) continue;
+    out.push("", `## ${names.get(listId) || listId}`, "");
+    listTodos.forEach((todo) => out.push(...todoLines(todo)));
+  }
+  return out.join("\n") + "\n";
+}
+
+module.exports = { writeMarkdown };
@@ -0,0 +1,216 @@
+// src/flags/featureFlags.js
+"use strict";
+
+const fs = require("node:fs");
+const dotenv = require("dotenv");
+
+/**
+ * Every flag the app knows about. Each entry has:
+ *  - type: 'boolean' | 'number' | 'enum'
+ *  - default: value used when no source sets the flag
+ *  - env: environment variable (also read from .env files)
+ *  - values: allowed values for 'enum' flags
+ *  - min, max: optional bounds for 'number' flags
+ */
+const FLAG_DEFINITIONS = {
+  storageBackend: {
+    type: "enum",
+    values: ["sqlite", "file"],
+    default: "sqlite",
+    env: "FLAG_STORAGE_BACKEND",
+  },
+  showStorageIndicator: {
+    type: "boolean",
+    default: true,
+    env: "FLAG_SHOW_STORAGE_INDICATOR",
+  },
+  priority: {
+    type: "boolean",
+    default: true,
+    env: "FLAG_PRIORITY",
+  },
+  dueDates: {
+    type: "boolean",
+    default: true,
+    env: "FLAG_DUE_DATES",
+  },
+  calendar: {
+    type: "boolean",
+    default: true,
+    env: "FLAG_CALENDAR",
+  },
+  tags: {
+    type: "boolean",
+    default: true,
+    env: "FLAG_TAGS",
+  },
+  lists: {
+    type: "boolean",
+    default: true,
+    env: "FLAG_LISTS",
+  },
+  recurrence: {
+    type: "boolean",
+    default: true,
+    env: "FLAG_RECURRENCE",
+  },
+  reminders: {
+    type: "boolean",
+    default: true,
+    env: "FLAG_REMINDERS",
+  },
+  // local hour todos with only a due date remind at (9.5 = 09:30)
+  reminderHour: {
+    type: "number",
+    default: 9,
+    min: 0,
+    max: 23.99,
+    env: "FLAG_REMINDER_HOUR",
+  },
+  // days a deleted todo stays in the trash before it is purged
+  trashRetentionDays: {
+    type: "number",
+    default: 30,
+    min: 1,
+    max: 3650,
+    env: "FLAG_TRASH_RETENTION_DAYS",
+  },
+  // hours between snapshots of the database in userData/backups
+  backupIntervalHours: {
+    type: "number",
+    default: 24,
+    min: 1,
+    max: 168,
+    env: "FLAG_BACKUP_INTERVAL_HOURS",
+  },
+  // snapshots kept before the oldest is rotated out
+  backupCount: {
+    type: "number",
+    default: 7,
+    min: 1,
+    max: 100,
+    env: "FLAG_BACKUP_COUNT",
+  },
+  // when the file backend writes todo.json; changes in between go to a journal
+  fileStorageMode: {
+    type: "enum",
+    values: ["autosave", "onClose", "immediate"],
+    default: "autosave",
+    env: "FLAG_FILE_STORAGE_MODE",
+  },
+  // wait for the file backend's writes to reach the disk
+  fileStorageFsync: {
+    type: "boolean",
+    default: true,
+    env: "FLAG_FILE_STORAGE_FSYNC",
+  },
+};
+
+const TRUE_VALUES = ["1", "true", "yes", "on"];
+const FALSE_VALUES = ["0", "false", "no", "off"];
+
+/**
+ * Coerces a raw value (string from env, or JSON value from settings) to the
+ * flag's type. Returns undefined when the value is not valid for the flag.
+ */
+function parseFlagValue(def, raw) {
+  if (raw === undefined || raw === null) return undefined;
+  switch (def.type) {
+    case "boolean": {
+      if (typeof raw === "boolean") return raw;
+      const s = String(raw).trim().toLowerCase();
+      if (TRUE_VALUES.includes(s)) return true;
+      if (FALSE_VALUES.includes(s)) return false;
+      return undefined;
+    }
+    case "number": {
+      if (typeof raw === "string" && raw.trim() === "") return undefined;
+      const n = Number(raw);
+      if (!Number.isFinite(n)) return undefined;
+      if (def.min !== undefined && n < def.min) return undefined;
+      if (def.max !== undefined && n > def.max) return undefined;
+      return n;
+    }
+    case "enum": {
+      // matched ignoring case, returned as spelled in `values`
+      const s = String(raw).trim().toLowerCase();
+      return def.values.find((value) => value.toLowerCase() === s);
+    }
+    default:
+      return undefined;
+  }
+}
+
+function readEnvFile(filePath, fsModule) {
+  try {
+    return dotenv.parse(fsModule.readFileSync(filePath, "utf8"));
+  } catch (err) {
+    if (err.code === "ENOENT") return {};
+    throw err;
+  }
+}
+
+function readSettingsFlags(settingsPath, fsModule) {
+  if (!settingsPath) return {};
+  let content;
+  try {
+    content = fsModule.readFileSync(settingsPath, "utf8");
+  } catch (err) {
+    if (err.code === "ENOENT") return {};
+    throw err;
+  }
+  const parsed = JSON.parse(content);
+  return parsed && typeof parsed.flags === "object" && parsed.flags
+    ? parsed.flags
+    : {};
+}
+
+/**
+ * Resolves every flag. Later sources win:
+ *  defaults < settings file ({ "flags": { ... } }) < .env files < environment
+ *
+ * options:
+ *  - env: environment object (default process.env)
+ *  - envFiles: .env file paths, later files win (default [])
+ *  - settingsPath: user settings JSON file (optional)
+ *  - onInvalid(name, raw, source): called for values that fail to parse
+ *  - fsModule: optional injection for fs (for testing)
+ */
+function loadFlags(options = {}) {
+  const {
+    env = process.env,
+    envFiles = [],
+    settingsPath = null,
+    onInvalid = () => {},
+    fsModule = fs,
+  } = options;
+
+  const settings = readSettingsFlags(settingsPath, fsModule);
+  const fileEnv = Object.assign(
+    {},
+    ...envFiles.map((file) => readEnvFile(file, fsModule))
+  );
+
+  const flags = {};
+  for (const [name, def] of Object.entries(FLAG_DEFINITIONS)) {
+    let value = def.default;
+    const sources = [
+      ["settings", settings[name]],
+      [".env", fileEnv[def.env]],
+      ["env", env[def.env]],
+    ];
+    for (const [source, raw] of sources) {
+      if (raw === undefined) continue;
+      const parsed = parseFlagValue(def, raw);
+      if (parsed === undefined) {
+        onInvalid(name, raw, source);
+        continue;
+      }
+      value = parsed;
+    }
+    flags[name] = value;
+  }
+  return Object.freeze(flags);
+}
+
+module.exports = { FLAG_DEFINITIONS, loadFlags, parseFlagValue };
@@ -0,0 +1,17 @@
+// src/history/cannotUndoError.js
+"use strict";
+
+/**
+ * Thrown by a command's undo or redo when the change can no longer be
+ * applied, e.g. the todo it touched was deleted for good since.
+ * CommandHistory drops such a command instead of keeping it on its stack.
+ */
+class CannotUndoError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "CannotUndoError";
+    this.code = "CANNOT_UNDO";
+  }
+}
+
+module.exports = { CannotUndoError };
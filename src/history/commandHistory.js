@@ -0,0 +1,81 @@
+// src/history/commandHistory.js
+"use strict";
+
+const { CannotUndoError } = require("./cannotUndoError.js");
+
+/**
+ * Undo/redo stacks of reversible commands. A command is
+ *  { label, undo: () => Promise, redo: () => Promise }
+ * recorded after its change has been made. Recording a new command clears
+ * the redo stack. undo()/redo() run one at a time; a command whose undo or
+ * redo throws stays where it was, unless it throws a CannotUndoError: then
+ * it is dropped, so it does not block the commands before it.
+ */
+class CommandHistory {
+  /**
+   * options:
+   *  - limit: number of commands kept for undo (default 100)
+   */
+  constructor(options = {}) {
+    const { limit = 100 } = options;
+    this.limit = limit;
+    this._undo = [];
+    this._redo = [];
+    this._queue = Promise.resolve();
+  }
+
+  record(command) {
+    this._undo.push(command);
+    if (this._undo.length > this.limit) this._undo.shift();
+    this._redo = [];
+  }
+
+  get canUndo() {
+    return this._undo.length > 0;
+  }
+
+  get canRedo() {
+    return this._redo.length > 0;
+  }
+
+  /**
+   * Reverts the latest command. Resolves to its label, or null when there
+   * is nothing to undo.
+   */
+  undo() {
+    return this._run(this._undo, this._redo, "undo");
+  }
+
+  /**
+   * Re-applies the latest undone command. Resolves to its label, or null
+   * when there is nothing to redo.
+   */
+  redo() {
+    return this._run(this._redo, this._undo, "redo");
+  }
+
+  clear() {
+    this._undo = [];
+    this._redo = [];
+  }
+
+  _run(from, to, method) {
+    const run = this._queue.then(async () => {
+      const command = from[from.length - 1];
+      if (!command) return null;
+      try {
+        await command[method]();
+      } catch (err) {
+        if (err instanceof CannotUndoError) from.pop();
+        throw err;
+      }
+      from.pop();
+      to.push(command);
+      return command.label;
+    });
+    this._queue = run.catch(() => {});
+    return run;
+  }
+}
+
+module.exports = CommandHistory;
@@ -0,0 +1,232 @@
+// src/ical/icalendar.js
+"use strict";
+
+const { localDateOf } = require("../storage/todoFields.js");
+
+/**
+ * Todos as iCalendar (RFC 5545) VTODO components, and back.
+ *
+ * A todo maps to:
+ *  UID            todo id (so an import can find the todo again)
+ *  SUMMARY        title
+ *  DESCRIPTION    description (left out when empty)
+ *  DUE            due date, as a DATE value
+ *  STATUS         COMPLETED or NEEDS-ACTION
+ *  COMPLETED      when the todo was done (its last update, as the app does
+ *                 not keep the moment it was ticked)
+ *  PRIORITY       1 high, 5 medium, 9 low (0 or missing: not set)
+ *  CREATED, LAST-MODIFIED
+ *
+ * Lists, tags, checklists, reminders and repeat rules are not written.
+ */
+
+const PRODID = "-//local-todo-app//Todos//EN";
+
+const PRIORITY_VALUES = { high: 1, medium: 5, low: 9 };
+
+function priorityOf(value) {
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 1 || n > 9) return null;
+  if (n < 5) return "high";
+  return n === 5 ? "medium" : "low";
+}
+
+// TEXT values: backslash, semicolon, comma and line breaks are escaped
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n|\r/g, "\\n");
+}
+
+function unescapeText(value) {
+  return value.replace(/\\([\\;,nN])/g, (match, c) =>
+    c === "n" || c === "N" ? "\n" : c
+  );
+}
+
+/**
+ * Splits a content line into lines of at most 75 octets, continuation
+ * lines starting with a space. Characters are never cut in half.
+ */
+function foldLine(line) {
+  const parts = [];
+  let part = "";
+  let size = 0;
+  for (const char of line) {
+    const bytes = Buffer.byteLength(char, "utf8");
+    const limit = parts.length === 0 ? 75 : 74;
+    if (size + bytes > limit) {
+      parts.push(part);
+      part = "";
+      size = 0;
+    }
+    part += char;
+    size += bytes;
+  }
+  parts.push(part);
+  return parts.join("\r\n ");
+}
+
+// "2025-01-31T10:00:00.000Z" -> "20250131T100000Z"
+function formatDateTime(iso) {
+  return new Date(iso).toISOString().replace(/[-:]/g, "").slice(0, 15) + "Z";
+}
+
+function formatDate(day) {
+  return day.replace(/-/g, "");
+}
+
+/**
+ * The todos as a VCALENDAR document with CRLF line endings.
+ *
+ * options:
+ *  - now: Date for DTSTAMP (default: the current time)
+ */
+function writeIcs(todos, options = {}) {
+  const { now = new Date() } = options;
+  const stamp = formatDateTime(now.toISOString());
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODID}`,
+    "CALSCALE:GREGORIAN",
+  ];
+  for (const todo of todos) {
+    lines.push("BEGIN:VTODO", `UID:${todo.id}`, `DTSTAMP:${stamp}`);
+    if (todo.createdAt) lines.push(`CREATED:${formatDateTime(todo.createdAt)}`);
+    if (todo.updatedAt) {
+      lines.push(`LAST-MODIFIED:${formatDateTime(todo.updatedAt)}`);
+    }
+    lines.push(`SUMMARY:${escapeText(todo.title)}`);
+    if (todo.description) {
+      lines.push(`DESCRIPTION:${escapeText(todo.description)}`);
+    }
+    if (todo.dueDate) lines.push(`DUE;VALUE=DATE:${formatDate(todo.dueDate)}`);
+    if (PRIORITY_VALUES[todo.priority]) {
+      lines.push(`PRIORITY:${PRIORITY_VALUES[todo.priority]}`);
+    }
+    if (todo.done) {
+      lines.push("STATUS:COMPLETED");
+      if (todo.updatedAt) {
+        lines.push(`COMPLETED:${formatDateTime(todo.updatedAt)}`);
+      }
+    } else {
+      lines.push("STATUS:NEEDS-ACTION");
+    }
+    lines.push("END:VTODO");
+  }
+  lines.push("END:VCALENDAR");
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
+
+/**
+ * One unfolded content line as { name, params, value }; parameter values
+ * may be quoted and hold ":" or ";".
+ */
+function parseContentLine(line) {
+  let i = 0;
+  let quoted = false;
+  const fields = [];
+  let field = "";
+  for (; i < line.length; i += 1) {
+    const c = line[i];
+    if (c === '"') quoted = !quoted;
+    if (!quoted && (c === ";" || c === ":")) {
+      fields.push(field);
+      field = "";
+      if (c === ":") break;
+    } else {
+      field += c;
+    }
+  }
+  if (i >= line.length) return null;
+  const [name, ...rawParams] = fields;
+  const params = {};
+  for (const param of rawParams) {
+    const eq = param.indexOf("=");
+    if (eq === -1) continue;
+    params[param.slice(0, eq).toUpperCase()] = param
+      .slice(eq + 1)
+      .replace(/^"(.*)"$/, "$1");
+  }
+  return { name: name.toUpperCase(), params, value: line.slice(i + 1) };
+}
+
+// a DATE, or a DATE-TIME cut to its day: UTC times ("Z") become the local
+// day, floating and TZID times keep the day they name
+function parseDue({ value }) {
+  const m = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(
+    value.trim()
+  );
+  if (!m) return null;
+  const [, y, mo, d, h, mi, s, utc] = m;
+  if (utc) return localDateOf(`${y}-${mo}-${d}T${h}:${mi}:${s}Z`);
+  return `${y}-${mo}-${d}`;
+}
+
+function todoOf(props) {
+  const first = (name) => props.find((p) => p.name === name);
+  const text = (name) => (first(name) ? unescapeText(first(name).value) : "");
+  const title = text("SUMMARY").trim();
+  if (!title) return null;
+  const status = text("STATUS").toUpperCase();
+  return {
+    uid: text("UID") || null,
+    title,
+    description: text("DESCRIPTION"),
+    done: status === "COMPLETED" || (!status && !!first("COMPLETED")),
+    section: null,
+    priority: first("PRIORITY") ? priorityOf(first("PRIORITY").value) : null,
+    dueDate: first("DUE") ? parseDue(first("DUE")) : null,
+    tagNames: [],
+    items: [],
+  };
+}
+
+/**
+ * The VTODOs of an iCalendar document as import candidates (see
+ * import/importer.js) carrying their UID:
+ *  { uid, title, description, done, section, priority, dueDate,
+ *    tagNames, items }
+ * Other components (VEVENT, VTIMEZONE, ...) and the VALARMs inside a
+ * VTODO are skipped, as are VTODOs without a SUMMARY.
+ */
+function parseIcs(text) {
+  const lines = String(text)
+    .replace(/^\uFEFF/, "")
+    .replace(/\r?\n[ \t]/g, "")
+    .split(/\r?\n/);
+  if (!lines.some((line) => /^BEGIN:VCALENDAR\s*$/i.test(line))) {
+    throw new Error("Not an iCalendar file (no BEGIN:VCALENDAR)");
+  }
+  const candidates = [];
+  const stack = [];
+  let props = null;
+  for (const line of lines) {
+    const prop = parseContentLine(line);
+    if (!prop) continue;
+    if (prop.name === "BEGIN") {
+      stack.push(prop.value.toUpperCase());
+      if (stack[stack.length - 1] === "VTODO") props = [];
+    } else if (prop.name === "END") {
+      if (stack.pop() === "VTODO" && props) {
+        const todo = todoOf(props);
+        if (todo) candidates.push(todo);
+        props = null;
+      }
+    } else if (props && stack[stack.length - 1] === "VTODO") {
+      props.push(prop);
+    }
+  }
+  return candidates;
+}
+
+module.exports = {
+  escapeText,
+  unescapeText,
+  foldLine,
+  writeIcs,
+  parseIcs,
+};
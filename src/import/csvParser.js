@@ -0,0 +1,142 @@
+// src/import/csvParser.js
+"use strict";
+
+/**
+ * Reads CSV files such as the ones written by export/csvWriter.js or by
+ * spreadsheets. The first row names the columns; they are matched without
+ * regard to case, spaces or underscores (see COLUMN_NAMES), and only a
+ * title column is required. Rows without a title are skipped.
+ *
+ * Resolves every row to a candidate (see import/importer.js):
+ *  { title, description, done, section, priority, dueDate, remindAt,
+ *    recurrence, tagNames, items }
+ * where `section` is the row's list.
+ */
+
+const COLUMN_NAMES = {
+  title: ["title", "name", "task", "todo"],
+  description: ["description", "notes", "note"],
+  done: ["done", "completed", "status"],
+  priority: ["priority"],
+  dueDate: ["duedate", "due"],
+  remindAt: ["remindat", "reminder"],
+  section: ["list", "project"],
+  tags: ["tags", "tag", "labels"],
+  checklist: ["checklist", "items"],
+  recurrence: ["recurrence", "repeat"],
+};
+
+const DONE_VALUES = ["yes", "y", "true", "1", "x", "done", "completed"];
+
+/**
+ * RFC 4180 rows: quoted fields may hold commas, quotes ("") and line
+ * breaks; CRLF and LF both end a row; a leading byte order mark is
+ * dropped. Returns an array of rows, each an array of strings.
+ */
+function parseCsvRows(text) {
+  const input = String(text).replace(/^\uFEFF/, "");
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < input.length; i += 1) {
+    const c = input[i];
+    if (quoted) {
+      if (c === '"' && input[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        field += c;
+      }
+    } else if (c === '"' && field === "") {
+      quoted = true;
+    } else if (c === ",") {
+      row.push(field);
+      field = "";
+    } else if (c === "\n" || c === "\r") {
+      if (c === "\r" && input[i + 1] === "\n") i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += c;
+    }
+  }
+  if (quoted) throw new Error("CSV ends inside a quoted field");
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+// csvWriter.js puts an apostrophe before text a spreadsheet would run
+function unescapeFormula(value) {
+  return /^'[=+\-@\t\r]/.test(value) ? value.slice(1) : value;
+}
+
+function columnIndexes(header) {
+  const keys = header.map((name) => name.toLowerCase().replace(/[\s_-]+/g, ""));
+  const indexes = {};
+  for (const [field, names] of Object.entries(COLUMN_NAMES)) {
+    const index = keys.findIndex((key) => names.includes(key));
+    if (index !== -1) indexes[field] = index;
+  }
+  return indexes;
+}
+
+function parseChecklist(text) {
+  return text
+    .split(/\r?\n/)
+    .map((line) => /^\s*(?:\[( |x|X)\]\s*)?(.*)$/.exec(line))
+    .filter((m) => m[2].trim() !== "")
+    .map((m) => ({ title: m[2].trim(), done: !!m[1] && m[1] !== " " }));
+}
+
+function parseCsv(text) {
+  const [header, ...rows] = parseCsvRows(text);
+  if (!header) return [];
+  const columns = columnIndexes(header);
+  if (columns.title === undefined) {
+    throw new Error("CSV needs a title column");
+  }
+  const cell = (row, field) =>
+    columns[field] === undefined
+      ? ""
+      : unescapeFormula((row[columns[field]] || "").trim());
+
+  const candidates = [];
+  for (const row of rows) {
+    const title = cell(row, "title");
+    if (!title) continue;
+    let recurrence = null;
+    if (cell(row, "recurrence")) {
+      try {
+        recurrence = JSON.parse(cell(row, "recurrence"));
+      } catch (err) {
+        recurrence = cell(row, "recurrence");
+      }
+    }
+    candidates.push({
+      title,
+      description: cell(row, "description"),
+      done: DONE_VALUES.includes(cell(row, "done").toLowerCase()),
+      section: cell(row, "section") || null,
+      priority: cell(row, "priority").toLowerCase() || null,
+      dueDate: cell(row, "dueDate") || null,
+      remindAt: cell(row, "remindAt") || null,
+      recurrence,
+      tagNames: cell(row, "tags")
+        .split(/[,;]/)
+        .map((tag) => tag.trim())
+        .filter(Boolean),
+      items: parseChecklist(cell(row, "checklist")),
+    });
+  }
+  return candidates;
+}
+
+module.exports = { parseCsvRows, parseCsv };
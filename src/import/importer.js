@@ -0,0 +1,266 @@
+// src/import/importer.js
+"use strict";
+
+const crypto = require("crypto");
+const fs = require("fs/promises");
+const path = require("path");
+const { parseMarkdown } = require("./markdownParser.js");
+const { parseCsv } = require("./csvParser.js");
+const { parseIcs } = require("../ical/icalendar.js");
+const {
+  normalizePriority,
+  normalizeDueDate,
+  normalizeRemindAt,
+  normalizeTagName,
+  normalizeListName,
+} = require("../storage/todoFields.js");
+const { normalizeRecurrence } = require("../storage/recurrence.js");
+const { todoErrors } = require("../validation.js");
+
+/**
+ * Imports Markdown checklists, CSV and iCalendar files in two steps:
+ * previewImport() works out what would be created (flagging titles that
+ * already exist), applyImport() then writes all of it at once through
+ * Database#importBatch.
+ *
+ * The parsers turn a file into candidates:
+ *  { title, description, done, section, priority, dueDate, remindAt,
+ *    recurrence, tagNames, items }
+ * (missing fields are treated as empty). `section` is the Markdown "##"
+ * heading or the CSV list column; `sectionsAs` decides whether it becomes
+ * the todo's list, one of its tags, or is ignored. iCalendar candidates
+ * also carry a `uid`; one that names an existing todo updates that todo
+ * instead of adding a new one.
+ */
+
+const IMPORT_FORMATS = {
+  markdown: { extensions: ["md", "markdown", "txt"], parse: parseMarkdown },
+  csv: { extensions: ["csv"], parse: parseCsv },
+  ical: { extensions: ["ics"], parse: parseIcs },
+};
+
+const SECTION_MODES = ["lists", "tags", "none"];
+
+function formatOfPath(filePath) {
+  const extension = path.extname(filePath).slice(1).toLowerCase();
+  const format = Object.keys(IMPORT_FORMATS).find((name) =>
+    IMPORT_FORMATS[name].extensions.includes(extension)
+  );
+  if (!format) {
+    throw new Error(
+      `Cannot import .${extension} files (use Markdown, CSV or iCalendar)`
+    );
+  }
+  return format;
+}
+
+/**
+ * Reads and parses a file, picking the format from its extension.
+ * Resolves to { format, candidates }.
+ */
+async function readImportFile(filePath, { fsModule = fs } = {}) {
+  const format = formatOfPath(filePath);
+  const text = await fsModule.readFile(filePath, "utf8");
+  return { format, candidates: IMPORT_FORMATS[format].parse(text) };
+}
+
+const titleKey = (title) => title.trim().toLowerCase();
+
+// runs a normalizer on a value that is present; a value it rejects is
+// dropped with a warning
+function checked(warnings, label, normalize, value) {
+  if (value === undefined || value === null || value === "") return null;
+  try {
+    return normalize(value);
+  } catch (err) {
+    warnings.push(`${label} "${value}" ignored: ${err.message}`);
+    return null;
+  }
+}
+
+/**
+ * What importing `candidates` would do, without changing anything.
+ *
+ * options:
+ *  - sectionsAs: 'lists' | 'tags' | 'none' (default 'lists')
+ *
+ * Resolves to { todos, newLists, newTags, duplicates, updates } where
+ * todos are
+ *  { title, description, done, priority, dueDate, remindAt, recurrence,
+ *    items, listName, tagNames, updateId, duplicate, warnings }
+ * `updateId` is the id of the todo a candidate's uid names (null when it
+ * adds a todo), and `duplicate` marks new titles that exist already
+ * (outside the trash) or appear earlier in the same file, ignoring case.
+ */
+async function previewImport(database, candidates, options = {}) {
+  const { sectionsAs = "lists" } = options;
+  if (!SECTION_MODES.includes(sectionsAs)) {
+    throw new Error(`sectionsAs must be one of ${SECTION_MODES.join(", ")}`);
+  }
+  const existing = await database.getAllTodos();
+  const seen = new Set(existing.map((todo) => titleKey(todo.title)));
+  const existingIds = new Set(existing.map((todo) => todo.id));
+  const lists = new Set(
+    (await database.getAllLists()).map((list) => list.name.toLowerCase())
+  );
+  const tags = new Set(
+    (await database.getAllTags()).map((tag) => tag.name.toLowerCase())
+  );
+  const newLists = new Map();
+  const newTags = new Map();
+
+  const todos = candidates.map((candidate) => {
+    const warnings = [];
+    const section = candidate.section || null;
+
+    let listName = null;
+    if (section && sectionsAs === "lists") {
+      listName = checked(warnings, "List", normalizeListName, section);
+    }
+    if (listName && !lists.has(listName.toLowerCase())) {
+      newLists.set(listName.toLowerCase(), listName);
+    }
+
+    const tagNames = [];
+    const rawTags = [...(candidate.tagNames || [])];
+    if (section && sectionsAs === "tags") rawTags.unshift(section);
+    for (const raw of rawTags) {
+      const name = checked(warnings, "Tag", normalizeTagName, raw);
+      if (!name || tagNames.some((t) => t.toLowerCase() === name.toLowerCase()))
+        continue;
+      tagNames.push(name);
+      if (!tags.has(name.toLowerCase())) {
+        newTags.set(name.toLowerCase(), name);
+      }
+    }
+
+    const recurrence =
+      typeof candidate.recurrence === "string"
+        ? { type: candidate.recurrence.toLowerCase() }
+        : candidate.recurrence;
+
+    const updateId = existingIds.has(candidate.uid) ? candidate.uid : null;
+    const key = titleKey(candidate.title);
+    const duplicate = !updateId && seen.has(key);
+    seen.add(key);
+
+    return {
+      title: candidate.title.trim(),
+      description: candidate.description || "",
+      done: !!candidate.done,
+      priority:
+        checked(warnings, "Priority", normalizePriority, candidate.priority) ||
+        undefined,
+      dueDate: checked(
+        warnings,
+        "Due date",
+        normalizeDueDate,
+        candidate.dueDate
+      ),
+      remindAt: checked(
+        warnings,
+        "Reminder",
+        normalizeRemindAt,
+        candidate.remindAt
+      ),
+      recurrence: checked(
+        warnings,
+        "Repeat rule",
+        normalizeRecurrence,
+        recurrence
+      ),
+      items: (candidate.items || []).map(({ title, done }) => ({
+        title,
+        done: !!done,
+      })),
+      listName,
+      tagNames,
+      updateId,
+      duplicate,
+      warnings,
+    };
+  });
+
+  return {
+    todos,
+    newLists: Array.from(newLists.values()),
+    newTags: Array.from(newTags.values()),
+    duplicates: todos.filter((todo) => todo.duplicate).length,
+    updates: todos.filter((todo) => todo.updateId).length,
+  };
+}
+
+/**
+ * Adds the todos of a preview, creating their lists and tags, in one batch
+ * that is undone as a whole. Todos with an updateId update that todo
+ * instead, changing only the fields iCalendar carries (title, description,
+ * done, priority, due date). Every todo is checked first; if one is
+ * invalid, nothing is written.
+ *
+ * options:
+ *  - skipDuplicates: leave out todos marked as duplicates (default true)
+ *
+ * Resolves to { added, updated, skipped }; skipped counts duplicates left
+ * out and updates of todos deleted in the meantime.
+ */
+async function applyImport(database, preview, options = {}) {
+  const { skipDuplicates = true } = options;
+  const todos = preview.todos.filter(
+    (todo) => !(skipDuplicates && todo.duplicate)
+  );
+
+  const problems = [];
+  for (const [index, todo] of todos.entries()) {
+    const errors = todoErrors(todo);
+    if (Object.keys(errors).length > 0) {
+      problems.push(
+        `todo ${index + 1} ("${todo.title}"): ${Object.values(errors).join(
+          "; "
+        )}`
+      );
+    }
+  }
+  if (problems.length > 0) {
+    throw new Error(`Nothing was imported: ${problems.join(", ")}`);
+  }
+
+  const additions = [];
+  const updates = [];
+  for (const todo of todos) {
+    const fields = {
+      title: todo.title,
+      description: todo.description,
+      done: todo.done,
+      priority: todo.priority,
+      dueDate: todo.dueDate,
+    };
+    if (todo.updateId) {
+      updates.push({ id: todo.updateId, patch: fields });
+      continue;
+    }
+    additions.push({
+      ...fields,
+      id: crypto.randomUUID(),
+      remindAt: todo.remindAt,
+      recurrence: todo.recurrence,
+      items: todo.items,
+      list: todo.listName ? { name: todo.listName } : null,
+      tags: todo.tagNames.map((name) => ({ name })),
+    });
+  }
+
+  const { added, updated } = await database.importBatch(additions, updates);
+  return {
+    added: added.length,
+    updated: updated.length,
+    skipped: preview.todos.length - added.length - updated.length,
+  };
+}
+
+module.exports = {
+  IMPORT_FORMATS,
+  SECTION_MODES,
+  readImportFile,
+  previewImport,
+  applyImport,
+};
@@ -0,0 +1,98 @@
+// src/import/markdownParser.js
+"use strict";
+
+/**
+ * Reads Markdown checklists like the repository's todo.md (and the files
+ * written by export/markdownWriter.js):
+ *
+ *   ## section
+ *   [x] done item (due 2025-01-31, high priority, #tag)
+ *   [ ] open item
+ *     indented text becomes the description
+ *     [ ] indented items become its checklist
+ *
+ * "- " / "* " bullets before the box are accepted. Headings from level 2
+ * down name the section of the items below them; a level 1 heading ends
+ * the current section. Items without a title are skipped.
+ *
+ * Resolves every item to a candidate (see import/importer.js):
+ *  { title, description, done, section, priority, dueDate, tagNames, items }
+ */
+
+const ITEM_RE = /^(\s*)(?:[-*+]\s+)?\[( |x|X)\]\s*(.*)$/;
+const HEADING_RE = /^(#{1,6})\s+(.*?)\s*#*\s*$/;
+const DETAILS_RE = /^(.*\S)\s+\(([^()]*)\)$/;
+
+// "(due 2025-01-31, high priority, #a #b)" as written by markdownWriter.js;
+// anything else in parentheses stays part of the title
+function splitDetails(text) {
+  const match = DETAILS_RE.exec(text);
+  if (!match) return { title: text };
+  const details = { title: match[1] };
+  for (const part of match[2].split(",").map((p) => p.trim())) {
+    let m;
+    if ((m = /^due (\d{4}-\d{2}-\d{2})$/.exec(part))) {
+      details.dueDate = m[1];
+    } else if ((m = /^(low|medium|high) priority$/.exec(part))) {
+      details.priority = m[1];
+    } else if (/^#\S+(\s+#\S+)*$/.test(part)) {
+      details.tagNames = part.split(/\s+/).map((tag) => tag.slice(1));
+    } else {
+      return { title: text };
+    }
+  }
+  return details;
+}
+
+function parseMarkdown(text) {
+  const candidates = [];
+  let section = null;
+  let current = null;
+  let indent = 0;
+
+  for (const line of String(text).split(/\r?\n/)) {
+    const heading = HEADING_RE.exec(line);
+    if (heading) {
+      section = heading[1].length > 1 && heading[2] ? heading[2] : null;
+      current = null;
+      continue;
+    }
+    const item = ITEM_RE.exec(line);
+    if (item && current && item[1].length > indent) {
+      const title = item[3].trim();
+      if (title) current.items.push({ title, done: item[2] !== " " });
+      continue;
+    }
+    if (item) {
+      current = null;
+      const { title, ...details } = splitDetails(item[3].trim());
+      if (!title) continue;
+      current = {
+        title,
+        description: "",
+        done: item[2] !== " ",
+        section,
+        priority: null,
+        dueDate: null,
+        tagNames: [],
+        items: [],
+        ...details,
+      };
+      indent = item[1].length;
+      candidates.push(current);
+      continue;
+    }
+    if (current && line.trim() && /^\s/.test(line)) {
+      const trimmed = line.trim();
+      current.description = current.description
+        ? `${current.description}\n${trimmed}`
+        : trimmed;
+      continue;
+    }
+    // blank lines keep the item open for more indented lines
+    if (line.trim()) current = null;
+  }
+  return candidates;
+}
+
+module.exports = { parseMarkdown };
@@ -1,19 +1,98 @@
-const { app, BrowserWindow, ipcMain, nativeTheme } = require("electron/main");
+const {
+  app,
+  BrowserWindow,
+  dialog,
+  ipcMain,
+  nativeTheme,
+  Notification,
+} = require("electron/main");
 const path = require("node:path");
 const Database = require("./database.js");
 const FileStorage = require("./storage/fileStorage.js");
 const SqliteFileStorage = require("./storage/sqliteFileStorage.js");
 const { getLogger } = require("./logger/logg.js");
+const { loadFlags } = require("./flags/featureFlags.js");
+const { importJsonIntoStorage } = require("./storage/jsonImporter.js");
+const { ReminderScheduler } = require("./reminders/reminderScheduler.js");
+const { BackupService } = require("./backup/backupService.js");
+const { ConflictError } = require("./storage/conflictError.js");
+const { ValidationError } = require("./validation.js");
+const { CannotUndoError } = require("./history/cannotUndoError.js");
+const { EXPORT_FORMATS, exportTodos } = require("./export/exporter.js");
+const {
+  IMPORT_FORMATS,
+  readImportFile,
+  previewImport,
+  applyImport,
+} = require("./import/importer.js");
 
 const logger = getLogger("main");
 
 logger.info(`__dirname : ${__dirname}`);
 
-const SQLITE_FLAG = true;
-if (SQLITE_FLAG) logger.info("Using SQLite File Storage feature flag");
+let flags;
+try {
+  flags = loadFlags({
+    envFiles: [
+      path.join(process.cwd(), ".env"),
+      path.join(app.getPath("userData"), ".env"),
+    ],
+    settingsPath: path.join(app.getPath("userData"), "settings.json"),
+    onInvalid: (name, raw, source) =>
+      logger.warn(
+        `ignoring invalid value for flag ${name} from ${source}: ${raw}`
+      ),
+  });
+} catch (error) {
+  logger.error(error);
+  flags = loadFlags({ env: {} });
+}
+logger.info(`feature flags : ${JSON.stringify(flags)}`);
+const SQLITE_FLAG = flags.storageBackend === "sqlite";
 
 let database;
 let win;
+let reminders = null;
+let trashPurgeTimer = null;
+let backups = null;
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// deletes for good what has been in the trash longer than the retention
+async function purgeExpiredTrash() {
+  const before = new Date(
+    Date.now() - flags.trashRetentionDays * DAY_MS
+  ).toISOString();
+  const purged = await database.purgeTrash({ before });
+  if (purged > 0) logger.info(`purged ${purged} todos from the trash`);
+}
+
+// every open window hears about changed todos (see the "change" event in
+// database.js), whichever window or timer made the change
+function broadcastChange(change) {
+  for (const target of BrowserWindow.getAllWindows()) {
+    if (!target.isDestroyed()) target.webContents.send("todo:changed", change);
+  }
+}
+
+// re-plan reminders after todos changed
+function refreshReminders() {
+  if (!reminders) return;
+  reminders.refresh().catch((error) => logger.error(error));
+}
+
+// clicking a reminder opens the todo (or the list for a summary)
+function showReminder({ todoId, title, body }) {
+  const notification = new Notification({ title, body });
+  notification.on("click", () => {
+    if (!win || win.isDestroyed()) createWindow();
+    if (todoId) openEditPage(todoId);
+    if (win.isMinimized()) win.restore();
+    win.focus();
+  });
+  notification.show();
+}
 
 function createWindow() {
   win = new BrowserWindow({
@@ -38,8 +117,8 @@ ipcMain.handle("dark-mode:toggle", () => {
   return nativeTheme.shouldUseDarkColors;
 });
 
-ipcMain.handle("sql-flag:get", () => {
-  return SQLITE_FLAG;
+ipcMain.handle("flags:get", () => {
+  return flags;
 });
 
 ipcMain.handle("dark-mode:system", () => {
@@ -48,15 +127,35 @@ ipcMain.handle("dark-mode:system", () => {
 
 // Removed navigation-related IPC and events
 
-ipcMain.on("todo:add", async (event, todo) => {
-  //add todo to database
-  logger.info(`todo : ${JSON.stringify(todo, null, 2)}`);
+// A thrown error reaches the renderer as a bare message, so writes refused
+// with a ConflictError resolve to { conflict: <the todo as stored now> } and
+// those refused by validation.js to { errors: { field: message } }. Null for
+// any other error.
+function refusedWrite(error) {
+  if (error instanceof ConflictError) {
+    logger.warn(error.message);
+    return { conflict: error.current };
+  }
+  if (error instanceof ValidationError) {
+    logger.warn(error.message);
+    return { errors: error.errors };
+  }
+  return null;
+}
+
+// Resolves to the added todo, or to { errors } (see refusedWrite).
+ipcMain.handle("todo:add", async (event, todo) => {
   try {
     logger.info(`adding todo : ${JSON.stringify(todo, null, 2)}`);
-    await database.addTodo(todo);
-    logger.info(`todo added : ${JSON.stringify(todo, null, 2)}`);
+    const added = await database.addTodo(todo);
+    refreshReminders();
+    logger.info(`todo added : ${JSON.stringify(added, null, 2)}`);
+    return added;
   } catch (error) {
+    const refused = refusedWrite(error);
+    if (refused) return refused;
     logger.error(error);
+    throw error;
   }
 });
 
@@ -71,13 +170,66 @@ ipcMain.handle("todo:get", async () => {
   }
 });
 
+ipcMain.handle("todo:query", async (event, query) => {
+  try {
+    return await database.queryTodos(query);
+  } catch (error) {
+    logger.error(error);
+    throw error;
+  }
+});
+
+ipcMain.handle("todo:search", async (event, text) => {
+  try {
+    return await database.searchTodos(text);
+  } catch (error) {
+    logger.error(error);
+    throw error;
+  }
+});
+
+ipcMain.handle("todo:get-by-due-date", async (event, range) => {
+  try {
+    return await database.getTodosByDueDate(range);
+  } catch (error) {
+    logger.error(error);
+    throw error;
+  }
+});
+
+ipcMain.handle("todo:get-day-counts", async (event, range) => {
+  try {
+    return await database.getDayCounts(range);
+  } catch (error) {
+    logger.error(error);
+    throw error;
+  }
+});
+
+ipcMain.handle("todo:get-on-day", async (event, date) => {
+  try {
+    return await database.getTodosOnDay(date);
+  } catch (error) {
+    logger.error(error);
+    throw error;
+  }
+});
+
+// The todo sent along is the version the renderer last saw. A write over a
+// newer version resolves to { conflict }, bad fields to { errors } (see
+// refusedWrite).
 ipcMain.handle("todo:update", async (event, todoData) => {
   try {
     logger.info(`updating todo : ${JSON.stringify(todoData, null, 2)}`);
-    const updatedTodo = await database.updateTodo(todoData.id, todoData);
+    const updatedTodo = await database.updateTodo(todoData.id, todoData, {
+      expectedVersion: todoData.version,
+    });
     logger.info(`todo updated : ${JSON.stringify(updatedTodo, null, 2)}`);
+    refreshReminders();
     return updatedTodo;
   } catch (error) {
+    const refused = refusedWrite(error);
+    if (refused) return refused;
     logger.error(error);
     throw error;
   }
@@ -86,15 +238,256 @@ ipcMain.handle("todo:update", async (event, todoData) => {
 ipcMain.handle("todo:delete", async (event, todoData) => {
   try {
     logger.info(`deleting todo : ${JSON.stringify(todoData, null, 2)}`);
-    const deleted = await database.deleteTodo(todoData.id);
+    const deleted = await database.deleteTodo(todoData.id, {
+      expectedVersion: todoData.version,
+    });
     logger.info(`todo deleted : ${deleted}`);
+    refreshReminders();
     return deleted;
+  } catch (error) {
+    const refused = refusedWrite(error);
+    if (refused) return refused;
+    logger.error(error);
+    throw error;
+  }
+});
+
+ipcMain.handle("todo:revisions", async (event, id) => {
+  try {
+    return await database.getRevisions(id);
+  } catch (error) {
+    logger.error(error);
+    throw error;
+  }
+});
+
+// `version` is the one the renderer last saw, as for todo:update; resolves
+// to the todo, null, { conflict } or { errors }
+ipcMain.handle(
+  "todo:restore-revision",
+  async (event, { id, revisionId, version }) => {
+    try {
+      logger.info(`restoring todo ${id} to before revision ${revisionId}`);
+      const todo = await database.restoreRevision(id, revisionId, {
+        expectedVersion: version,
+      });
+      refreshReminders();
+      return todo;
+    } catch (error) {
+      const refused = refusedWrite(error);
+      if (refused) return refused;
+      logger.error(error);
+      throw error;
+    }
+  }
+);
+
+// asks where to save, then writes every todo (or those matching `query`);
+// resolves to { count, filePath }, or null when the dialog was cancelled
+ipcMain.handle("export:todos", async (event, { format, query = null }) => {
+  try {
+    const spec = EXPORT_FORMATS[format];
+    if (!spec) throw new Error(`Unknown export format: ${format}`);
+    const day = new Date().toISOString().slice(0, 10);
+    const { canceled, filePath } = await dialog.showSaveDialog(
+      BrowserWindow.fromWebContents(event.sender),
+      {
+        title: "Export todos",
+        defaultPath: path.join(
+          app.getPath("documents"),
+          `todos-${day}.${spec.extension}`
+        ),
+        filters: [{ name: spec.label, extensions: [spec.extension] }],
+      }
+    );
+    if (canceled || !filePath) return null;
+    const result = await exportTodos({ database, format, filePath, query });
+    logger.info(`exported ${result.count} todos to ${result.filePath}`);
+    return result;
+  } catch (error) {
+    logger.error(error);
+    throw error;
+  }
+});
+
+// Import: choose a file, preview it, then apply. The file is read again
+// when applying so duplicates are checked against the current todos.
+ipcMain.handle("import:choose-file", async (event) => {
+  try {
+    const { canceled, filePaths } = await dialog.showOpenDialog(
+      BrowserWindow.fromWebContents(event.sender),
+      {
+        title: "Import todos",
+        properties: ["openFile"],
+        filters: [
+          {
+            name: "Markdown, CSV or iCalendar",
+            extensions: Object.values(IMPORT_FORMATS).flatMap(
+              (f) => f.extensions
+            ),
+          },
+        ],
+      }
+    );
+    return canceled || filePaths.length === 0 ? null : filePaths[0];
+  } catch (error) {
+    logger.error(error);
+    throw error;
+  }
+});
+
+ipcMain.handle("import:preview", async (event, { filePath, sectionsAs }) => {
+  try {
+    const { format, candidates } = await readImportFile(filePath);
+    const preview = await previewImport(database, candidates, { sectionsAs });
+    return { ...preview, filePath, format };
+  } catch (error) {
+    logger.error(error);
+    throw error;
+  }
+});
+
+ipcMain.handle(
+  "import:apply",
+  async (event, { filePath, sectionsAs, skipDuplicates }) => {
+    try {
+      const { candidates } = await readImportFile(filePath);
+      const preview = await previewImport(database, candidates, {
+        sectionsAs,
+      });
+      const result = await applyImport(database, preview, { skipDuplicates });
+      logger.info(
+        `imported ${result.added} todos from ${filePath} (${result.skipped} skipped)`
+      );
+      refreshReminders();
+      return result;
+    } catch (error) {
+      logger.error(error);
+      throw error;
+    }
+  }
+);
+
+// backups stays null when storage failed to start
+function backupService() {
+  if (!backups) {
+    throw new Error(
+      "Backups are unavailable because the database could not be opened."
+    );
+  }
+  return backups;
+}
+
+ipcMain.handle("backup:list", async () => {
+  try {
+    return await backupService().listBackups();
+  } catch (error) {
+    logger.error(error);
+    throw error;
+  }
+});
+
+ipcMain.handle("backup:create", async () => {
+  try {
+    const filePath = await backupService().backupNow();
+    logger.info(`backup written to ${filePath}`);
+    return filePath;
+  } catch (error) {
+    logger.error(error);
+    throw error;
+  }
+});
+
+ipcMain.handle("backup:restore", async (event, name) => {
+  try {
+    const result = await backupService().restore(name);
+    logger.info(
+      `restored ${result.count} todos from backup ${name}, previous data saved as ${result.savedAs}`
+    );
+    refreshReminders();
+    return result;
   } catch (error) {
     logger.error(error);
     throw error;
   }
 });
 
+ipcMain.handle("trash:list", async () => {
+  try {
+    return await database.getTrashedTodos();
+  } catch (error) {
+    logger.error(error);
+    throw error;
+  }
+});
+
+ipcMain.handle("trash:restore", async (event, id) => {
+  try {
+    logger.info(`restoring todo : ${id}`);
+    const todo = await database.restoreTodo(id);
+    refreshReminders();
+    return todo;
+  } catch (error) {
+    logger.error(error);
+    throw error;
+  }
+});
+
+ipcMain.handle("trash:purge", async (event, id) => {
+  try {
+    logger.info(`purging todo : ${id}`);
+    return await database.purgeTodo(id);
+  } catch (error) {
+    logger.error(error);
+    throw error;
+  }
+});
+
+ipcMain.handle("trash:empty", async () => {
+  try {
+    const purged = await database.purgeTrash();
+    logger.info(`emptied the trash : ${purged} todos`);
+    return purged;
+  } catch (error) {
+    logger.error(error);
+    throw error;
+  }
+});
+
+// both resolve to the label of the change, null when there was none, or
+// { cannotUndo: message } when it no longer applies
+ipcMain.handle("todo:undo", async () => {
+  try {
+    const label = await database.undo();
+    logger.info(`undo : ${label}`);
+    refreshReminders();
+    return label;
+  } catch (error) {
+    if (error instanceof CannotUndoError) {
+      logger.warn(error.message);
+      return { cannotUndo: error.message };
+    }
+    logger.error(error);
+    throw error;
+  }
+});
+
+ipcMain.handle("todo:redo", async () => {
+  try {
+    const label = await database.redo();
+    logger.info(`redo : ${label}`);
+    refreshReminders();
+    return label;
+  } catch (error) {
+    if (error instanceof CannotUndoError) {
+      logger.warn(error.message);
+      return { cannotUndo: error.message };
+    }
+    logger.error(error);
+    throw error;
+  }
+});
+
 ipcMain.handle("todo:get-by-id", async (event, id) => {
   try {
     logger.info(`getting todo by id : ${id}`);
@@ -107,13 +500,97 @@ ipcMain.handle("todo:get-by-id", async (event, id) => {
   }
 });
 
-// Navigate to edit page
-ipcMain.on("navigate:edit", (event, todoId) => {
+ipcMain.handle("tag:list", async () => {
+  try {
+    return await database.getAllTags();
+  } catch (error) {
+    logger.error(error);
+    throw error;
+  }
+});
+
+ipcMain.handle("tag:create", async (event, name) => {
+  try {
+    logger.info(`creating tag : ${name}`);
+    return await database.createTag(name);
+  } catch (error) {
+    logger.error(error);
+    throw error;
+  }
+});
+
+ipcMain.handle("tag:rename", async (event, { id, name }) => {
+  try {
+    logger.info(`renaming tag ${id} : ${name}`);
+    return await database.renameTag(id, name);
+  } catch (error) {
+    logger.error(error);
+    throw error;
+  }
+});
+
+ipcMain.handle("tag:delete", async (event, id) => {
+  try {
+    logger.info(`deleting tag : ${id}`);
+    return await database.deleteTag(id);
+  } catch (error) {
+    logger.error(error);
+    throw error;
+  }
+});
+
+ipcMain.handle("list:list", async () => {
+  try {
+    return await database.getAllLists();
+  } catch (error) {
+    logger.error(error);
+    throw error;
+  }
+});
+
+ipcMain.handle("list:create", async (event, name) => {
+  try {
+    logger.info(`creating list : ${name}`);
+    return await database.createList(name);
+  } catch (error) {
+    logger.error(error);
+    throw error;
+  }
+});
+
+ipcMain.handle("list:rename", async (event, { id, name }) => {
+  try {
+    logger.info(`renaming list ${id} : ${name}`);
+    return await database.renameList(id, name);
+  } catch (error) {
+    logger.error(error);
+    throw error;
+  }
+});
+
+ipcMain.handle("list:delete", async (event, { id, todos, moveTo }) => {
+  try {
+    logger.info(`deleting list ${id} (${todos} todos)`);
+    const deleted = await database.deleteList(id, { todos, moveTo });
+    refreshReminders();
+    return deleted;
+  } catch (error) {
+    logger.error(error);
+    throw error;
+  }
+});
+
+function openEditPage(todoId) {
   if (win) {
     win.loadFile("src/edit/edit.html");
     // Store the todo ID for the edit page to retrieve
     win.todoId = todoId;
   }
+}
+
+// Navigate to edit page
+ipcMain.on("navigate:edit", (event, todoId) => {
+  openEditPage(todoId);
 });
 
 // Navigate back to main page
@@ -135,21 +612,83 @@ app.whenReady().then(async () => {
     const fileStoragePath = path.join(userDataPath, "db", "todo.json");
     const sqliteFileStoragePath = path.join(userDataPath, "db", "todo.db");
 
-    const fileStorage = SQLITE_FLAG
-      ? new SqliteFileStorage({
-          filepath: sqliteFileStoragePath,
-        })
-      : new FileStorage({
-          filepath: fileStoragePath,
-        });
+    const openStorage = (filepath) =>
+      SQLITE_FLAG
+        ? new SqliteFileStorage({ filepath })
+        : new FileStorage({
+            filepath,
+            mode: flags.fileStorageMode,
+            fsync: flags.fileStorageFsync,
+            onError: (error) => logger.error(error),
+          });
+    const fileStorage = openStorage(
+      SQLITE_FLAG ? sqliteFileStoragePath : fileStoragePath
+    );
 
     database = new Database(fileStorage);
+    database.on("change", broadcastChange);
     await database.init();
     logger.info(
       `Database initialized at ${
         SQLITE_FLAG ? sqliteFileStoragePath : fileStoragePath
       }`
     );
+
+    if (SQLITE_FLAG) {
+      // bring over todos left behind by the file backend (runs once)
+      try {
+        const result = await importJsonIntoStorage({
+          jsonPath: fileStoragePath,
+          storage: database,
+        });
+        if (result.markedAs) {
+          logger.info(
+            `imported ${result.imported} todos from ${fileStoragePath} (${result.skipped} already present), marked as ${result.markedAs}`
+          );
+        }
+      } catch (error) {
+        logger.error(error);
+      }
+    }
+
+    try {
+      await purgeExpiredTrash();
+    } catch (error) {
+      logger.error(error);
+    }
+    trashPurgeTimer = setInterval(() => {
+      purgeExpiredTrash().catch((error) => logger.error(error));
+    }, DAY_MS);
+
+    backups = new BackupService({
+      database,
+      sourcePath: SQLITE_FLAG ? sqliteFileStoragePath : fileStoragePath,
+      backupDir: path.join(userDataPath, "backups"),
+      maxBackups: Math.floor(flags.backupCount),
+      intervalMs: flags.backupIntervalHours * HOUR_MS,
+      openStorage,
+      onError: (error) => logger.error(error),
+    });
+    try {
+      await backups.start();
+    } catch (error) {
+      logger.error(error);
+    }
+
+    if (flags.reminders && Notification.isSupported()) {
+      reminders = new ReminderScheduler({
+        database,
+        notify: showReminder,
+        statePath: path.join(userDataPath, "reminders.json"),
+        defaultHour: flags.reminderHour,
+        onError: (error) => logger.error(error),
+      });
+      try {
+        await reminders.start();
+      } catch (error) {
+        logger.error(error);
+      }
+    }
   } catch (error) {
     logger.error(error);
   }
@@ -157,9 +696,13 @@ app.whenReady().then(async () => {
   createWindow();
 });
 
-app.on("window-all-closed", () => {
+app.on("window-all-closed", async () => {
+  if (reminders) reminders.stop();
+  clearInterval(trashPurgeTimer);
+  if (backups) backups.stop();
   try {
-    database.close();
+    // FileStorage writes todo.json and drops its journal here: quit after
+    await database.close();
     logger.info("Database closed");
   } catch (error) {
     logger.error(error);
@@ -9,16 +9,89 @@ contextBridge.exposeInMainWorld("darkMode", {
 // Removed goToNextPage and nav exposures
 
 contextBridge.exposeInMainWorld("todo", {
-  addTodo: (todo) => ipcRenderer.send("todo:add", todo),
+  // resolves to the new todo, or { errors: { field: message } }
+  addTodo: (todo) => ipcRenderer.invoke("todo:add", todo),
   getTodos: () => ipcRenderer.invoke("todo:get"),
+  queryTodos: (query) => ipcRenderer.invoke("todo:query", query),
+  searchTodos: (text) => ipcRenderer.invoke("todo:search", text),
+  getTodosByDueDate: (range) =>
+    ipcRenderer.invoke("todo:get-by-due-date", range),
+  getDayCounts: (range) => ipcRenderer.invoke("todo:get-day-counts", range),
+  getTodosOnDay: (date) => ipcRenderer.invoke("todo:get-on-day", date),
   getTodoById: (id) => ipcRenderer.invoke("todo:get-by-id", id),
   getCurrentTodoId: () => ipcRenderer.invoke("todo:get-current-id"),
   updateTodo: (todo) => ipcRenderer.invoke("todo:update", todo),
   deleteTodo: (todo) => ipcRenderer.invoke("todo:delete", todo),
+  getRevisions: (id) => ipcRenderer.invoke("todo:revisions", id),
+  // back to how the todo was just before that revision; `version` as for
+  // updateTodo
+  restoreRevision: (id, revisionId, version) =>
+    ipcRenderer.invoke("todo:restore-revision", { id, revisionId, version }),
+  // resolve to the change's label, null when there is nothing to take back
+  // (or re-apply), or { cannotUndo: message } when it no longer applies
+  undo: () => ipcRenderer.invoke("todo:undo"),
+  redo: () => ipcRenderer.invoke("todo:redo"),
   navigateToEdit: (todoId) => ipcRenderer.send("navigate:edit", todoId),
   navigateToMain: () => ipcRenderer.send("navigate:main"),
+  // callback({ type: 'added' | 'updated' | 'deleted' | 'reset', todo })
+  // after any change to the todos; returns a function that unsubscribes
+  onChanged: (callback) => {
+    const listener = (event, change) => callback(change);
+    ipcRenderer.on("todo:changed", listener);
+    return () => ipcRenderer.removeListener("todo:changed", listener);
+  },
 });
 
-contextBridge.exposeInMainWorld("sqlFlag", {
-  get: () => ipcRenderer.invoke("sql-flag:get"),
+contextBridge.exposeInMainWorld("tags", {
+  list: () => ipcRenderer.invoke("tag:list"),
+  create: (name) => ipcRenderer.invoke("tag:create", name),
+  rename: (id, name) => ipcRenderer.invoke("tag:rename", { id, name }),
+  delete: (id) => ipcRenderer.invoke("tag:delete", id),
+});
+
+contextBridge.exposeInMainWorld("lists", {
+  list: () => ipcRenderer.invoke("list:list"),
+  create: (name) => ipcRenderer.invoke("list:create", name),
+  rename: (id, name) => ipcRenderer.invoke("list:rename", { id, name }),
+  // todos: 'move' (to moveTo, default the Inbox) | 'delete'
+  delete: (id, { todos, moveTo } = {}) =>
+    ipcRenderer.invoke("list:delete", { id, todos, moveTo }),
+});
+
+contextBridge.exposeInMainWorld("trash", {
+  list: () => ipcRenderer.invoke("trash:list"),
+  restore: (id) => ipcRenderer.invoke("trash:restore", id),
+  purge: (id) => ipcRenderer.invoke("trash:purge", id),
+  empty: () => ipcRenderer.invoke("trash:empty"),
+});
+
+contextBridge.exposeInMainWorld("exporter", {
+  // format: 'json' | 'csv' | 'markdown' | 'ical'; query limits the export
+  // to the todos matching it (see src/storage/todoQuery.js)
+  exportTodos: (format, query = null) =>
+    ipcRenderer.invoke("export:todos", { format, query }),
+});
+
+contextBridge.exposeInMainWorld("importer", {
+  chooseFile: () => ipcRenderer.invoke("import:choose-file"),
+  // sectionsAs: 'lists' | 'tags' | 'none' for "##" headings / CSV lists
+  preview: (filePath, sectionsAs) =>
+    ipcRenderer.invoke("import:preview", { filePath, sectionsAs }),
+  apply: (filePath, { sectionsAs, skipDuplicates }) =>
+    ipcRenderer.invoke("import:apply", {
+      filePath,
+      sectionsAs,
+      skipDuplicates,
+    }),
+});
+
+contextBridge.exposeInMainWorld("backups", {
+  list: () => ipcRenderer.invoke("backup:list"),
+  create: () => ipcRenderer.invoke("backup:create"),
+  // name as listed, e.g. "todo.db.2"
+  restore: (name) => ipcRenderer.invoke("backup:restore", name),
+});
+
+contextBridge.exposeInMainWorld("flags", {
+  get: () => ipcRenderer.invoke("flags:get"),
 });
@@ -0,0 +1,191 @@
+// src/reminders/reminderScheduler.js
+"use strict";
+
+const fs = require("fs/promises");
+const path = require("path");
+
+// longest single wait; long timers drift across sleep and setTimeout
+// cannot wait more than ~24.8 days anyway
+const MAX_DELAY_MS = 60 * 60 * 1000;
+
+// more missed reminders than this are shown as one summary notification
+const MAX_CATCH_UP_NOTIFICATIONS = 3;
+
+const REAL_CLOCK = {
+  now: () => Date.now(),
+  setTimeout: (fn, ms) => setTimeout(fn, ms),
+  clearTimeout: (handle) => clearTimeout(handle),
+};
+
+/**
+ * When a todo reminds: its remindAt, or `defaultHour` (local time) on its
+ * due date. null for todos without either.
+ */
+function reminderTimeOf(todo, defaultHour) {
+  if (todo.remindAt) return Date.parse(todo.remindAt);
+  if (!todo.dueDate) return null;
+  const [y, m, d] = todo.dueDate.split("-").map(Number);
+  const hours = Math.floor(defaultHour);
+  return new Date(
+    y,
+    m - 1,
+    d,
+    hours,
+    Math.round((defaultHour - hours) * 60)
+  ).getTime();
+}
+
+/**
+ * Fires a notification for every pending todo whose reminder time has come.
+ *
+ * The time of the last check is kept in a small JSON state file, so after
+ * a restart the reminders that fell due while the app was closed are shown
+ * once (as a summary when there are many). On the very first run nothing
+ * from the past is replayed.
+ *
+ * Call refresh() whenever todos change so the next timer is re-planned.
+ */
+class ReminderScheduler {
+  /**
+   * options:
+   *  - database: Database (or storage) with queryTodos()
+   *  - notify: ({ todoId, title, body }) => void; todoId is null for a summary
+   *  - statePath: JSON file for the scheduler state
+   *  - defaultHour: local hour for todos that only have a due date (default 9)
+   *  - clock: { now, setTimeout, clearTimeout } (default the real ones)
+   *  - fsModule: optional injection for fs/promises (for testing)
+   *  - onError: called with errors of timer-driven checks
+   *    (default console.error)
+   */
+  constructor(options = {}) {
+    const {
+      database,
+      notify,
+      statePath,
+      defaultHour = 9,
+      clock = REAL_CLOCK,
+      fsModule = fs,
+      onError = (err) => console.error(err),
+    } = options;
+    if (!database) throw new Error("database is required");
+    if (typeof notify !== "function") throw new Error("notify is required");
+    if (!statePath) throw new Error("statePath is required");
+
+    this.database = database;
+    this.notify = notify;
+    this.statePath = statePath;
+    this.defaultHour = defaultHour;
+    this.clock = clock;
+    this.fs = fsModule;
+    this.onError = onError;
+
+    this._lastCheck = null;
+    this._timer = null;
+    this._running = Promise.resolve();
+    this._stopped = true;
+  }
+
+  async start() {
+    this._stopped = false;
+    this._lastCheck = await this._readState();
+    await this.refresh();
+  }
+
+  stop() {
+    this._stopped = true;
+    this._clearTimer();
+  }
+
+  /**
+   * Fires what is due since the last check and plans the next timer.
+   * Checks never overlap; resolves when this one has finished.
+   */
+  refresh() {
+    const run = this._running.then(() => this._check());
+    this._running = run.catch(() => {});
+    return run;
+  }
+
+  async _check() {
+    if (this._stopped) return;
+    this._clearTimer();
+    const now = this.clock.now();
+    // first run: start from now instead of replaying the whole past
+    const since = this._lastCheck === null ? now : this._lastCheck;
+
+    const todos = await this.database.queryTodos({ where: { done: false } });
+    const due = [];
+    let next = null;
+    for (const todo of todos) {
+      const at = reminderTimeOf(todo, this.defaultHour);
+      if (at === null || Number.isNaN(at)) continue;
+      if (at > since && at <= now) {
+        due.push({ todo, at });
+      } else if (at > now && (next === null || at < next)) {
+        next = at;
+      }
+    }
+
+    due.sort((a, b) => a.at - b.at);
+    if (due.length > MAX_CATCH_UP_NOTIFICATIONS) {
+      this.notify({
+        todoId: null,
+        title: `${due.length} reminders`,
+        body: due.map(({ todo }) => todo.title).join(", "),
+      });
+    } else {
+      for (const { todo } of due) {
+        this.notify({
+          todoId: todo.id,
+          title: todo.title,
+          body: todo.dueDate ? `Due ${todo.dueDate}` : "Reminder",
+        });
+      }
+    }
+
+    this._lastCheck = now;
+    await this._writeState();
+
+    if (next !== null && !this._stopped) {
+      const delay = Math.min(next - now, MAX_DELAY_MS);
+      this._timer = this.clock.setTimeout(() => {
+        this._timer = null;
+        this.refresh().catch((err) => this.onError(err));
+      }, delay);
+    }
+  }
+
+  _clearTimer() {
+    if (this._timer !== null) {
+      this.clock.clearTimeout(this._timer);
+      this._timer = null;
+    }
+  }
+
+  async _readState() {
+    let content;
+    try {
+      content = await this.fs.readFile(this.statePath, "utf8");
+    } catch (err) {
+      if (err.code === "ENOENT") return null;
+      throw err;
+    }
+    try {
+      const lastCheck = Date.parse(JSON.parse(content).lastCheck);
+      return Number.isNaN(lastCheck) ? null : lastCheck;
+    } catch (err) {
+      // unreadable state is treated like a first run
+      return null;
+    }
+  }
+
+  async _writeState() {
+    await this.fs.mkdir(path.dirname(this.statePath), { recursive: true });
+    const tmpPath = `${this.statePath}.tmp-${Date.now()}`;
+    const state = { lastCheck: new Date(this._lastCheck).toISOString() };
+    await this.fs.writeFile(tmpPath, JSON.stringify(state) + "\n", "utf8");
+    await this.fs.rename(tmpPath, this.statePath);
+  }
+}
+
+module.exports = { ReminderScheduler, reminderTimeOf };
@@ -17,19 +17,41 @@ document
     document.getElementById("theme-source").innerHTML = "System";
   });
 
+// Feature flags resolved by the main process (see src/flags/featureFlags.js)
+let flags = {};
+
+// Calendar strip in the header (calendar.js); selecting a day filters the list
+const calendar = createCalendar({
+  loadCounts: (range) => window.todo.getDayCounts(range),
+  onSelect: () => refreshTodoList(),
+});
+
 // Run initial check once DOM is ready
-window.addEventListener("DOMContentLoaded", () => {
+window.addEventListener("DOMContentLoaded", async () => {
+  await applyFlags();
   // Refresh UI
-  updateSqlFlag();
   refreshTodoList();
 });
 
-async function updateSqlFlag() {
-  const sqlFlag = await window.sqlFlag.get();
+async function applyFlags() {
+  flags = await window.flags.get();
+
+  document.getElementById("priority").hidden = !flags.priority;
+  document.getElementById("due-date").hidden = !flags.dueDates;
+  document.getElementById("view-switcher").hidden = !flags.dueDates;
+  document.getElementById("filter-priority").closest("label").hidden =
+    !flags.priority;
+  document.getElementById("filter-due").closest("label").hidden =
+    !flags.dueDates;
+  document.getElementById("calendar").hidden = !flags.calendar;
+  document.getElementById("filter-tag").closest("label").hidden = !flags.tags;
+  document.getElementById("list-sidebar").hidden = !flags.lists;
+
   const el = document.getElementById("sql-flag");
   if (!el) return;
+  el.hidden = !flags.showStorageIndicator;
   el.classList.remove("is-sql", "is-file");
-  if (sqlFlag) {
+  if (flags.storageBackend === "sqlite") {
     el.classList.add("is-sql");
     el.textContent = "SQL";
     el.title = "SQL storage";
@@ -40,118 +62,1009 @@ async function updateSqlFlag() {
   }
 }
 
+// Currently selected list view: "all" | "today" | "week"
+let currentView = localStorage.getItem("todo-view") || "all";
+
+document.querySelectorAll(".view-switcher [data-view]").forEach((button) => {
+  button.addEventListener("click", async () => {
+    currentView = button.dataset.view;
+    localStorage.setItem("todo-view", currentView);
+    await refreshTodoList();
+  });
+});
+
+// List selected in the sidebar: a list id, or "all" for every list
+let currentList = localStorage.getItem("todo-list-id") || "all";
+
+function selectedListId() {
+  return flags.lists && currentList !== "all" ? currentList : null;
+}
+
+// Renders the sidebar: "All lists" followed by every list with its number
+// of pending todos. Falls back to "all" when the selected list is gone.
+async function loadLists() {
+  const lists = await window.lists.list();
+  if (currentList !== "all" && !lists.some((l) => l.id === currentList)) {
+    currentList = "all";
+    localStorage.setItem("todo-list-id", currentList);
+  }
+
+  const container = document.getElementById("lists");
+  container.innerHTML = "";
+  const pendingTotal = lists.reduce((sum, l) => sum + l.pending, 0);
+  [{ id: "all", name: "All lists", pending: pendingTotal }, ...lists].forEach(
+    (list) => {
+      const item = document.createElement("li");
+      const button = document.createElement("button");
+      button.type = "button";
+      button.setAttribute("aria-current", String(list.id === currentList));
+      const name = document.createElement("span");
+      name.textContent = list.name;
+      const count = document.createElement("span");
+      count.className = "sidebar-count";
+      count.textContent = String(list.pending);
+      count.title = `${list.pending} pending`;
+      button.append(name, count);
+      button.addEventListener("click", async () => {
+        currentList = list.id;
+        localStorage.setItem("todo-list-id", currentList);
+        await refreshTodoList();
+      });
+      item.appendChild(button);
+      container.appendChild(item);
+    }
+  );
+
+  // rename/delete for the selected list; the Inbox can only be renamed
+  const current = lists.find((l) => l.id === currentList);
+  document.getElementById("list-actions").hidden = !current;
+  if (current) {
+    document.getElementById("list-name").value = current.name;
+    document.getElementById("list-delete").hidden = current.id === "inbox";
+  }
+  return lists;
+}
+
+document
+  .getElementById("list-new-form")
+  .addEventListener("submit", async (e) => {
+    e.preventDefault();
+    const input = document.getElementById("list-new");
+    if (!input.value.trim()) return;
+    try {
+      const list = await window.lists.create(input.value);
+      input.value = "";
+      currentList = list.id;
+      localStorage.setItem("todo-list-id", currentList);
+      await refreshTodoList();
+    } catch (error) {
+      console.error("Error creating list:", error);
+      alert(error.message);
+    }
+  });
+
+document.getElementById("list-rename").addEventListener("click", async () => {
+  try {
+    await window.lists.rename(
+      currentList,
+      document.getElementById("list-name").value
+    );
+    await refreshTodoList();
+  } catch (error) {
+    console.error("Error renaming list:", error);
+    alert(error.message);
+  }
+});
+
+// Asks whether the todos of the list move to another list or go with it
+document.getElementById("list-delete").addEventListener("click", async () => {
+  const lists = await window.lists.list();
+  const list = lists.find((l) => l.id === currentList);
+  if (!list) return;
+
+  const dialog = document.getElementById("delete-list-dialog");
+  document.getElementById("delete-list-name").textContent = list.name;
+  document.getElementById("delete-list-count").textContent =
+    list.count === 1 ? "It has 1 todo." : `It has ${list.count} todos.`;
+  const moveTo = document.getElementById("delete-list-move-to");
+  moveTo.innerHTML = "";
+  lists
+    .filter((l) => l.id !== list.id)
+    .forEach((l) => {
+      const option = document.createElement("option");
+      option.value = l.id;
+      option.textContent = l.name;
+      moveTo.appendChild(option);
+    });
+  dialog.querySelector(
+    '[name="delete-list-todos"][value="move"]'
+  ).checked = true;
+
+  dialog.addEventListener(
+    "close",
+    async () => {
+      if (dialog.returnValue !== "confirm") return;
+      const todos = dialog.querySelector(
+        '[name="delete-list-todos"]:checked'
+      ).value;
+      try {
+        await window.lists.delete(list.id, { todos, moveTo: moveTo.value });
+        currentList = todos === "move" ? moveTo.value : "all";
+        localStorage.setItem("todo-list-id", currentList);
+        await refreshTodoList();
+      } catch (error) {
+        console.error("Error deleting list:", error);
+        alert(error.message);
+      }
+    },
+    { once: true }
+  );
+  dialog.showModal();
+});
+
+// Export: every todo or the ones the list toolbar currently selects, as
+// JSON, CSV or Markdown; the main process asks where to save
+document.getElementById("export-open").addEventListener("click", () => {
+  const dialog = document.getElementById("export-dialog");
+  dialog.addEventListener(
+    "close",
+    async () => {
+      if (dialog.returnValue !== "confirm") return;
+      const format = document.getElementById("export-format").value;
+      const scope = dialog.querySelector('[name="export-scope"]:checked').value;
+      try {
+        const result = await window.exporter.exportTodos(
+          format,
+          scope === "filtered" ? buildListQuery() : null
+        );
+        if (result) {
+          alert(`Exported ${result.count} todos to ${result.filePath}`);
+        }
+      } catch (error) {
+        console.error("Error exporting todos:", error);
+        alert(error.message);
+      }
+    },
+    { once: true }
+  );
+  dialog.showModal();
+});
+
+// Import: pick a Markdown or CSV file, preview what it would add (again
+// whenever the heading option changes), then import on confirm
+async function showImportPreview(filePath) {
+  const sectionsAs = document.getElementById("import-sections").value;
+  const preview = await window.importer.preview(filePath, sectionsAs);
+  const parts = [`${preview.todos.length} todos`];
+  if (preview.duplicates) parts.push(`${preview.duplicates} already exist`);
+  if (preview.updates) parts.push(`${preview.updates} update existing todos`);
+  if (preview.newLists.length) {
+    parts.push(`new lists: ${preview.newLists.join(", ")}`);
+  }
+  if (preview.newTags.length) {
+    parts.push(`new tags: ${preview.newTags.join(", ")}`);
+  }
+  document.getElementById("import-summary").textContent = parts.join(" · ");
+
+  const list = document.getElementById("import-preview");
+  list.innerHTML = "";
+  for (const todo of preview.todos) {
+    const li = document.createElement("li");
+    li.classList.toggle("duplicate", todo.duplicate);
+    const where = todo.listName ? ` → ${todo.listName}` : "";
+    const tags = todo.tagNames.map((name) => ` #${name}`).join("");
+    li.textContent = `${todo.done ? "[x]" : "[ ]"} ${
+      todo.title
+    }${where}${tags}`;
+    if (todo.duplicate) li.textContent += " (duplicate)";
+    if (todo.updateId) li.textContent += " (update)";
+    for (const warning of todo.warnings) {
+      const span = document.createElement("span");
+      span.className = "import-warning";
+      span.textContent = warning;
+      li.appendChild(span);
+    }
+    list.appendChild(li);
+  }
+}
+
+document.getElementById("import-open").addEventListener("click", async () => {
+  const dialog = document.getElementById("import-dialog");
+  const sections = document.getElementById("import-sections");
+  sections.querySelector('[value="lists"]').hidden = !flags.lists;
+  if (!flags.lists && sections.value === "lists") sections.value = "tags";
+  try {
+    const filePath = await window.importer.chooseFile();
+    if (!filePath) return;
+    document.getElementById("import-file").textContent = filePath;
+    await showImportPreview(filePath);
+    const onSectionsChange = () =>
+      showImportPreview(filePath).catch((error) => alert(error.message));
+    sections.addEventListener("change", onSectionsChange);
+    dialog.addEventListener(
+      "close",
+      async () => {
+        sections.removeEventListener("change", onSectionsChange);
+        if (dialog.returnValue !== "confirm") return;
+        try {
+          const result = await window.importer.apply(filePath, {
+            sectionsAs: sections.value,
+            skipDuplicates: document.getElementById("import-skip-duplicates")
+              .checked,
+          });
+          alert(
+            `Imported ${result.added} todos` +
+              (result.updated ? `, updated ${result.updated}` : "") +
+              (result.skipped ? ` (${result.skipped} duplicates skipped)` : "")
+          );
+        } catch (error) {
+          console.error("Error importing todos:", error);
+          alert(error.message);
+        }
+      },
+      { once: true }
+    );
+    dialog.showModal();
+  } catch (error) {
+    console.error("Error reading import file:", error);
+    alert(error.message);
+  }
+});
+
+// Backups: the snapshots the main process keeps, newest first; restoring
+// one replaces every todo, so the page reloads afterwards
+async function loadBackups() {
+  const backups = await window.backups.list();
+  const list = document.getElementById("backup-list");
+  list.innerHTML = "";
+  document.getElementById("backup-empty").hidden = backups.length > 0;
+  for (const backup of backups) {
+    const li = document.createElement("li");
+    const label = document.createElement("span");
+    label.textContent = `${new Date(
+      backup.createdAt
+    ).toLocaleString()} (${Math.ceil(backup.size / 1024)} KB)`;
+    const restoreButton = document.createElement("button");
+    restoreButton.type = "button";
+    restoreButton.textContent = "Restore";
+    restoreButton.className = "btn btn-outline btn-restore";
+    restoreButton.addEventListener("click", async () => {
+      const when = new Date(backup.createdAt).toLocaleString();
+      if (
+        !confirm(
+          `Replace all todos with the backup from ${when}? The current todos are backed up first.`
+        )
+      ) {
+        return;
+      }
+      try {
+        const result = await window.backups.restore(backup.name);
+        alert(`Restored ${result.count} todos`);
+        location.reload();
+      } catch (error) {
+        console.error("Error restoring backup:", error);
+        alert(error.message);
+      }
+    });
+    li.append(label, restoreButton);
+    list.appendChild(li);
+  }
+}
+
+document.getElementById("backup-open").addEventListener("click", async () => {
+  try {
+    await loadBackups();
+    document.getElementById("backup-dialog").showModal();
+  } catch (error) {
+    console.error("Error listing backups:", error);
+    alert(error.message);
+  }
+});
+
+document.getElementById("backup-now").addEventListener("click", async () => {
+  try {
+    await window.backups.create();
+    await loadBackups();
+  } catch (error) {
+    console.error("Error creating backup:", error);
+    alert(error.message);
+  }
+});
+
+// the list showed an older version of a todo than the one stored now
+async function reportConflict(current) {
+  alert(
+    `"${current.title}" was changed elsewhere, so nothing was done. The list now shows the latest version.`
+  );
+  await refreshTodoList();
+}
+
+// the todo each element was drawn from, as JSON
+const renderedTodos = new WeakMap();
+
+// highlights: optional { title, description } from a search result, with
+// matches wrapped in \u0002 ... \u0003 (see src/storage/todoSearch.js)
+function createTodoElement(todo, highlights = null) {
+  //each todo should have a button to edit and delete and mark complete
+  const editButton = document.createElement("button");
+  editButton.innerHTML = "Edit";
+  editButton.className = "btn btn-outline btn-edit";
+  editButton.disabled = !!todo.done;
+  if (todo.done) {
+    editButton.title = "Cannot edit a completed todo";
+  }
+  editButton.addEventListener("click", () => {
+    window.todo.navigateToEdit(todo.id);
+  });
+  const deleteButton = document.createElement("button");
+  deleteButton.innerHTML = "Delete";
+  deleteButton.className = "btn btn-danger btn-delete";
+  deleteButton.addEventListener("click", async () => {
+    if (confirm("Move this todo to the trash?")) {
+      try {
+        const result = await window.todo.deleteTodo(todo);
+        if (result && result.conflict) {
+          await reportConflict(result.conflict);
+        } else if (result) {
+          alert("Todo moved to the trash");
+        } else {
+          // trashed from another window in the meantime
+          alert("This todo is already in the trash");
+        }
+      } catch (error) {
+        console.error("Error deleting todo:", error);
+      }
+    }
+  });
+  const markCompleteButton = document.createElement("button");
+  markCompleteButton.innerHTML = todo.done
+    ? "Mark Incomplete"
+    : "Mark Complete";
+  markCompleteButton.className = `btn ${
+    todo.done ? "btn-warning" : "btn-success"
+  } btn-complete`;
+  markCompleteButton.addEventListener("click", async () => {
+    try {
+      const result = await window.todo.updateTodo({
+        ...todo,
+        done: !todo.done,
+      });
+      if (result && result.conflict) {
+        await reportConflict(result.conflict);
+      }
+    } catch (error) {
+      console.error("Error marking todo as complete:", error);
+    }
+  });
+  const li = document.createElement("li");
+  li.className = `todo-item ${todo.done ? "completed" : ""}`;
+  li.dataset.id = todo.id;
+  renderedTodos.set(li, JSON.stringify(todo));
+
+  const todoContent = document.createElement("div");
+  todoContent.className = "todo-content";
+
+  const titleElement = document.createElement("h3");
+  const descriptionElement = document.createElement("p");
+  if (highlights) {
+    titleElement.innerHTML = markHighlights(highlights.title);
+    descriptionElement.innerHTML = highlights.description
+      ? markHighlights(highlights.description)
+      : escapeHtml(todo.description || "No description");
+  } else {
+    titleElement.textContent = todo.title;
+    descriptionElement.textContent = todo.description || "No description";
+  }
+
+  const metaElement = document.createElement("div");
+  metaElement.className = "todo-meta";
+  metaElement.innerHTML = `
+    ${
+      flags.priority
+        ? `<span class="priority ${todo.priority || "medium"}">${(
+            todo.priority || "medium"
+          ).toUpperCase()}</span>`
+        : ""
+    }
+    <span class="status ${todo.done ? "done" : "pending"}">${
+    todo.done ? "Completed" : "Pending"
+  }</span>
+    <span class="date">${new Date(todo.createdAt).toLocaleDateString()}</span>
+  `;
+  if (todo.items && todo.items.length > 0) {
+    const doneCount = todo.items.filter((item) => item.done).length;
+    const progressElement = document.createElement("span");
+    progressElement.className = `progress ${
+      doneCount === todo.items.length ? "complete" : ""
+    }`;
+    progressElement.textContent = `${doneCount}/${todo.items.length} done`;
+    metaElement.appendChild(progressElement);
+  }
+  if (flags.tags) {
+    (todo.tags || []).forEach((tag) => {
+      const tagElement = document.createElement("span");
+      tagElement.className = "tag";
+      tagElement.textContent = `#${tag.name}`;
+      tagElement.title = `Show todos tagged #${tag.name}`;
+      tagElement.addEventListener("click", async () => {
+        document.getElementById("search").value = "";
+        calendar.clearSelection();
+        currentView = "all";
+        localStorage.setItem("todo-view", currentView);
+        document.getElementById("filter-tag").value = tag.id;
+        await refreshTodoList();
+      });
+      metaElement.appendChild(tagElement);
+    });
+  }
+  if (flags.reminders && todo.remindAt && !todo.done) {
+    const remindElement = document.createElement("span");
+    remindElement.className = "reminder";
+    remindElement.textContent = `🔔 ${new Date(todo.remindAt).toLocaleString(
+      undefined,
+      { dateStyle: "short", timeStyle: "short" }
+    )}`;
+    metaElement.appendChild(remindElement);
+  }
+  if (flags.recurrence && todo.recurrence) {
+    const repeatElement = document.createElement("span");
+    repeatElement.className = "repeat";
+    repeatElement.textContent = `↻ ${describeRecurrence(todo.recurrence)}`;
+    metaElement.appendChild(repeatElement);
+  }
+  if (flags.dueDates && todo.dueDate) {
+    const dueElement = document.createElement("span");
+    const overdue = !todo.done && todo.dueDate < localDateString();
+    dueElement.className = `due ${overdue ? "overdue" : ""}`;
+    dueElement.textContent = `Due ${formatDueDate(todo.dueDate)}`;
+    metaElement.appendChild(dueElement);
+  }
+
+  todoContent.appendChild(titleElement);
+  todoContent.appendChild(descriptionElement);
+  todoContent.appendChild(metaElement);
+
+  const buttonContainer = document.createElement("div");
+  buttonContainer.className = "todo-actions";
+  buttonContainer.appendChild(editButton);
+  buttonContainer.appendChild(markCompleteButton);
+  buttonContainer.appendChild(deleteButton);
+
+  li.appendChild(todoContent);
+  li.appendChild(buttonContainer);
+  return li;
+}
+
+// short label for a repeat rule (see src/storage/recurrence.js)
+function describeRecurrence(rule) {
+  switch (rule.type) {
+    case "daily":
+      return "Daily";
+    case "weekdays":
+      return "Weekdays";
+    case "weekly": {
+      // 2023-01-01 was a Sunday, so day n of that week has getDay() === n
+      const names = rule.days.map((d) =>
+        new Date(2023, 0, 1 + d).toLocaleDateString(undefined, {
+          weekday: "short",
+        })
+      );
+      return `Weekly on ${names.join(", ")}`;
+    }
+    case "monthly":
+      return `Monthly on day ${rule.day}`;
+    case "interval":
+      return rule.every === 1 ? "Daily" : `Every ${rule.every} days`;
+    default:
+      return "Repeats";
+  }
+}
+
 // Function to refresh the todo list
 async function refreshTodoList() {
   try {
-    const todos = await window.todo.getTodos();
+    const view = flags.dueDates ? currentView : "all";
+    document.querySelectorAll(".view-switcher [data-view]").forEach((b) => {
+      b.setAttribute("aria-selected", String(b.dataset.view === view));
+    });
+
     const todoList = document.getElementById("todo-list");
+    const todoGroups = document.getElementById("todo-groups");
+    const listToolbar = document.getElementById("list-toolbar");
     todoList.innerHTML = "";
-    todos.forEach((todo) => {
-      //each todo should have a button to edit and delete and mark complete
-      const editButton = document.createElement("button");
-      editButton.innerHTML = "Edit";
-      editButton.className = "btn btn-outline btn-edit";
-      editButton.disabled = !!todo.done;
-      if (todo.done) {
-        editButton.title = "Cannot edit a completed todo";
-      }
-      editButton.addEventListener("click", () => {
-        window.todo.navigateToEdit(todo.id);
+    todoGroups.innerHTML = "";
+    if (flags.calendar) calendar.refresh();
+    if (flags.tags) await loadTags();
+    if (flags.lists) await loadLists();
+
+    document
+      .getElementById("show-trash")
+      .setAttribute("aria-pressed", String(showingTrash));
+    if (showingTrash) {
+      listToolbar.hidden = true;
+      todoList.hidden = true;
+      todoGroups.hidden = false;
+      todoGroups.appendChild(await loadTrash());
+      return;
+    }
+
+    const searchText = document.getElementById("search").value.trim();
+    if (searchText) {
+      listToolbar.hidden = true;
+      todoList.hidden = true;
+      todoGroups.hidden = false;
+      const results = await window.todo.searchTodos(searchText);
+      const group = createTodoGroup({
+        key: "search",
+        label: `Results for “${searchText}”`,
+        todos: [],
       });
-      const deleteButton = document.createElement("button");
-      deleteButton.innerHTML = "Delete";
-      deleteButton.className = "btn btn-danger btn-delete";
-      deleteButton.addEventListener("click", async () => {
-        if (confirm("Are you sure you want to delete this todo?")) {
-          try {
-            const result = await window.todo.deleteTodo(todo);
-            if (result) {
-              alert("Todo deleted successfully");
-              await refreshTodoList();
-            } else {
-              console.error("Error deleting todo:");
-            }
-          } catch (error) {
-            console.error("Error deleting todo:", error);
-          }
-        }
+      const list = group.querySelector(".todo-grid");
+      results.forEach((result) => {
+        list.appendChild(createTodoElement(result.todo, result.highlights));
       });
-      const markCompleteButton = document.createElement("button");
-      markCompleteButton.innerHTML = todo.done
-        ? "Mark Incomplete"
-        : "Mark Complete";
-      markCompleteButton.className = `btn ${
-        todo.done ? "btn-warning" : "btn-success"
-      } btn-complete`;
-      markCompleteButton.addEventListener("click", async () => {
-        try {
-          await window.todo.updateTodo({ ...todo, done: !todo.done });
-          await refreshTodoList();
-        } catch (error) {
-          console.error("Error marking todo as complete:", error);
-        }
+      group.querySelector(".todo-group-count").textContent = String(
+        results.length
+      );
+      todoGroups.appendChild(group);
+      return;
+    }
+
+    if (flags.calendar && calendar.selected) {
+      listToolbar.hidden = true;
+      todoList.hidden = true;
+      todoGroups.hidden = false;
+      const todos = await window.todo.getTodosOnDay(calendar.selected);
+      const group = createTodoGroup({
+        key: "day",
+        label: formatDueDate(calendar.selected, { dateStyle: "full" }),
+        todos,
       });
-      const li = document.createElement("li");
-      li.className = `todo-item ${todo.done ? "completed" : ""}`;
-
-      const todoContent = document.createElement("div");
-      todoContent.className = "todo-content";
-
-      const titleElement = document.createElement("h3");
-      titleElement.textContent = todo.title;
-
-      const descriptionElement = document.createElement("p");
-      descriptionElement.textContent = todo.description || "No description";
-
-      const metaElement = document.createElement("div");
-      metaElement.className = "todo-meta";
-      metaElement.innerHTML = `
-        <span class="priority ${todo.priority || "medium"}">${(
-        todo.priority || "medium"
-      ).toUpperCase()}</span>
-        <span class="status ${todo.done ? "done" : "pending"}">${
-        todo.done ? "Completed" : "Pending"
-      }</span>
-        <span class="date">${new Date(
-          todo.createdAt
-        ).toLocaleDateString()}</span>
-      `;
-
-      todoContent.appendChild(titleElement);
-      todoContent.appendChild(descriptionElement);
-      todoContent.appendChild(metaElement);
-
-      const buttonContainer = document.createElement("div");
-      buttonContainer.className = "todo-actions";
-      buttonContainer.appendChild(editButton);
-      buttonContainer.appendChild(markCompleteButton);
-      buttonContainer.appendChild(deleteButton);
-
-      li.appendChild(todoContent);
-      li.appendChild(buttonContainer);
-      todoList.appendChild(li);
+      const clear = document.createElement("button");
+      clear.className = "btn btn-ghost todo-group-clear";
+      clear.textContent = "Show all";
+      clear.addEventListener("click", () => calendar.clearSelection());
+      group.querySelector(".todo-group-heading").appendChild(clear);
+      todoGroups.appendChild(group);
+      return;
+    }
+
+    listToolbar.hidden = view !== "all";
+    todoList.hidden = view !== "all";
+    todoGroups.hidden = view === "all";
+
+    if (view === "all") {
+      const todos = await window.todo.queryTodos(buildListQuery());
+      todos.forEach((todo) => todoList.appendChild(createTodoElement(todo)));
+      return;
+    }
+
+    const groups = await loadGroupedTodos(view);
+    groups.forEach((group) => {
+      todoGroups.appendChild(createTodoGroup(group));
     });
   } catch (error) {
     console.error("Error refreshing todo list:", error);
   }
 }
 
+// Trash view: deleted todos, newest first, until they are purged
+let showingTrash = false;
+
+document.getElementById("show-trash").addEventListener("click", async () => {
+  showingTrash = !showingTrash;
+  await refreshTodoList();
+});
+
+async function loadTrash() {
+  const todos = await window.trash.list();
+  const group = createTodoGroup({ key: "trash", label: "Trash", todos: [] });
+  group.querySelector(".todo-group-count").textContent = String(todos.length);
+
+  const empty = document.createElement("button");
+  empty.className = "btn btn-ghost todo-group-clear";
+  empty.textContent = "Empty trash";
+  empty.disabled = todos.length === 0;
+  empty.addEventListener("click", async () => {
+    if (!confirm("Delete every todo in the trash for good?")) return;
+    try {
+      await window.trash.empty();
+      await refreshTodoList();
+    } catch (error) {
+      console.error("Error emptying the trash:", error);
+      alert(error.message);
+    }
+  });
+  group.querySelector(".todo-group-heading").appendChild(empty);
+
+  const hint = document.createElement("p");
+  hint.className = "trash-hint";
+  hint.textContent = `Todos are deleted for good ${flags.trashRetentionDays} days after they were moved here.`;
+  group.insertBefore(hint, group.querySelector(".todo-grid"));
+
+  const list = group.querySelector(".todo-grid");
+  todos.forEach((todo) => list.appendChild(createTrashElement(todo)));
+  return group;
+}
+
+function createTrashElement(todo) {
+  const li = document.createElement("li");
+  li.className = "todo-item trashed";
+
+  const content = document.createElement("div");
+  content.className = "todo-content";
+  const title = document.createElement("h3");
+  title.textContent = todo.title;
+  const description = document.createElement("p");
+  description.textContent = todo.description || "No description";
+  const meta = document.createElement("div");
+  meta.className = "todo-meta";
+  const deleted = document.createElement("span");
+  deleted.className = "date";
+  deleted.textContent = `Deleted ${new Date(
+    todo.deletedAt
+  ).toLocaleDateString()}`;
+  meta.appendChild(deleted);
+  content.append(title, description, meta);
+
+  const restoreButton = document.createElement("button");
+  restoreButton.textContent = "Restore";
+  restoreButton.className = "btn btn-success btn-restore";
+  restoreButton.addEventListener("click", async () => {
+    try {
+      await window.trash.restore(todo.id);
+    } catch (error) {
+      console.error("Error restoring todo:", error);
+      alert(error.message);
+    }
+  });
+  const purgeButton = document.createElement("button");
+  purgeButton.textContent = "Delete forever";
+  purgeButton.className = "btn btn-danger btn-delete";
+  purgeButton.addEventListener("click", async () => {
+    if (!confirm("Delete this todo for good? This cannot be undone.")) return;
+    try {
+      await window.trash.purge(todo.id);
+      await refreshTodoList();
+    } catch (error) {
+      console.error("Error deleting todo:", error);
+      alert(error.message);
+    }
+  });
+
+  const actions = document.createElement("div");
+  actions.className = "todo-actions";
+  actions.append(restoreButton, purgeButton);
+  li.append(content, actions);
+  return li;
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// escape first, then turn the search markers into <mark> elements
+function markHighlights(text) {
+  return escapeHtml(text)
+    .replace(/\u0002/g, "<mark>")
+    .replace(/\u0003/g, "</mark>");
+}
+
+let searchTimer = null;
+document.getElementById("search").addEventListener("input", () => {
+  clearTimeout(searchTimer);
+  searchTimer = setTimeout(() => refreshTodoList(), 200);
+});
+
+// Filter and sort controls of the "All" view, turned into a todo:query
+// request (see src/storage/todoQuery.js)
+function buildListQuery() {
+  const status = document.getElementById("filter-status").value;
+  const priority = document.getElementById("filter-priority").value;
+  const due = document.getElementById("filter-due").value;
+  const tag = document.getElementById("filter-tag").value;
+  const sort = document.getElementById("sort-by").value;
+
+  const where = {};
+  if (status !== "any") where.done = status === "done";
+  if (priority !== "any") where.priority = priority;
+  if (flags.tags && tag !== "any") where.tagIds = [tag];
+  if (selectedListId()) where.listId = selectedListId();
+
+  const today = localDateString();
+  if (due === "overdue") {
+    where.done = false;
+    where.dueTo = localDateString(addDays(new Date(), -1));
+  } else if (due === "today") {
+    where.dueFrom = today;
+    where.dueTo = today;
+  } else if (due === "week") {
+    const days = weekDays(new Date());
+    where.dueFrom = days[0];
+    where.dueTo = days[days.length - 1];
+  } else if (due === "none") {
+    where.hasDueDate = false;
+  }
+
+  return { where, sort };
+}
+
+document.querySelectorAll("#list-toolbar select").forEach((select) => {
+  select.addEventListener("change", () => refreshTodoList());
+});
+
+// Fills the tag filter with the current tags (keeping the selection if the
+// tag still exists) and shows rename/delete for the selected one
+async function loadTags() {
+  const select = document.getElementById("filter-tag");
+  const selected = select.value;
+  const tags = await window.tags.list();
+  select.innerHTML = '<option value="any">Any</option>';
+  tags.forEach((tag) => {
+    const option = document.createElement("option");
+    option.value = tag.id;
+    option.textContent = `#${tag.name} (${tag.count})`;
+    select.appendChild(option);
+  });
+  const current = tags.find((t) => t.id === selected);
+  select.value = current ? current.id : "any";
+
+  const actions = document.getElementById("tag-actions");
+  actions.hidden = !current;
+  if (current) document.getElementById("tag-name").value = current.name;
+}
+
+document.getElementById("tag-rename").addEventListener("click", async () => {
+  const id = document.getElementById("filter-tag").value;
+  const name = document.getElementById("tag-name").value;
+  try {
+    await window.tags.rename(id, name);
+    await refreshTodoList();
+  } catch (error) {
+    console.error("Error renaming tag:", error);
+    alert(error.message);
+  }
+});
+
+document.getElementById("tag-delete").addEventListener("click", async () => {
+  const select = document.getElementById("filter-tag");
+  const name = select.selectedOptions[0].textContent;
+  if (!confirm(`Delete the tag ${name}? Todos keep everything else.`)) return;
+  try {
+    await window.tags.delete(select.value);
+    select.value = "any";
+    await refreshTodoList();
+  } catch (error) {
+    console.error("Error deleting tag:", error);
+  }
+});
+
+// Today: overdue / today / no date. This week: overdue / one group per
+// day from Monday to Sunday / no date. Empty groups are dropped, except
+// today's so the view never looks broken.
+async function loadGroupedTodos(view) {
+  const today = localDateString();
+  const days = view === "week" ? weekDays(new Date()) : [today];
+  const listId = selectedListId();
+  const todos = (
+    await window.todo.getTodosByDueDate({
+      from: days[0],
+      to: days[days.length - 1],
+      includeOverdue: true,
+      includeUndated: true,
+    })
+  ).filter((t) => !listId || t.listId === listId);
+
+  const groups = [
+    {
+      key: "overdue",
+      label: "Overdue",
+      todos: todos.filter((t) => t.dueDate && t.dueDate < days[0]),
+    },
+    ...days.map((day) => ({
+      key: day === today ? "today" : "day",
+      label:
+        day === today
+          ? "Today"
+          : formatDueDate(day, {
+              weekday: "long",
+              month: "short",
+              day: "numeric",
+            }),
+      todos: todos.filter((t) => t.dueDate === day),
+    })),
+    {
+      key: "no-date",
+      label: "No due date",
+      todos: todos.filter((t) => !t.dueDate),
+    },
+  ];
+  return groups.filter((g) => g.todos.length > 0 || g.key === "today");
+}
+
+function createTodoGroup(group) {
+  const section = document.createElement("section");
+  section.className = `todo-group todo-group-${group.key}`;
+
+  const heading = document.createElement("h3");
+  heading.className = "todo-group-heading";
+  heading.textContent = group.label;
+  const count = document.createElement("span");
+  count.className = "todo-group-count";
+  count.textContent = String(group.todos.length);
+  heading.appendChild(count);
+
+  const list = document.createElement("ul");
+  list.className = "todo-grid";
+  group.todos.forEach((todo) => list.appendChild(createTodoElement(todo)));
+
+  section.appendChild(heading);
+  section.appendChild(list);
+  return section;
+}
+
+// composer inputs of the fields src/validation.js checks
+const COMPOSER_INPUTS = {
+  title: "title",
+  description: "description",
+  priority: "priority",
+  dueDate: "due-date",
+};
+
+// errors: { field: message } from todo:add, or {} to clear them
+function showComposerErrors(errors) {
+  Object.entries(COMPOSER_INPUTS).forEach(([field, id]) => {
+    const input = document.getElementById(id);
+    if (errors[field]) input.setAttribute("aria-invalid", "true");
+    else input.removeAttribute("aria-invalid");
+  });
+  const list = document.getElementById("composer-errors");
+  list.innerHTML = "";
+  Object.values(errors).forEach((message) => {
+    const item = document.createElement("li");
+    item.textContent = message.charAt(0).toUpperCase() + message.slice(1);
+    list.appendChild(item);
+  });
+  list.hidden = list.children.length === 0;
+}
+
 // Todo functionality
 document.getElementById("add-todo").addEventListener("click", async () => {
-  const todo = document.getElementById("title").value;
-  const description = document.getElementById("description").value;
-  if (!todo || !description) {
-    alert("Please enter a title and description");
+  let result;
+  try {
+    result = await window.todo.addTodo({
+      title: document.getElementById("title").value,
+      description: document.getElementById("description").value,
+      priority: document.getElementById("priority").value,
+      dueDate: document.getElementById("due-date").value || null,
+      // "All lists" adds to the Inbox
+      listId: selectedListId(),
+    });
+  } catch (error) {
+    console.error("Error adding todo:", error);
+    alert(error.message);
     return;
   }
-  await window.todo.addTodo({ title: todo, description: description });
+  if (result.errors) {
+    showComposerErrors(result.errors);
+    const invalid = document.querySelector('.form-grid [aria-invalid="true"]');
+    if (invalid) invalid.focus();
+    return;
+  }
+  showComposerErrors({});
   // Clear the form
   document.getElementById("title").value = "";
   document.getElementById("description").value = "";
-  // Refresh the todo list
-  await refreshTodoList();
+  document.getElementById("priority").value = "medium";
+  document.getElementById("due-date").value = "";
 });
 
-document.getElementById("get-todos").addEventListener("click", async () => {
-  await refreshTodoList();
+// Live updates: the main process announces every change to the todos,
+// whichever window or timer made it. Changes arriving together are handled
+// at once. The "All" list is patched in place; the other views are built
+// again.
+let syncTimer = null;
+let resetPending = false;
+
+window.todo.onChanged((change) => {
+  if (change.type === "reset") resetPending = true;
+  clearTimeout(syncTimer);
+  syncTimer = setTimeout(syncTodoList, 50);
+});
+
+async function syncTodoList() {
+  const view = flags.dueDates ? currentView : "all";
+  const patchable =
+    view === "all" &&
+    !resetPending &&
+    !showingTrash &&
+    !document.getElementById("search").value.trim() &&
+    !(flags.calendar && calendar.selected);
+  resetPending = false;
+  if (!patchable) {
+    await refreshTodoList();
+    return;
+  }
+  try {
+    if (flags.calendar) calendar.refresh();
+    if (flags.tags) await loadTags();
+    if (flags.lists) await loadLists();
+    const todos = await window.todo.queryTodos(buildListQuery());
+    patchTodoList(document.getElementById("todo-list"), todos);
+  } catch (error) {
+    console.error("Error updating todo list:", error);
+  }
+}
+
+// Brings the elements of `list` in line with `todos`: todos that left are
+// removed, the others put in order, and only those that changed drawn again.
+function patchTodoList(list, todos) {
+  const ids = new Set(todos.map((todo) => todo.id));
+  const shown = new Map();
+  Array.from(list.children).forEach((li) => {
+    if (ids.has(li.dataset.id)) shown.set(li.dataset.id, li);
+    else li.remove();
+  });
+  todos.forEach((todo, index) => {
+    let li = shown.get(todo.id);
+    if (li && renderedTodos.get(li) !== JSON.stringify(todo)) {
+      li.remove();
+      li = null;
+    }
+    li = li || createTodoElement(todo);
+    if (list.children[index] !== li) {
+      list.insertBefore(li, list.children[index] || null);
+    }
+  });
+}
+
+// Undo/redo: Ctrl/Cmd+Z and Shift+Ctrl/Cmd+Z. Text fields keep their own
+// undo, so the shortcuts only act outside of them.
+let historyStatusTimer = null;
+
+function showHistoryStatus(text) {
+  const status = document.getElementById("history-status");
+  status.textContent = text;
+  clearTimeout(historyStatusTimer);
+  historyStatusTimer = setTimeout(() => {
+    status.textContent = "";
+  }, 4000);
+}
+
+async function undoOrRedo(redo) {
+  try {
+    const label = redo ? await window.todo.redo() : await window.todo.undo();
+    if (label === null) {
+      showHistoryStatus(redo ? "Nothing to redo" : "Nothing to undo");
+      return;
+    }
+    if (typeof label === "object") {
+      showHistoryStatus(
+        `Cannot ${redo ? "redo" : "undo"}: ${label.cannotUndo}`
+      );
+      return;
+    }
+    showHistoryStatus(`${redo ? "Redone" : "Undone"}: ${label}`);
+  } catch (error) {
+    console.error(`Error during ${redo ? "redo" : "undo"}:`, error);
+    alert(error.message);
+  }
+}
+
+document.addEventListener("keydown", (event) => {
+  if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+  if (event.key.toLowerCase() !== "z") return;
+  const target = event.target;
+  if (
+    target.isContentEditable ||
+    target.matches("textarea, input:not([type=checkbox]):not([type=radio])")
+  ) {
+    return;
+  }
+  event.preventDefault();
+  undoOrRedo(event.shiftKey);
 });
@@ -0,0 +1,27 @@
+// src/storage/conflictError.js
+"use strict";
+
+/**
+ * Thrown by updateTodo()/deleteTodo() when the caller's expectedVersion is
+ * not the todo's version any more, i.e. the todo changed since the caller
+ * read it. `current` is the todo as it is stored now.
+ */
+class ConflictError extends Error {
+  constructor(current) {
+    super(`"${current.title}" was changed elsewhere in the meantime`);
+    this.name = "ConflictError";
+    this.code = "CONFLICT";
+    this.current = current;
+  }
+}
+
+/**
+ * Throws a ConflictError unless `expectedVersion` is missing (no
+ * precondition) or matches the todo's version.
+ */
+function checkVersion(todo, expectedVersion) {
+  if (expectedVersion === undefined || expectedVersion === null) return;
+  if (todo.version !== expectedVersion) throw new ConflictError(todo);
+}
+
+module.exports = { ConflictError, checkVersion };
@@ -3,48 +3,68 @@
 
 const fs = require("fs/promises");
 const path = require("path");
-const crypto = require("crypto");
-
-function generateUuid() {
-  if (crypto && typeof crypto.randomUUID === "function") {
-    return crypto.randomUUID();
-  }
-  // lightweight fallback UUIDv4 (not cryptographically strong)
-  return "xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx".replace(/[xy]/g, (c) => {
-    const r = (Math.random() * 16) | 0;
-    const v = c === "x" ? r : (r & 0x3) | 0x8;
-    return v.toString(16);
-  });
-}
+const InMemoryStorage = require("./inMemoryStorage.js");
+
+const MODES = ["onClose", "immediate", "autosave"];
 
-class FileStorage {
+/**
+ * InMemoryStorage kept in a JSON file: read by init(), written on close()
+ * or after every change (mode 'immediate').
+ *
+ * On disk the file holds { todos, tags, lists, revisions }; todos reference
+ * their tags by id (tagIds) and their list by listId, revisions their todo
+ * by todoId. Files written before tags
+ * existed hold a bare array of todos and are still read.
+ *
+ * Outside mode 'immediate' every change is also appended to a journal
+ * (`<filepath>.journal`, one JSON line per changed record), which init()
+ * replays over the file, so a crash loses nothing written before it. Mode
+ * 'autosave' writes the file once changes have stopped for autosaveDelayMs;
+ * writing the file empties the journal. The file records the seq of the
+ * last journal entry it contains (journalSeq), and replay skips those.
+ */
+class FileStorage extends InMemoryStorage {
   /**
    * options:
    *  - filepath: string (default 'db/todo.json')
    *  - pretty: boolean (default true)
-   *  - mode: 'onClose' | 'immediate' (default 'onClose')
+   *  - mode: 'onClose' | 'immediate' | 'autosave' (default 'onClose')
+   *  - autosaveDelayMs: quiet time before mode 'autosave' writes (default 2000)
+   *  - fsync: flush writes to the disk before they count as done (default false)
+   *  - onError: called with errors from autosaves (default console.error)
    *  - fsModule: optional injection for fs/promises (for testing)
    */
   constructor(options = {}) {
+    super();
     const {
       filepath = path.join("db", "todo.json"),
       pretty = true,
       mode = "onClose",
+      autosaveDelayMs = 2000,
+      fsync = false,
+      onError = (err) => console.error(err),
       fsModule = fs,
     } = options;
 
-    if (!["onClose", "immediate"].includes(mode)) {
-      throw new Error("mode must be 'onClose' or 'immediate'");
+    if (!MODES.includes(mode)) {
+      throw new Error("mode must be 'onClose', 'immediate' or 'autosave'");
     }
 
     this.filepath = filepath;
+    this.journalPath = `${filepath}.journal`;
     this.pretty = !!pretty;
     this.mode = mode;
+    this.autosaveDelayMs = autosaveDelayMs;
+    this.fsync = !!fsync;
+    this.onError = onError;
     this.fs = fsModule;
-
-    this._map = new Map();
-    this._inited = false;
     this._dirty = false;
+    // number of changes so far; journal entries are numbered with it
+    this._seq = 0;
+    // the records as last journaled, to tell what a change touched
+    this._journaled = this._records();
+    this._io = Promise.resolve();
+    this._autosaveTimer = null;
   }
 
   async init() {
@@ -59,6 +79,15 @@ class FileStorage {
       throw err;
     }
 
+    const journalSeq = await this._load();
+    this._seq = journalSeq;
+    // also in mode 'immediate', for a journal left by another mode
+    if (await this._replayJournal(journalSeq)) this._dirty = true;
+    this._journaled = this._records();
+  }
+
+  // loads the file; resolves to the journalSeq it records (0 if none)
+  async _load() {
     // If file missing or empty or invalid, treat as empty array (do not overwrite file yet)
     let content = null;
     try {
@@ -68,7 +97,7 @@ class FileStorage {
         // missing file — start with empty
         this._map = new Map();
         this._dirty = true; // since in-memory differs from disk (no file)
-        return;
+        return 0;
       }
       throw err;
     }
@@ -77,143 +106,219 @@ class FileStorage {
       // empty file
       this._map = new Map();
       this._dirty = true;
-      return;
+      return 0;
     }
 
     try {
       const parsed = JSON.parse(content);
-      if (!Array.isArray(parsed)) {
+      const todos = Array.isArray(parsed)
+        ? parsed
+        : parsed && Array.isArray(parsed.todos)
+        ? parsed.todos
+        : null;
+      if (!todos) {
         // invalid shape -> treat as empty
         this._map = new Map();
         this._dirty = true;
-        return;
-      }
-      const map = new Map();
-      for (const item of parsed) {
-        if (item && typeof item.id === "string") {
-          map.set(item.id, item);
-        }
+        return 0;
       }
-      this._map = map;
+      this._fromData({
+        todos,
+        tags: (!Array.isArray(parsed) && parsed.tags) || [],
+        lists: (!Array.isArray(parsed) && parsed.lists) || [],
+        revisions: (!Array.isArray(parsed) && parsed.revisions) || [],
+      });
       this._dirty = false;
-      return;
+      return (!Array.isArray(parsed) && parsed.journalSeq) || 0;
     } catch (err) {
       // invalid JSON
       this._map = new Map();
       this._dirty = true;
-      return;
+      return 0;
+    }
+  }
+
+  // applies journal entries newer than journalSeq; resolves to whether
+  // there were any
+  async _replayJournal(journalSeq) {
+    let content;
+    try {
+      content = await this.fs.readFile(this.journalPath, "utf8");
+    } catch (err) {
+      if (err.code === "ENOENT") return false;
+      throw err;
+    }
+
+    let replayed = false;
+    for (const line of content.split("\n")) {
+      if (!line.trim()) continue;
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (err) {
+        // a line cut short by a crash; nothing after it was written whole
+        break;
+      }
+      if (!entry || !(entry.seq > journalSeq)) continue;
+      this._applyEntry(entry);
+      this._seq = Math.max(this._seq, entry.seq);
+      replayed = true;
+    }
+    return replayed;
+  }
+
+  _applyEntry({ kind, id, value, revisions }) {
+    const map = { todo: this._map, tag: this._tags, list: this._lists }[kind];
+    if (!map || typeof id !== "string") return;
+    if (value) {
+      map.set(id, value);
+    } else {
+      map.delete(id);
+    }
+    if (kind === "todo") {
+      if (value && Array.isArray(revisions) && revisions.length > 0) {
+        this._revisions.set(id, revisions);
+      } else {
+        this._revisions.delete(id);
+      }
     }
   }
 
   async close() {
     if (!this._inited) return;
-    if (this.mode === "onClose" && this._dirty) {
+    clearTimeout(this._autosaveTimer);
+    this._autosaveTimer = null;
+    if (this.mode !== "immediate" && this._dirty) {
       console.log("Writing to disk");
-      await this._writeToDisk();
+      await this._queue(() => this._writeToDisk());
       console.log("Written to disk");
     }
-    this._inited = false;
+    await this._io;
+    await super.close();
   }
 
   async flush() {
-    await this._writeToDisk();
+    await this._queue(() => this._writeToDisk());
   }
 
-  _ensureInit() {
-    if (!this._inited) {
-      // allow lazy init
-      this._inited = true;
-      if (!this._map) this._map = new Map();
-      this._dirty = true;
+  /**
+   * Writes pending changes, then copies the file to destPath.
+   */
+  async backup(destPath) {
+    this._ensureInit();
+    await this.flush();
+    await this.fs.mkdir(path.dirname(destPath), { recursive: true });
+    await this.fs.copyFile(this.filepath, destPath);
+  }
+
+  /**
+   * Problems with the file on disk; [] when it holds todos in a shape init()
+   * reads. (init() starts empty on a file it cannot read instead of failing.)
+   */
+  async checkIntegrity() {
+    let parsed;
+    try {
+      parsed = JSON.parse(await this.fs.readFile(this.filepath, "utf8"));
+    } catch (err) {
+      return [
+        err.code === "ENOENT"
+          ? "file does not exist"
+          : `not valid JSON: ${err.message}`,
+      ];
     }
+    const todos = Array.isArray(parsed) ? parsed : parsed && parsed.todos;
+    if (!Array.isArray(todos)) return ["no todos array"];
+    const invalid = todos.filter(
+      (todo) => !todo || typeof todo.id !== "string"
+    ).length;
+    return invalid > 0 ? [`${invalid} todos without an id`] : [];
   }
 
-  _clone(todo) {
-    return { ...todo };
+  _ensureInit() {
+    if (!this._inited) this._dirty = true;
+    super._ensureInit();
   }
 
-  async addTodo(todoData) {
-    this._ensureInit();
-    if (
-      !todoData ||
-      typeof todoData.title !== "string" ||
-      todoData.title.trim() === ""
-    ) {
-      throw new Error("title is required and must be a non-empty string");
-    }
-    const now = new Date().toISOString();
-    const todo = {
-      id: generateUuid(),
-      title: todoData.title,
-      description:
-        typeof todoData.description === "string" ? todoData.description : "",
-      done: !!todoData.done,
-      createdAt: now,
-      updatedAt: now,
-    };
-    this._map.set(todo.id, todo);
+  async _changed() {
     this._dirty = true;
-
+    this._seq += 1;
     if (this.mode === "immediate") {
-      await this._writeToDisk();
+      await this._queue(() => this._writeToDisk());
+      return;
+    }
+    const entries = this._journalEntries();
+    if (this.mode === "autosave") this._scheduleAutosave();
+    if (entries.length > 0) {
+      await this._queue(() => this._appendToJournal(entries));
     }
-
-    return this._clone(todo);
   }
 
-  async getAllTodos({ limit = null, offset = 0 } = {}) {
-    this._ensureInit();
-    const items = Array.from(this._map.values()).sort((a, b) =>
-      a.createdAt.localeCompare(b.createdAt)
-    );
-    if (limit == null) return items.map((i) => this._clone(i));
-    return items.slice(offset, offset + limit).map((i) => this._clone(i));
+  // one write to the file or journal at a time, in the order asked for
+  _queue(task) {
+    const run = this._io.then(task);
+    this._io = run.catch(() => {});
+    return run;
   }
 
-  async getTodoById(id) {
-    this._ensureInit();
-    if (!this._map.has(id)) return null;
-    return this._clone(this._map.get(id));
+  _scheduleAutosave() {
+    clearTimeout(this._autosaveTimer);
+    this._autosaveTimer = setTimeout(() => {
+      this._autosaveTimer = null;
+      if (!this._dirty) return;
+      this._queue(() => this._writeToDisk()).catch((err) => this.onError(err));
+    }, this.autosaveDelayMs);
+    // an autosave never keeps the process alive; close() writes instead
+    if (this._autosaveTimer.unref) this._autosaveTimer.unref();
   }
 
-  async updateTodo(id, patch = {}) {
-    this._ensureInit();
-    if (!this._map.has(id)) return null;
-    const existing = this._map.get(id);
-    const now = new Date().toISOString();
-    const updated = {
-      ...existing,
-      title: typeof patch.title === "string" ? patch.title : existing.title,
-      description:
-        patch.description !== undefined
-          ? String(patch.description)
-          : existing.description,
-      done: typeof patch.done === "boolean" ? patch.done : existing.done,
-      updatedAt: now,
+  // kind -> Map of the records as they are now. Records are replaced, never
+  // changed in place, so a copy of the Maps is enough to compare with later.
+  _records() {
+    return {
+      todo: new Map(this._map),
+      tag: new Map(this._tags),
+      list: new Map(this._lists),
     };
-    this._map.set(id, updated);
-    this._dirty = true;
+  }
 
-    if (this.mode === "immediate") {
-      await this._writeToDisk();
+  // the records changed since the last call, as journal entries
+  _journalEntries() {
+    const records = this._records();
+    const entries = [];
+    for (const [kind, current] of Object.entries(records)) {
+      const before = this._journaled[kind];
+      for (const [id, value] of current) {
+        if (before.get(id) === value) continue;
+        const entry = { seq: this._seq, kind, id, value };
+        if (kind === "todo") entry.revisions = this._revisions.get(id) || [];
+        entries.push(entry);
+      }
+      for (const id of before.keys()) {
+        if (!current.has(id)) {
+          entries.push({ seq: this._seq, kind, id, value: null });
+        }
+      }
     }
-
-    return this._clone(updated);
+    this._journaled = records;
+    return entries;
   }
 
-  async deleteTodo(id) {
-    this._ensureInit();
-    if (!this._map.has(id)) return false;
-    this._map.delete(id);
-    this._dirty = true;
-
-    if (this.mode === "immediate") {
-      await this._writeToDisk();
+  async _appendToJournal(entries) {
+    const lines = entries.map((entry) => JSON.stringify(entry) + "\n").join("");
+    if (!this.fsync) {
+      await this.fs.appendFile(this.journalPath, lines, "utf8");
+      return;
+    }
+    const handle = await this.fs.open(this.journalPath, "a");
+    try {
+      await handle.appendFile(lines, "utf8");
+      await handle.sync();
+    } finally {
+      await handle.close();
     }
-
-    return true;
   }
 
+  // writes the file and empties the journal; call through _queue()
   async _writeToDisk() {
     const dir = path.dirname(this.filepath);
     const tmpName = `${path.basename(
@@ -221,24 +326,23 @@ class FileStorage {
     )}.tmp-${Date.now()}-${Math.floor(Math.random() * 1e6).toString(16)}`;
     const tmpPath = path.join(dir, tmpName);
 
-    // Prepare array sorted by createdAt asc
-    const arr = Array.from(this._map.values()).sort((a, b) =>
-      a.createdAt.localeCompare(b.createdAt)
-    );
+    const seq = this._seq;
+    const data = { ...this._toData(), journalSeq: seq };
 
     const json = this.pretty
-      ? JSON.stringify(arr, null, 2) + "\n"
-      : JSON.stringify(arr);
+      ? JSON.stringify(data, null, 2) + "\n"
+      : JSON.stringify(data);
 
     try {
       console.log("Writing to temp file");
       console.log(`tmpPath : ${tmpPath}`);
       // write temp file then rename
-      await this.fs.writeFile(tmpPath, json, "utf8");
+      await this._writeFile(tmpPath, json);
       console.log("Renaming temp file");
       await this.fs.rename(tmpPath, this.filepath);
       console.log("Renamed temp file");
-      this._dirty = false;
+      // changes made while writing are in the journal, not in the file
+      if (this._seq === seq) this._dirty = false;
     } catch (err) {
       // cleanup tmp file if exists (best-effort)
       try {
@@ -248,6 +352,21 @@ class FileStorage {
       }
       throw err;
     }
+    await this.fs.rm(this.journalPath, { force: true });
+  }
+
+  async _writeFile(filePath, content) {
+    if (!this.fsync) {
+      await this.fs.writeFile(filePath, content, "utf8");
+      return;
+    }
+    const handle = await this.fs.open(filePath, "w");
+    try {
+      await handle.writeFile(content, "utf8");
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
   }
 }
 
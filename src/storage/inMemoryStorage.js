@@ -0,0 +1,750 @@
+// src/storage/inMemoryStorage.js
+"use strict";
+
+const crypto = require("crypto");
+const {
+  DEFAULT_PRIORITY,
+  INBOX_LIST_ID,
+  INBOX_LIST_NAME,
+  normalizeTitle,
+  normalizePriority,
+  normalizeDueDate,
+  normalizeRemindAt,
+  normalizeItems,
+  normalizeTagName,
+  normalizeTagRefs,
+  normalizeListName,
+  normalizeListId,
+  normalizeImportedTodo,
+  dueDateRange,
+  calendarDayOf,
+} = require("./todoFields.js");
+const { normalizeQuery, matchesWhere, compareBy } = require("./todoQuery.js");
+const { normalizeRecurrence } = require("./recurrence.js");
+const { searchInMemory } = require("./todoSearch.js");
+const { diffTodos } = require("./todoRevisions.js");
+const { checkVersion } = require("./conflictError.js");
+
+function generateUuid() {
+  if (crypto && typeof crypto.randomUUID === "function") {
+    return crypto.randomUUID();
+  }
+  // lightweight fallback UUIDv4 (not cryptographically strong)
+  return "xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx".replace(/[xy]/g, (c) => {
+    const r = (Math.random() * 16) | 0;
+    const v = c === "x" ? r : (r & 0x3) | 0x8;
+    return v.toString(16);
+  });
+}
+
+// the version after one more write; todos from older files start at 1
+function nextVersion(todo) {
+  return (todo.version || 1) + 1;
+}
+
+// case-insensitive like SQLite's NOCASE collation
+function compareTagNames(a, b) {
+  const x = a.name.toLowerCase();
+  const y = b.name.toLowerCase();
+  return x < y ? -1 : x > y ? 1 : 0;
+}
+
+// the Inbox first, then by name
+function compareLists(a, b) {
+  if (a.id === INBOX_LIST_ID || b.id === INBOX_LIST_ID) {
+    return (b.id === INBOX_LIST_ID) - (a.id === INBOX_LIST_ID);
+  }
+  return compareTagNames(a, b);
+}
+
+/**
+ * Keeps everything in Maps and implements the storage interface documented
+ * in database.js, with the same contract as SqliteFileStorage. Nothing
+ * outlives the process; FileStorage extends it and persists the Maps to a
+ * JSON file from _changed().
+ *
+ * Todos are stored with their tags as ids (tagIds) and their list as listId;
+ * revisions are kept per todo id. A stored todo, tag or list is replaced,
+ * never changed in place (FileStorage's journal finds what a write touched
+ * by comparing references), and a todo's revisions only grow along with a
+ * new todo record.
+ */
+class InMemoryStorage {
+  constructor() {
+    this._map = new Map();
+    this._tags = new Map();
+    this._lists = new Map();
+    // todo id -> its revisions, oldest first
+    this._revisions = new Map();
+    this._ensureInbox();
+    this._inited = false;
+  }
+
+  async init() {
+    this._inited = true;
+  }
+
+  // the data stays: init() again picks up where close() left off
+  async close() {
+    this._inited = false;
+  }
+
+  _ensureInit() {
+    // allow lazy init
+    this._inited = true;
+  }
+
+  // called after every write; subclasses persist the data here
+  async _changed() {}
+
+  /**
+   * Everything stored, as arrays: { todos, tags, lists, revisions }, todos
+   * by createdAt, tags by name and lists Inbox first.
+   */
+  _toData() {
+    return {
+      todos: Array.from(this._map.values()).sort((a, b) =>
+        a.createdAt.localeCompare(b.createdAt)
+      ),
+      tags: Array.from(this._tags.values()).sort(compareTagNames),
+      lists: Array.from(this._lists.values()).sort(compareLists),
+      revisions: Array.from(this._revisions.values()).flat(),
+    };
+  }
+
+  // replaces everything with arrays shaped like _toData()'s; entries
+  // without an id are dropped
+  _fromData({ todos = [], tags = [], lists = [], revisions = [] }) {
+    const byId = (items) =>
+      new Map(
+        items
+          .filter((item) => item && typeof item.id === "string")
+          .map((item) => [item.id, item])
+      );
+    this._map = byId(todos);
+    this._tags = byId(tags);
+    this._lists = byId(lists);
+    this._revisions = new Map();
+    for (const revision of revisions) {
+      if (revision && typeof revision.todoId === "string") {
+        const list = this._revisions.get(revision.todoId) || [];
+        list.push(revision);
+        this._revisions.set(revision.todoId, list);
+      }
+    }
+    this._ensureInbox();
+  }
+
+  // stored todo (with tagIds) -> the todo handed out to callers
+  _clone(todo) {
+    // todos written by older versions have no priority/dueDate/items/tags
+    const { tagIds = [], ...rest } = todo;
+    return {
+      priority: DEFAULT_PRIORITY,
+      dueDate: null,
+      remindAt: null,
+      listId: INBOX_LIST_ID,
+      recurrence: null,
+      deletedAt: null,
+      version: 1,
+      ...rest,
+      recurrence: normalizeRecurrence(rest.recurrence),
+      items: (todo.items || []).map((i) => ({ ...i })),
+      tags: this._tagsOf(tagIds),
+    };
+  }
+
+  // stored todos that are not in the trash
+  _liveTodos() {
+    return Array.from(this._map.values()).filter((t) => !t.deletedAt);
+  }
+
+  // tag ids -> [{ id, name }] ordered by name, skipping unknown ids
+  _tagsOf(tagIds) {
+    return tagIds
+      .filter((id) => this._tags.has(id))
+      .map((id) => ({ id, name: this._tags.get(id).name }))
+      .sort(compareTagNames);
+  }
+
+  _checkTagIds(ids) {
+    const missing = ids.find((id) => !this._tags.has(id));
+    if (missing) throw new Error(`Unknown tag: ${missing}`);
+    return ids;
+  }
+
+  // files written before lists have none; the Inbox is created on first use
+  _ensureInbox() {
+    if (!this._lists.has(INBOX_LIST_ID)) {
+      this._lists.set(INBOX_LIST_ID, {
+        id: INBOX_LIST_ID,
+        name: INBOX_LIST_NAME,
+        createdAt: new Date().toISOString(),
+      });
+    }
+  }
+
+  _checkListId(id) {
+    if (!this._lists.has(id)) throw new Error(`Unknown list: ${id}`);
+    return id;
+  }
+
+  _findListByName(name) {
+    const lower = name.toLowerCase();
+    for (const list of this._lists.values()) {
+      if (list.name.toLowerCase() === lower) return list;
+    }
+    return null;
+  }
+
+  _findTagByName(name) {
+    const lower = name.toLowerCase();
+    for (const tag of this._tags.values()) {
+      if (tag.name.toLowerCase() === lower) return tag;
+    }
+    return null;
+  }
+
+  async addTodo(todoData) {
+    this._ensureInit();
+    if (!todoData) throw new Error("todo data is required");
+    const now = new Date().toISOString();
+    const todo = {
+      id: generateUuid(),
+      title: normalizeTitle(todoData.title),
+      description:
+        typeof todoData.description === "string" ? todoData.description : "",
+      done: !!todoData.done,
+      priority: normalizePriority(todoData.priority),
+      dueDate: normalizeDueDate(todoData.dueDate),
+      remindAt: normalizeRemindAt(todoData.remindAt),
+      listId: this._checkListId(normalizeListId(todoData.listId)),
+      recurrence: normalizeRecurrence(todoData.recurrence),
+      createdAt: now,
+      updatedAt: now,
+      deletedAt: null,
+      version: 1,
+      items: normalizeItems(todoData.items, { generateId: generateUuid, now }),
+      tagIds: this._checkTagIds(normalizeTagRefs(todoData.tags)),
+    };
+    this._map.set(todo.id, todo);
+    await this._changed();
+
+    return this._clone(todo);
+  }
+
+  async getAllTodos({ limit = null, offset = 0 } = {}) {
+    this._ensureInit();
+    if (limit !== null && (!Number.isInteger(limit) || limit < 0)) {
+      throw new Error("limit must be a non-negative integer");
+    }
+    if (!Number.isInteger(offset) || offset < 0) {
+      throw new Error("offset must be a non-negative integer");
+    }
+    const items = this._liveTodos().sort((a, b) =>
+      a.createdAt.localeCompare(b.createdAt)
+    );
+    if (limit == null) return items.map((i) => this._clone(i));
+    return items.slice(offset, offset + limit).map((i) => this._clone(i));
+  }
+
+  /**
+   * Filtered, sorted and paginated todos; see todoQuery.js for the contract.
+   */
+  async queryTodos(query = {}) {
+    this._ensureInit();
+    const { where, sort, limit, offset } = normalizeQuery(query);
+    const items = this._liveTodos()
+      .map((i) => this._clone(i))
+      .filter((t) => matchesWhere(t, where))
+      .sort(compareBy(sort));
+    return limit == null
+      ? items.slice(offset)
+      : items.slice(offset, offset + limit);
+  }
+
+  /**
+   * Same contract as SqliteFileStorage#searchTodos, using the tokenized
+   * fallback from todoSearch.js instead of FTS5.
+   */
+  async searchTodos(text, { limit = 50 } = {}) {
+    this._ensureInit();
+    if (!Number.isInteger(limit) || limit < 0) {
+      throw new Error("limit must be a non-negative integer");
+    }
+    const todos = this._liveTodos().map((i) => this._clone(i));
+    return searchInMemory(todos, text, { limit });
+  }
+
+  /**
+   * Same contract as SqliteFileStorage#getTodosByDueDate.
+   */
+  async getTodosByDueDate({
+    from,
+    to,
+    includeOverdue = false,
+    includeUndated = false,
+  } = {}) {
+    this._ensureInit();
+    const range = dueDateRange(from, to);
+    return this._liveTodos()
+      .map((i) => this._clone(i))
+      .filter((t) => {
+        if (t.dueDate == null) return includeUndated;
+        if (t.dueDate >= range.from && t.dueDate <= range.to) return true;
+        return includeOverdue && t.dueDate < range.from && !t.done;
+      })
+      .sort((a, b) => {
+        if (a.dueDate !== b.dueDate) {
+          if (a.dueDate == null) return 1;
+          if (b.dueDate == null) return -1;
+          return a.dueDate.localeCompare(b.dueDate);
+        }
+        return a.createdAt.localeCompare(b.createdAt);
+      });
+  }
+
+  /**
+   * Same contract as SqliteFileStorage#getDayCounts.
+   */
+  async getDayCounts({ from, to } = {}) {
+    this._ensureInit();
+    const range = dueDateRange(from, to);
+    const counts = new Map();
+    for (const todo of this._liveTodos()) {
+      const day = calendarDayOf(todo);
+      if (day < range.from || day > range.to) continue;
+      const entry = counts.get(day) || { date: day, pending: 0, completed: 0 };
+      if (todo.done) entry.completed += 1;
+      else entry.pending += 1;
+      counts.set(day, entry);
+    }
+    return Array.from(counts.values()).sort((a, b) =>
+      a.date.localeCompare(b.date)
+    );
+  }
+
+  /**
+   * Same contract as SqliteFileStorage#getTodosOnDay.
+   */
+  async getTodosOnDay(date) {
+    this._ensureInit();
+    const day = dueDateRange(date, date).from;
+    return this._liveTodos()
+      .filter((t) => calendarDayOf(t) === day)
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+      .map((t) => this._clone(t));
+  }
+
+  async getTodoById(id) {
+    this._ensureInit();
+    const todo = this._map.get(id);
+    if (!todo || todo.deletedAt) return null;
+    return this._clone(todo);
+  }
+
+  /**
+   * Same contract as SqliteFileStorage#updateTodo.
+   */
+  async updateTodo(id, patch = {}, { expectedVersion } = {}) {
+    this._ensureInit();
+    const existing = this._map.get(id);
+    if (!existing || existing.deletedAt) return null;
+    checkVersion(this._clone(existing), expectedVersion);
+    const updated = this._storePatched(
+      this._patched(existing, patch, new Date().toISOString())
+    );
+    await this._changed();
+
+    return this._clone(updated);
+  }
+
+  // the stored todo with `patch` applied, and the revision that records it
+  // (null when nothing changed); stores nothing, throws on a bad patch
+  _patched(existing, patch, now) {
+    const updated = {
+      ...existing,
+      title: normalizeTitle(patch.title, existing.title),
+      description:
+        patch.description !== undefined
+          ? String(patch.description)
+          : existing.description,
+      done: typeof patch.done === "boolean" ? patch.done : existing.done,
+      priority: normalizePriority(
+        patch.priority,
+        existing.priority || DEFAULT_PRIORITY
+      ),
+      dueDate: normalizeDueDate(patch.dueDate, existing.dueDate || null),
+      remindAt: normalizeRemindAt(patch.remindAt, existing.remindAt || null),
+      listId:
+        patch.listId !== undefined
+          ? this._checkListId(normalizeListId(patch.listId))
+          : existing.listId || INBOX_LIST_ID,
+      recurrence: normalizeRecurrence(
+        patch.recurrence,
+        existing.recurrence || null
+      ),
+      items:
+        patch.items !== undefined
+          ? normalizeItems(patch.items, {
+              existing: existing.items || [],
+              generateId: generateUuid,
+              now,
+            })
+          : existing.items || [],
+      tagIds:
+        patch.tags !== undefined
+          ? this._checkTagIds(normalizeTagRefs(patch.tags))
+          : existing.tagIds || [],
+      updatedAt: now,
+      version: nextVersion(existing),
+    };
+    const changes = diffTodos(this._clone(existing), this._clone(updated));
+    const revision = changes && {
+      id: generateUuid(),
+      todoId: existing.id,
+      createdAt: now,
+      changes,
+    };
+    return { updated, revision };
+  }
+
+  _storePatched({ updated, revision }) {
+    if (revision) {
+      const revisions = this._revisions.get(updated.id) || [];
+      revisions.push(revision);
+      this._revisions.set(updated.id, revisions);
+    }
+    this._map.set(updated.id, updated);
+    return updated;
+  }
+
+  /**
+   * Same contract as SqliteFileStorage#getRevisions.
+   */
+  async getRevisions(todoId) {
+    this._ensureInit();
+    return (this._revisions.get(todoId) || [])
+      .slice()
+      .reverse()
+      .map((r) => JSON.parse(JSON.stringify(r)));
+  }
+
+  /**
+   * Same contract as SqliteFileStorage#deleteTodo (moves it to the trash).
+   */
+  async deleteTodo(id, { expectedVersion } = {}) {
+    this._ensureInit();
+    const todo = this._map.get(id);
+    if (!todo || todo.deletedAt) return false;
+    checkVersion(this._clone(todo), expectedVersion);
+    const now = new Date().toISOString();
+    this._map.set(id, {
+      ...todo,
+      deletedAt: now,
+      updatedAt: now,
+      version: nextVersion(todo),
+    });
+    await this._changed();
+
+    return true;
+  }
+
+  /**
+   * Same contract as SqliteFileStorage#getTrashedTodos.
+   */
+  async getTrashedTodos() {
+    this._ensureInit();
+    return Array.from(this._map.values())
+      .filter((t) => t.deletedAt)
+      .sort(
+        (a, b) =>
+          b.deletedAt.localeCompare(a.deletedAt) ||
+          a.createdAt.localeCompare(b.createdAt)
+      )
+      .map((t) => this._clone(t));
+  }
+
+  /**
+   * Same contract as SqliteFileStorage#restoreTodo.
+   */
+  async restoreTodo(id) {
+    this._ensureInit();
+    const todo = this._map.get(id);
+    if (!todo || !todo.deletedAt) return null;
+    const restored = {
+      ...todo,
+      deletedAt: null,
+      updatedAt: new Date().toISOString(),
+      version: nextVersion(todo),
+    };
+    this._map.set(id, restored);
+    await this._changed();
+
+    return this._clone(restored);
+  }
+
+  /**
+   * Same contract as SqliteFileStorage#purgeTodo.
+   */
+  async purgeTodo(id) {
+    this._ensureInit();
+    const todo = this._map.get(id);
+    if (!todo || !todo.deletedAt) return false;
+    this._map.delete(id);
+    this._revisions.delete(id);
+    await this._changed();
+
+    return true;
+  }
+
+  /**
+   * Same contract as SqliteFileStorage#purgeTrash.
+   */
+  async purgeTrash({ before = null } = {}) {
+    this._ensureInit();
+    let purged = 0;
+    for (const [id, todo] of this._map) {
+      if (todo.deletedAt && (before === null || todo.deletedAt < before)) {
+        this._map.delete(id);
+        this._revisions.delete(id);
+        purged += 1;
+      }
+    }
+    if (purged > 0) {
+      await this._changed();
+    }
+    return purged;
+  }
+
+  /**
+   * Same contract as SqliteFileStorage#getAllTags.
+   */
+  async getAllTags() {
+    this._ensureInit();
+    const counts = new Map();
+    for (const todo of this._liveTodos()) {
+      for (const id of todo.tagIds || []) {
+        counts.set(id, (counts.get(id) || 0) + 1);
+      }
+    }
+    return Array.from(this._tags.values())
+      .map((tag) => ({ ...tag, count: counts.get(tag.id) || 0 }))
+      .sort(compareTagNames);
+  }
+
+  async createTag(name) {
+    this._ensureInit();
+    const normalized = normalizeTagName(name);
+    if (this._findTagByName(normalized)) {
+      throw new Error(`A tag named "${normalized}" already exists.`);
+    }
+    const tag = {
+      id: generateUuid(),
+      name: normalized,
+      createdAt: new Date().toISOString(),
+    };
+    this._tags.set(tag.id, tag);
+    await this._changed();
+
+    return { ...tag, count: 0 };
+  }
+
+  async renameTag(id, name) {
+    this._ensureInit();
+    const normalized = normalizeTagName(name);
+    const existing = this._findTagByName(normalized);
+    if (existing && existing.id !== id) {
+      throw new Error(`A tag named "${normalized}" already exists.`);
+    }
+    if (!this._tags.has(id)) return null;
+    this._tags.set(id, { ...this._tags.get(id), name: normalized });
+    await this._changed();
+
+    const tags = await this.getAllTags();
+    return tags.find((t) => t.id === id);
+  }
+
+  async deleteTag(id) {
+    this._ensureInit();
+    if (!this._tags.has(id)) return false;
+    this._tags.delete(id);
+    for (const [todoId, todo] of this._map) {
+      if ((todo.tagIds || []).includes(id)) {
+        this._map.set(todoId, {
+          ...todo,
+          tagIds: todo.tagIds.filter((t) => t !== id),
+        });
+      }
+    }
+    await this._changed();
+
+    return true;
+  }
+
+  /**
+   * Same contract as SqliteFileStorage#getAllLists.
+   */
+  async getAllLists() {
+    this._ensureInit();
+    const counts = new Map();
+    for (const todo of this._liveTodos()) {
+      const listId = todo.listId || INBOX_LIST_ID;
+      const entry = counts.get(listId) || { count: 0, pending: 0 };
+      entry.count += 1;
+      if (!todo.done) entry.pending += 1;
+      counts.set(listId, entry);
+    }
+    return Array.from(this._lists.values())
+      .map((list) => ({
+        ...list,
+        count: 0,
+        pending: 0,
+        ...counts.get(list.id),
+      }))
+      .sort(compareLists);
+  }
+
+  async createList(name) {
+    this._ensureInit();
+    const normalized = normalizeListName(name);
+    if (this._findListByName(normalized)) {
+      throw new Error(`A list named "${normalized}" already exists.`);
+    }
+    const list = {
+      id: generateUuid(),
+      name: normalized,
+      createdAt: new Date().toISOString(),
+    };
+    this._lists.set(list.id, list);
+    await this._changed();
+
+    return { ...list, count: 0, pending: 0 };
+  }
+
+  async renameList(id, name) {
+    this._ensureInit();
+    const normalized = normalizeListName(name);
+    const existing = this._findListByName(normalized);
+    if (existing && existing.id !== id) {
+      throw new Error(`A list named "${normalized}" already exists.`);
+    }
+    if (!this._lists.has(id)) return null;
+    this._lists.set(id, { ...this._lists.get(id), name: normalized });
+    await this._changed();
+
+    const lists = await this.getAllLists();
+    return lists.find((l) => l.id === id);
+  }
+
+  /**
+   * Same contract as SqliteFileStorage#deleteList.
+   */
+  async deleteList(id, { todos = "move", moveTo = INBOX_LIST_ID } = {}) {
+    this._ensureInit();
+    if (!["move", "delete"].includes(todos)) {
+      throw new Error("todos must be 'move' or 'delete'");
+    }
+    if (id === INBOX_LIST_ID) {
+      throw new Error("The Inbox cannot be deleted.");
+    }
+    if (todos === "move") {
+      if (moveTo === id) {
+        throw new Error("Todos cannot be moved to the list being deleted.");
+      }
+      this._checkListId(moveTo);
+    }
+    if (!this._lists.has(id)) return false;
+    const now = new Date().toISOString();
+    for (const [todoId, todo] of this._map) {
+      if (todo.listId !== id) continue;
+      if (todos === "move") {
+        this._map.set(todoId, {
+          ...todo,
+          listId: moveTo,
+          updatedAt: now,
+          version: nextVersion(todo),
+        });
+      } else {
+        this._map.set(todoId, {
+          ...todo,
+          listId: INBOX_LIST_ID,
+          deletedAt: todo.deletedAt || now,
+          updatedAt: now,
+          version: nextVersion(todo),
+        });
+      }
+    }
+    this._lists.delete(id);
+    await this._changed();
+
+    return true;
+  }
+
+  // imported { id, name } list -> list id, see SqliteFileStorage#_importList
+  _importList(list, now) {
+    if (!list) return INBOX_LIST_ID;
+    if (this._lists.has(list.id)) return list.id;
+    if (!list.name) return INBOX_LIST_ID;
+    const found = this._findListByName(list.name);
+    if (found) return found.id;
+    const created = {
+      id: list.id || generateUuid(),
+      name: list.name,
+      createdAt: now,
+    };
+    this._lists.set(created.id, created);
+    return created.id;
+  }
+
+  /**
+   * Same contract as SqliteFileStorage#importTodos.
+   */
+  async importTodos(todos = [], { updates = [] } = {}) {
+    this._ensureInit();
+    const now = new Date().toISOString();
+    // validate everything before touching the map so a bad item imports nothing
+    const normalized = todos.map((t) =>
+      normalizeImportedTodo(t, now, generateUuid)
+    );
+    // an id updated twice gets the second patch on top of the first
+    const latest = new Map();
+    const patched = [];
+    for (const { id, patch } of updates) {
+      const existing = latest.get(id) || this._map.get(id);
+      if (!existing || existing.deletedAt) continue;
+      const next = this._patched(existing, patch, now);
+      latest.set(id, next.updated);
+      patched.push(next);
+    }
+    let inserted = 0;
+    for (const { tags, list, ...todo } of normalized) {
+      if (this._map.has(todo.id)) continue;
+      const tagIds = tags.map((tag) => {
+        const found =
+          (tag.id && this._tags.get(tag.id)) || this._findTagByName(tag.name);
+        if (found) return found.id;
+        const created = {
+          id: tag.id || generateUuid(),
+          name: tag.name,
+          createdAt: now,
+        };
+        this._tags.set(created.id, created);
+        return created.id;
+      });
+      this._map.set(todo.id, {
+        ...todo,
+        listId: this._importList(list, now),
+        tagIds: Array.from(new Set(tagIds)),
+      });
+      inserted += 1;
+    }
+    patched.forEach((p) => this._storePatched(p));
+    if (inserted > 0 || patched.length > 0) {
+      await this._changed();
+    }
+    return inserted;
+  }
+}
+
+module.exports = InMemoryStorage;
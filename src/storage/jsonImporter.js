@@ -0,0 +1,195 @@
+// src/storage/jsonImporter.js
+"use strict";
+
+const fs = require("fs/promises");
+const path = require("path");
+const FileStorage = require("./fileStorage.js");
+
+/**
+ * Moves todos written by FileStorage (todo.json) into another storage,
+ * normally SqliteFileStorage, and back again for debugging.
+ *
+ * From the command line (uses the plain Node build of sqlite3):
+ *   node src/storage/jsonImporter.js import <todo.json> <todo.db>
+ *   node src/storage/jsonImporter.js export <todo.db> <todo.json>
+ */
+
+const IMPORTED_SUFFIX = ".imported";
+
+function importedPathFor(jsonPath) {
+  return `${jsonPath}${IMPORTED_SUFFIX}-${Date.now()}`;
+}
+
+/**
+ * Todos from either FileStorage format: a bare array (before tags), or
+ * { todos, tags, lists } where todos reference tags through tagIds and
+ * their list through listId. The result carries tags as { id, name } like
+ * the storages return them, and the list as list: { id, name } so that
+ * importTodos() can recreate it.
+ */
+function todosFromJson(parsed, jsonPath) {
+  if (Array.isArray(parsed)) return parsed;
+  if (!parsed || !Array.isArray(parsed.todos)) {
+    throw new Error(`${jsonPath} does not contain a list of todos`);
+  }
+  const tags = new Map(
+    (Array.isArray(parsed.tags) ? parsed.tags : []).map((t) => [t.id, t])
+  );
+  const lists = new Map(
+    (Array.isArray(parsed.lists) ? parsed.lists : []).map((l) => [l.id, l])
+  );
+  return parsed.todos.map(({ tagIds, ...todo }) => ({
+    ...todo,
+    tags: (tagIds || [])
+      .filter((id) => tags.has(id))
+      .map((id) => ({ id, name: tags.get(id).name })),
+    ...(lists.has(todo.listId) && {
+      list: { id: todo.listId, name: lists.get(todo.listId).name },
+    }),
+  }));
+}
+
+/**
+ * Every todo in `storage`, trashed ones included, by createdAt and shaped
+ * like todosFromJson()'s result.
+ */
+async function todosFromStorage(storage) {
+  const lists = new Map(
+    (await storage.getAllLists()).map((list) => [list.id, list])
+  );
+  const todos = [
+    ...(await storage.getAllTodos()),
+    ...(await storage.getTrashedTodos()),
+  ].sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  return todos.map((todo) => ({
+    ...todo,
+    ...(lists.has(todo.listId) && {
+      list: { id: todo.listId, name: lists.get(todo.listId).name },
+    }),
+  }));
+}
+
+// the file's content, or null if it does not exist
+async function readIfExists(filePath, fsModule) {
+  try {
+    return await fsModule.readFile(filePath, "utf8");
+  } catch (err) {
+    if (err.code === "ENOENT") return null;
+    throw err;
+  }
+}
+
+/**
+ * One-time import of a FileStorage todo.json into `storage`.
+ *
+ * The data is read through FileStorage, so changes only in its journal
+ * (todo.json.journal, left by a crash) come along. All todos are inserted
+ * through storage.importTodos() in one transaction, keeping their ids,
+ * done flag and timestamps. Afterwards the journal is folded into todo.json
+ * and todo.json is renamed to todo.json.imported-<timestamp> so the next
+ * start does not import it again; the original data stays on disk.
+ *
+ * Resolves to { imported, skipped, markedAs }. Nothing happens (imported 0,
+ * markedAs null) if neither the JSON file nor its journal exists.
+ */
+async function importJsonIntoStorage({ jsonPath, storage, fsModule = fs }) {
+  const source = new FileStorage({ filepath: jsonPath, fsModule });
+  const content = await readIfExists(jsonPath, fsModule);
+  if (
+    content === null &&
+    (await readIfExists(source.journalPath, fsModule)) === null
+  ) {
+    return { imported: 0, skipped: 0, markedAs: null };
+  }
+  // FileStorage reads a file it cannot parse as empty; refuse it instead of
+  // marking it imported
+  if (content && content.trim().length > 0) {
+    todosFromJson(JSON.parse(content), jsonPath);
+  }
+
+  await source.init();
+  let todos;
+  let imported;
+  try {
+    todos = await todosFromStorage(source);
+    imported = await storage.importTodos(todos);
+  } finally {
+    // writes todo.json with the journal applied, and removes the journal
+    await source.close();
+  }
+  // entries the file already held are not replayed, so no write removed it
+  await fsModule.rm(source.journalPath, { force: true });
+
+  const markedAs = importedPathFor(jsonPath);
+  await fsModule.rename(jsonPath, markedAs);
+
+  return { imported, skipped: todos.length - imported, markedAs };
+}
+
+/**
+ * Writes every todo, tag and list in `storage` to jsonPath in the
+ * FileStorage format ({ todos, tags, lists }, todos sorted by createdAt
+ * and referencing tags and lists by id), via a temp file and rename.
+ * Resolves to the number of todos written.
+ */
+async function exportStorageToJson({ storage, jsonPath, fsModule = fs }) {
+  const todos = await storage.getAllTodos();
+  const tags = await storage.getAllTags();
+  const lists = await storage.getAllLists();
+  const data = {
+    todos: todos.map(({ tags: todoTags, ...todo }) => ({
+      ...todo,
+      tagIds: todoTags.map((t) => t.id),
+    })),
+    tags: tags.map(({ count, ...tag }) => tag),
+    lists: lists.map(({ count, pending, ...list }) => list),
+  };
+  await fsModule.mkdir(path.dirname(jsonPath), { recursive: true });
+  const tmpPath = `${jsonPath}.tmp-${Date.now()}`;
+  await fsModule.writeFile(
+    tmpPath,
+    JSON.stringify(data, null, 2) + "\n",
+    "utf8"
+  );
+  await fsModule.rename(tmpPath, jsonPath);
+  return todos.length;
+}
+
+async function main([command, from, to]) {
+  const SqliteFileStorage = require("./sqliteFileStorage.js");
+  if (command === "import" && from && to) {
+    const storage = new SqliteFileStorage({ filepath: to });
+    await storage.init();
+    try {
+      const result = await importJsonIntoStorage({ jsonPath: from, storage });
+      console.log(
+        `imported ${result.imported} todos (${result.skipped} already present)`
+      );
+    } finally {
+      await storage.close();
+    }
+  } else if (command === "export" && from && to) {
+    const storage = new SqliteFileStorage({ filepath: from });
+    await storage.init();
+    try {
+      const count = await exportStorageToJson({ storage, jsonPath: to });
+      console.log(`exported ${count} todos to ${to}`);
+    } finally {
+      await storage.close();
+    }
+  } else {
+    console.error(
+      "usage: jsonImporter.js import <todo.json> <todo.db> | export <todo.db> <todo.json>"
+    );
+    process.exitCode = 1;
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).catch((err) => {
+    console.error(err);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { importJsonIntoStorage, exportStorageToJson };
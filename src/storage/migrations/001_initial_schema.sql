@@ -0,0 +1,22 @@
+-- Baseline schema. Uses IF NOT EXISTS so databases created before the
+-- migration runner existed are adopted without changes.
+CREATE TABLE IF NOT EXISTS todos (
+  id TEXT PRIMARY KEY,
+  title TEXT NOT NULL,
+  description TEXT DEFAULT '',
+  done INTEGER NOT NULL DEFAULT 0 CHECK (done IN (0,1)),
+  created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ','now')),
+  updated_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ','now'))
+);
+
+CREATE TRIGGER IF NOT EXISTS todos_touch_updated_at
+AFTER UPDATE ON todos
+FOR EACH ROW
+BEGIN
+  UPDATE todos
+    SET updated_at = strftime('%Y-%m-%dT%H:%M:%fZ','now')
+    WHERE id = NEW.id;
+END;
+
+CREATE INDEX IF NOT EXISTS idx_todos_created_at ON todos (created_at);
+CREATE INDEX IF NOT EXISTS idx_todos_done ON todos (done);
@@ -0,0 +1,8 @@
+ALTER TABLE todos
+  ADD COLUMN priority TEXT NOT NULL DEFAULT 'medium'
+  CHECK (priority IN ('low','medium','high'));
+
+-- calendar day, 'YYYY-MM-DD'
+ALTER TABLE todos ADD COLUMN due_date TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_todos_due_date ON todos (due_date);
@@ -0,0 +1,39 @@
+-- Full-text index over todo titles and descriptions, kept in sync by
+-- triggers. todo_id is stored rather than using an external-content table
+-- because todos has a TEXT primary key and its implicit rowids are not
+-- stable across VACUUM.
+CREATE VIRTUAL TABLE IF NOT EXISTS todos_fts USING fts5(
+  todo_id UNINDEXED,
+  title,
+  description,
+  tokenize = 'unicode61 remove_diacritics 2'
+);
+
+CREATE TRIGGER IF NOT EXISTS todos_fts_after_insert
+AFTER INSERT ON todos
+FOR EACH ROW
+BEGIN
+  INSERT INTO todos_fts (todo_id, title, description)
+    VALUES (NEW.id, NEW.title, COALESCE(NEW.description, ''));
+END;
+
+CREATE TRIGGER IF NOT EXISTS todos_fts_after_update
+AFTER UPDATE OF id, title, description ON todos
+FOR EACH ROW
+BEGIN
+  DELETE FROM todos_fts WHERE todo_id = OLD.id;
+  INSERT INTO todos_fts (todo_id, title, description)
+    VALUES (NEW.id, NEW.title, COALESCE(NEW.description, ''));
+END;
+
+CREATE TRIGGER IF NOT EXISTS todos_fts_after_delete
+AFTER DELETE ON todos
+FOR EACH ROW
+BEGIN
+  DELETE FROM todos_fts WHERE todo_id = OLD.id;
+END;
+
+-- index todos that existed before this migration
+DELETE FROM todos_fts;
+INSERT INTO todos_fts (todo_id, title, description)
+  SELECT id, title, COALESCE(description, '') FROM todos;
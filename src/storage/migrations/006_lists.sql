@@ -0,0 +1,15 @@
+-- Named lists (projects). Every todo belongs to one; the Inbox always
+-- exists and holds todos created before lists.
+CREATE TABLE IF NOT EXISTS lists (
+  id TEXT PRIMARY KEY,
+  name TEXT NOT NULL COLLATE NOCASE UNIQUE,
+  created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ','now'))
+);
+
+INSERT OR IGNORE INTO lists (id, name) VALUES ('inbox', 'Inbox');
+
+-- No REFERENCES clause: SQLite cannot add a foreign key column with a
+-- non-NULL default. deleteList() moves or deletes the todos of a list.
+ALTER TABLE todos ADD COLUMN list_id TEXT NOT NULL DEFAULT 'inbox';
+
+CREATE INDEX IF NOT EXISTS idx_todos_list_id ON todos (list_id);
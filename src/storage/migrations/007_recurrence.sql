@@ -0,0 +1,3 @@
+-- recurrence rule as JSON text (see recurrence.js), NULL when the todo
+-- does not repeat
+ALTER TABLE todos ADD COLUMN recurrence TEXT;
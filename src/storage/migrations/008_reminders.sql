@@ -0,0 +1,3 @@
+-- explicit reminder time (ISO timestamp); todos without one are reminded
+-- of on their due date, see reminders/reminderScheduler.js
+ALTER TABLE todos ADD COLUMN remind_at TEXT;
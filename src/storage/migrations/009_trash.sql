@@ -0,0 +1,6 @@
+-- soft delete: deleteTodo() stamps deleted_at and the todo moves to the
+-- trash, which every query leaves out; purgeTodo()/purgeTrash() remove
+-- trashed todos for good
+ALTER TABLE todos ADD COLUMN deleted_at TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_todos_deleted_at ON todos (deleted_at);
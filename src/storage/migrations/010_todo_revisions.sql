@@ -0,0 +1,12 @@
+-- One row per updateTodo() that changed something; `changes` is the JSON
+-- { field: { from, to } } described in storage/todoRevisions.js.
+-- Revisions go when their todo is purged.
+CREATE TABLE IF NOT EXISTS todo_revisions (
+  id TEXT PRIMARY KEY,
+  todo_id TEXT NOT NULL REFERENCES todos(id) ON DELETE CASCADE,
+  changes TEXT NOT NULL,
+  created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ','now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_todo_revisions_todo_id
+  ON todo_revisions (todo_id, created_at);
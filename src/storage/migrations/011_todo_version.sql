@@ -0,0 +1,4 @@
+-- Optimistic concurrency: every write to a todo row bumps `version`, and
+-- updateTodo()/deleteTodo() with an expectedVersion refuse to write over a
+-- version the caller has not seen (see storage/conflictError.js).
+ALTER TABLE todos ADD COLUMN version INTEGER NOT NULL DEFAULT 1;
@@ -0,0 +1,5 @@
+-- Every write to a todo now sets updated_at itself, the same way the other
+-- storages do. The touch trigger of 001 overwrote that value after the
+-- fact, so the stored updated_at could be a millisecond later than the one
+-- the write returned.
+DROP TRIGGER IF EXISTS todos_touch_updated_at;
@@ -0,0 +1,109 @@
+// src/storage/migrator.js
+"use strict";
+
+const fs = require("fs/promises");
+const path = require("path");
+
+const MIGRATION_FILE_RE = /^(\d+)_([A-Za-z0-9_-]+)\.sql$/;
+
+/**
+ * Reads numbered migration files ("001_initial_schema.sql", ...) from dir.
+ * Returns them sorted by version:
+ *  [{ version: number, name: string, sql: string }]
+ *
+ * Migration files must not contain BEGIN/COMMIT; each one is wrapped in
+ * its own transaction by applyMigrations().
+ */
+async function loadMigrations(dir, fsModule = fs) {
+  const entries = await fsModule.readdir(dir);
+  const migrations = [];
+  const seen = new Map();
+
+  for (const file of entries) {
+    const match = MIGRATION_FILE_RE.exec(file);
+    if (!match) continue;
+    const version = Number(match[1]);
+    if (seen.has(version)) {
+      throw new Error(
+        `duplicate migration version ${version}: "${seen.get(
+          version
+        )}" and "${file}"`
+      );
+    }
+    seen.set(version, file);
+    const sql = await fsModule.readFile(path.join(dir, file), "utf8");
+    migrations.push({ version, name: file.replace(/\.sql$/, ""), sql });
+  }
+
+  return migrations.sort((a, b) => a.version - b.version);
+}
+
+function versionOf(name) {
+  const match = /^(\d+)_/.exec(name);
+  return match ? Number(match[1]) : 0;
+}
+
+/**
+ * Applies pending migrations in order and records each one in
+ * schema_migrations inside the same transaction.
+ *
+ * conn must provide promise-based exec(sql), run(sql, params) and
+ * all(sql, params).
+ *
+ * Throws (code SCHEMA_TOO_NEW) if the database has migrations applied that
+ * are newer than the newest one known to this build, so an older app never
+ * writes to a schema it does not understand.
+ *
+ * Returns the names of the migrations that were applied.
+ */
+async function applyMigrations(conn, migrations) {
+  await conn.exec(`
+CREATE TABLE IF NOT EXISTS schema_migrations (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  name TEXT NOT NULL UNIQUE,
+  run_at TEXT NOT NULL DEFAULT (datetime('now'))
+);`);
+
+  const rows = await conn.all(`SELECT name FROM schema_migrations`);
+  const applied = new Set(rows.map((r) => r.name));
+
+  const latestKnown = migrations.length
+    ? migrations[migrations.length - 1].version
+    : 0;
+  const latestApplied = rows.reduce(
+    (max, r) => Math.max(max, versionOf(r.name)),
+    0
+  );
+  if (latestApplied > latestKnown) {
+    const err = new Error(
+      `database schema version ${latestApplied} is newer than this app supports (${latestKnown}). Please update the app.`
+    );
+    err.code = "SCHEMA_TOO_NEW";
+    throw err;
+  }
+
+  const ran = [];
+  for (const migration of migrations) {
+    if (applied.has(migration.name)) continue;
+    await conn.exec("BEGIN IMMEDIATE");
+    try {
+      await conn.exec(migration.sql);
+      await conn.run(`INSERT INTO schema_migrations (name) VALUES (?)`, [
+        migration.name,
+      ]);
+      await conn.exec("COMMIT");
+    } catch (err) {
+      try {
+        await conn.exec("ROLLBACK");
+      } catch (e) {
+        // ignore, surface the original error
+      }
+      err.message = `migration ${migration.name} failed: ${err.message}`;
+      throw err;
+    }
+    ran.push(migration.name);
+  }
+  return ran;
+}
+
+module.exports = { loadMigrations, applyMigrations, versionOf };
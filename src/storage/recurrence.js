@@ -0,0 +1,141 @@
+// src/storage/recurrence.js
+"use strict";
+
+/**
+ * Recurrence rules of repeating todos. A rule is null (no repeat) or one of:
+ *  - { type: 'daily' }
+ *  - { type: 'weekdays' }                  Monday to Friday
+ *  - { type: 'weekly', days: [0..6] }      0 = Sunday, like Date#getDay
+ *  - { type: 'monthly', day: 1..31 }       the last day in shorter months
+ *  - { type: 'interval', every: N }        every N days
+ *
+ * Rules are plain JSON so the storages can keep them as they are
+ * (SqliteFileStorage stores the JSON text).
+ */
+
+const RECURRENCE_TYPES = ["daily", "weekdays", "weekly", "monthly", "interval"];
+
+const MAX_INTERVAL_DAYS = 365;
+
+/**
+ * Returns a rule in canonical form. undefined falls back to `fallback`;
+ * null or "" removes the recurrence; anything malformed throws.
+ */
+function normalizeRecurrence(value, fallback = null) {
+  if (value === undefined) return fallback;
+  if (value === null || value === "") return null;
+  if (typeof value !== "object" || !RECURRENCE_TYPES.includes(value.type)) {
+    throw new Error(
+      `recurrence.type must be one of ${RECURRENCE_TYPES.join(", ")}`
+    );
+  }
+  switch (value.type) {
+    case "weekly": {
+      const days = Array.isArray(value.days) ? value.days : [];
+      if (
+        days.length === 0 ||
+        !days.every((d) => Number.isInteger(d) && d >= 0 && d <= 6)
+      ) {
+        throw new Error("weekly recurrence needs days between 0 and 6");
+      }
+      return {
+        type: "weekly",
+        days: Array.from(new Set(days)).sort((a, b) => a - b),
+      };
+    }
+    case "monthly":
+      if (!Number.isInteger(value.day) || value.day < 1 || value.day > 31) {
+        throw new Error("monthly recurrence needs a day between 1 and 31");
+      }
+      return { type: "monthly", day: value.day };
+    case "interval":
+      if (
+        !Number.isInteger(value.every) ||
+        value.every < 1 ||
+        value.every > MAX_INTERVAL_DAYS
+      ) {
+        throw new Error(
+          `interval recurrence needs every between 1 and ${MAX_INTERVAL_DAYS} days`
+        );
+      }
+      return { type: "interval", every: value.every };
+    default:
+      return { type: value.type };
+  }
+}
+
+// "YYYY-MM-DD" <-> UTC midnight, so adding days never trips over DST
+function toUtc(day) {
+  const [y, m, d] = day.split("-").map(Number);
+  return new Date(Date.UTC(y, m - 1, d));
+}
+
+function fromUtc(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function addDays(day, days) {
+  const date = toUtc(day);
+  date.setUTCDate(date.getUTCDate() + days);
+  return fromUtc(date);
+}
+
+// today's local calendar day
+function today() {
+  const date = new Date();
+  return fromUtc(
+    new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()))
+  );
+}
+
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+}
+
+// first day strictly after `day` that matches `rule`
+function stepAfter(rule, day) {
+  if (rule.type === "daily") return addDays(day, 1);
+  if (rule.type === "interval") return addDays(day, rule.every);
+  if (rule.type === "monthly") {
+    const date = toUtc(day);
+    let year = date.getUTCFullYear();
+    let month = date.getUTCMonth();
+    if (date.getUTCDate() >= Math.min(rule.day, daysInMonth(year, month))) {
+      month += 1;
+      if (month === 12) {
+        month = 0;
+        year += 1;
+      }
+    }
+    const d = Math.min(rule.day, daysInMonth(year, month));
+    return fromUtc(new Date(Date.UTC(year, month, d)));
+  }
+  const days = rule.type === "weekdays" ? [1, 2, 3, 4, 5] : rule.days;
+  let next = addDays(day, 1);
+  while (!days.includes(toUtc(next).getUTCDay())) {
+    next = addDays(next, 1);
+  }
+  return next;
+}
+
+/**
+ * The due date ("YYYY-MM-DD") of the occurrence after one due on `dueDate`
+ * (`from`, normally today, when the todo had no due date). Occurrences
+ * before `from` are skipped, so completing an overdue daily todo schedules
+ * it for today rather than for a day that has gone by.
+ */
+function nextOccurrence(rule, dueDate, from = today()) {
+  const normalized = normalizeRecurrence(rule);
+  if (!normalized) return null;
+  let next = stepAfter(normalized, dueDate || from);
+  while (next < from) {
+    next = stepAfter(normalized, next);
+  }
+  return next;
+}
+
+module.exports = {
+  RECURRENCE_TYPES,
+  normalizeRecurrence,
+  nextOccurrence,
+};
@@ -4,6 +4,53 @@ const fs = require("fs/promises");
 const path = require("path");
 const sqlite3 = require("sqlite3");
 const crypto = require("crypto");
+const { loadMigrations, applyMigrations, versionOf } = require("./migrator.js");
+const { normalizeQuery } = require("./todoQuery.js");
+const {
+  MARK_START,
+  MARK_END,
+  ELLIPSIS,
+  SNIPPET_TOKENS,
+  TITLE_WEIGHT,
+  toFtsQuery,
+} = require("./todoSearch.js");
+const {
+  INBOX_LIST_ID,
+  normalizeTitle,
+  normalizePriority,
+  normalizeDueDate,
+  normalizeRemindAt,
+  normalizeItems,
+  normalizeTagName,
+  normalizeTagRefs,
+  normalizeListName,
+  normalizeListId,
+  normalizeImportedTodo,
+  dueDateRange,
+} = require("./todoFields.js");
+const { normalizeRecurrence } = require("./recurrence.js");
+const { diffTodos } = require("./todoRevisions.js");
+const { ConflictError, checkVersion } = require("./conflictError.js");
+
+// ORDER BY expressions for the sort fields of todoQuery.js
+const SORT_COLUMNS = {
+  createdAt: "created_at",
+  updatedAt: "updated_at",
+  dueDate: "due_date",
+  priority: `CASE priority WHEN 'low' THEN 0 WHEN 'medium' THEN 1 ELSE 2 END`,
+  title: "title COLLATE NOCASE",
+};
+
+// SQL twin of calendarDayOf() in todoFields.js
+const CALENDAR_DAY_SQL = `COALESCE(due_date, date(created_at, 'localtime'))`;
+
+const TODO_COLUMNS = `id, title, description, done, priority, due_date, remind_at, list_id, recurrence, created_at, updated_at, deleted_at, version`;
+
+// todos that are not in the trash
+const LIVE = "deleted_at IS NULL";
+
+// keeps `IN (?, ?, ...)` lists well below SQLITE_MAX_VARIABLE_NUMBER
+const IN_CHUNK_SIZE = 500;
 
 function generateUuid() {
   if (!crypto || typeof crypto.randomUUID !== "function") {
@@ -18,22 +65,24 @@ class SqliteFileStorage {
   /**
    * options:
    *  - filepath: string (path to sqlite db file, default 'db/todo.db')
-   *  - schemaPath: optional path to SQL schema file (default process.cwd()/db/schema.sql)
+   *  - migrationsDir: directory of numbered *.sql migrations (default ./migrations)
    *  - busyTimeout: ms to set PRAGMA busy_timeout (default 5000)
    */
   constructor(options = {}) {
     const {
       filepath = path.join("db", "todo.db"),
-      schemaPath = path.join(process.cwd(), "db", "schema.sql"),
+      migrationsDir = path.join(__dirname, "migrations"),
       busyTimeout = 5000,
     } = options;
 
     this.filepath = filepath;
-    this.schemaPath = schemaPath;
+    this.migrationsDir = migrationsDir;
     this.busyTimeout = Number(busyTimeout) || 5000;
 
     this.db = null;
     this._inited = false;
+    // every write waits its turn here; see _transaction()
+    this._writeQueue = Promise.resolve();
   }
 
   async init() {
@@ -57,44 +106,21 @@ class SqliteFileStorage {
     const timeout = Math.floor(Math.max(0, this.busyTimeout));
     await this._exec(`PRAGMA busy_timeout = ${timeout};`);
 
-    // Load schema file, fallback to embedded minimal schema
-    let schemaSql = null;
+    const migrations = await loadMigrations(this.migrationsDir);
     try {
-      schemaSql = await fs.readFile(this.schemaPath, "utf8");
+      await applyMigrations(
+        {
+          exec: (sql) => this._exec(sql),
+          run: (sql, params) => this._run(sql, params),
+          all: (sql, params) => this._all(sql, params),
+        },
+        migrations
+      );
     } catch (err) {
-      // fallback to a minimal inline schema if no file available
-      schemaSql = `
-PRAGMA foreign_keys = ON;
-CREATE TABLE IF NOT EXISTS schema_migrations (
-  id INTEGER PRIMARY KEY AUTOINCREMENT,
-  name TEXT NOT NULL UNIQUE,
-  run_at TEXT NOT NULL DEFAULT (datetime('now'))
-);
-
-CREATE TABLE IF NOT EXISTS todos (
-  id TEXT PRIMARY KEY,
-  title TEXT NOT NULL,
-  description TEXT DEFAULT '',
-  done INTEGER NOT NULL DEFAULT 0 CHECK (done IN (0,1)),
-  created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ','now')),
-  updated_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ','now'))
-);
-
-CREATE TRIGGER IF NOT EXISTS todos_touch_updated_at
-AFTER UPDATE ON todos
-FOR EACH ROW
-BEGIN
-  UPDATE todos
-    SET updated_at = strftime('%Y-%m-%dT%H:%M:%fZ','now')
-    WHERE id = NEW.id;
-END;
-
-CREATE INDEX IF NOT EXISTS idx_todos_created_at ON todos (created_at);
-CREATE INDEX IF NOT EXISTS idx_todos_done ON todos (done);
-      `;
+      // do not leave a half-open handle behind on a refused/failed migration
+      await this.close();
+      throw err;
     }
-    await this._exec(schemaSql);
-
     this._inited = true;
   }
 
@@ -107,6 +133,46 @@ CREATE INDEX IF NOT EXISTS idx_todos_done ON todos (done);
     this._inited = false;
   }
 
+  /**
+   * Highest migration version recorded in schema_migrations.
+   */
+  async getSchemaVersion() {
+    this._ensureInit();
+    const rows = await this._all(`SELECT name FROM schema_migrations`);
+    return rows.reduce((max, r) => Math.max(max, versionOf(r.name)), 0);
+  }
+
+  /**
+   * Copies the database to destPath with SQLite's online backup API, so the
+   * copy is consistent while the database stays in use.
+   */
+  async backup(destPath) {
+    this._ensureInit();
+    await fs.mkdir(path.dirname(destPath), { recursive: true });
+    await new Promise((resolve, reject) => {
+      const backup = this.db.backup(destPath, (err) => {
+        if (err) return reject(err);
+        backup.step(-1, (stepErr) => {
+          backup.finish((finishErr) => {
+            if (stepErr || finishErr) return reject(stepErr || finishErr);
+            resolve();
+          });
+        });
+      });
+    });
+  }
+
+  /**
+   * Problems found by PRAGMA integrity_check; [] when the database is sound.
+   */
+  async checkIntegrity() {
+    this._ensureInit();
+    const rows = await this._all(`PRAGMA integrity_check`);
+    return rows
+      .map((row) => Object.values(row)[0])
+      .filter((message) => message !== "ok");
+  }
+
   _ensureInit() {
     if (!this._inited) {
       throw new Error("SqliteFileStorage not initialized. Call init() first.");
@@ -115,36 +181,33 @@ CREATE INDEX IF NOT EXISTS idx_todos_done ON todos (done);
 
   async addTodo(todoData) {
     this._ensureInit();
-    if (
-      !todoData ||
-      typeof todoData.title !== "string" ||
-      todoData.title.trim() === ""
-    ) {
-      throw new Error("title is required and must be a non-empty string");
-    }
+    if (!todoData) throw new Error("todo data is required");
     const now = new Date().toISOString();
     const todo = {
       id: generateUuid(),
-      title: todoData.title,
+      title: normalizeTitle(todoData.title),
       description:
         typeof todoData.description === "string" ? todoData.description : "",
       done: !!todoData.done,
+      priority: normalizePriority(todoData.priority),
+      dueDate: normalizeDueDate(todoData.dueDate),
+      remindAt: normalizeRemindAt(todoData.remindAt),
+      listId: await this._checkListId(normalizeListId(todoData.listId)),
+      recurrence: normalizeRecurrence(todoData.recurrence),
       createdAt: now,
       updatedAt: now,
+      deletedAt: null,
+      version: 1,
+      items: normalizeItems(todoData.items, { generateId: generateUuid, now }),
+      tags: await this._resolveTags(normalizeTagRefs(todoData.tags)),
     };
 
-    const sql = `INSERT INTO todos (id, title, description, done, created_at, updated_at)
-                 VALUES (?, ?, ?, ?, ?, ?)`;
-    const params = [
-      todo.id,
-      todo.title,
-      todo.description,
-      todo.done ? 1 : 0,
-      todo.createdAt,
-      todo.updatedAt,
-    ];
-    await this._run(sql, params);
-    return { ...todo };
+    await this._transaction(async () => {
+      await this._insertTodo(todo);
+      await this._insertItems(todo.id, todo.items);
+      await this._insertTodoTags(todo.id, todo.tags);
+    });
+    return this._cloneTodo(todo);
   }
 
   async getAllTodos({ limit = null, offset = 0 } = {}) {
@@ -158,8 +221,9 @@ CREATE INDEX IF NOT EXISTS idx_todos_done ON todos (done);
       throw new Error("offset must be a non-negative integer");
     }
 
-    let sql = `SELECT id, title, description, done, created_at, updated_at
+    let sql = `SELECT ${TODO_COLUMNS}
                FROM todos
+               WHERE ${LIVE}
                ORDER BY created_at ASC`;
     const params = [];
     if (limit != null) {
@@ -167,78 +231,828 @@ CREATE INDEX IF NOT EXISTS idx_todos_done ON todos (done);
       params.push(limit, offset);
     }
     const rows = await this._all(sql, params);
-    return rows.map((r) => this._rowToTodo(r));
+    return this._rowsToTodos(rows);
+  }
+
+  /**
+   * Filtered, sorted and paginated todos; see todoQuery.js for the contract.
+   */
+  async queryTodos(query = {}) {
+    this._ensureInit();
+    const { where, sort, limit, offset } = normalizeQuery(query);
+
+    const clauses = [LIVE];
+    const params = [];
+    if (where.done !== undefined) {
+      clauses.push("done = ?");
+      params.push(where.done ? 1 : 0);
+    }
+    if (where.priority) {
+      clauses.push(`priority IN (${where.priority.map(() => "?").join(", ")})`);
+      params.push(...where.priority);
+    }
+    if (where.hasDueDate !== undefined) {
+      clauses.push(
+        where.hasDueDate ? "due_date IS NOT NULL" : "due_date IS NULL"
+      );
+    }
+    if (where.dueFrom) {
+      clauses.push("due_date >= ?");
+      params.push(where.dueFrom);
+    }
+    if (where.dueTo) {
+      clauses.push("due_date <= ?");
+      params.push(where.dueTo);
+    }
+    if (where.tagIds) {
+      clauses.push(
+        `id IN (SELECT todo_id FROM todo_tags
+                WHERE tag_id IN (${where.tagIds.map(() => "?").join(", ")})
+                GROUP BY todo_id
+                HAVING COUNT(*) = ?)`
+      );
+      params.push(...where.tagIds, where.tagIds.length);
+    }
+    if (where.listId) {
+      clauses.push("list_id = ?");
+      params.push(where.listId);
+    }
+
+    const orderBy = sort.map(({ field, direction }) => {
+      const dir = direction === "desc" ? "DESC" : "ASC";
+      return field === "dueDate"
+        ? `due_date IS NULL, due_date ${dir}`
+        : `${SORT_COLUMNS[field]} ${dir}`;
+    });
+
+    let sql = `SELECT ${TODO_COLUMNS}
+               FROM todos
+               WHERE ${clauses.join(" AND ")}
+               ORDER BY ${orderBy.join(", ")}`;
+    if (limit != null) {
+      sql += ` LIMIT ? OFFSET ?`;
+      params.push(limit, offset);
+    } else if (offset > 0) {
+      sql += ` LIMIT -1 OFFSET ?`;
+      params.push(offset);
+    }
+    const rows = await this._all(sql, params);
+    return this._rowsToTodos(rows);
+  }
+
+  /**
+   * Ranked full-text search over titles and descriptions using the
+   * todos_fts index; see todoSearch.js for the result shape.
+   */
+  async searchTodos(text, { limit = 50 } = {}) {
+    this._ensureInit();
+    if (!Number.isInteger(limit) || limit < 0) {
+      throw new Error("limit must be a non-negative integer");
+    }
+    const match = toFtsQuery(text);
+    if (!match) return [];
+    const columns = TODO_COLUMNS.split(", ")
+      .map((c) => `t.${c}`)
+      .join(", ");
+    const rows = await this._all(
+      `SELECT ${columns},
+              bm25(todos_fts, 0.0, ${TITLE_WEIGHT}.0, 1.0) AS rank,
+              highlight(todos_fts, 1, ?, ?) AS title_hl,
+              snippet(todos_fts, 2, ?, ?, ?, ${SNIPPET_TOKENS}) AS description_hl
+       FROM todos_fts
+       JOIN todos t ON t.id = todos_fts.todo_id
+       WHERE todos_fts MATCH ? AND t.${LIVE}
+       ORDER BY rank ASC, t.created_at ASC
+       LIMIT ?`,
+      [MARK_START, MARK_END, MARK_START, MARK_END, ELLIPSIS, match, limit]
+    );
+    const todos = await this._rowsToTodos(rows);
+    return rows.map((r, i) => ({
+      todo: todos[i],
+      score: -r.rank,
+      highlights: {
+        title: r.title_hl,
+        // snippet() falls back to leading text when only the title matched
+        description: r.description_hl.includes(MARK_START)
+          ? r.description_hl
+          : "",
+      },
+    }));
+  }
+
+  /**
+   * Todos due between `from` and `to` (inclusive, "YYYY-MM-DD"), ordered by
+   * due date then createdAt. Optionally also returns pending todos due
+   * before `from` (includeOverdue) and todos without a due date
+   * (includeUndated), which sort last.
+   */
+  async getTodosByDueDate({
+    from,
+    to,
+    includeOverdue = false,
+    includeUndated = false,
+  } = {}) {
+    this._ensureInit();
+    const range = dueDateRange(from, to);
+    const sql = `SELECT ${TODO_COLUMNS}
+                 FROM todos
+                 WHERE ${LIVE}
+                   AND ((due_date BETWEEN ? AND ?)
+                     OR (? AND due_date < ? AND done = 0)
+                     OR (? AND due_date IS NULL))
+                 ORDER BY due_date IS NULL, due_date ASC, created_at ASC`;
+    const rows = await this._all(sql, [
+      range.from,
+      range.to,
+      includeOverdue ? 1 : 0,
+      range.from,
+      includeUndated ? 1 : 0,
+    ]);
+    return this._rowsToTodos(rows);
+  }
+
+  /**
+   * Pending/completed counts per calendar day between `from` and `to`
+   * (inclusive). A todo's calendar day is its due date, or the local day it
+   * was created on when it has none. Days without todos are omitted.
+   * Resolves to [{ date, pending, completed }] ordered by date.
+   */
+  async getDayCounts({ from, to } = {}) {
+    this._ensureInit();
+    const range = dueDateRange(from, to);
+    const rows = await this._all(
+      `SELECT ${CALENDAR_DAY_SQL} AS day,
+              SUM(CASE WHEN done = 0 THEN 1 ELSE 0 END) AS pending,
+              SUM(CASE WHEN done = 1 THEN 1 ELSE 0 END) AS completed
+       FROM todos
+       WHERE ${LIVE} AND ${CALENDAR_DAY_SQL} BETWEEN ? AND ?
+       GROUP BY day
+       ORDER BY day ASC`,
+      [range.from, range.to]
+    );
+    return rows.map((r) => ({
+      date: r.day,
+      pending: r.pending,
+      completed: r.completed,
+    }));
+  }
+
+  /**
+   * Todos whose calendar day (see getDayCounts) is `date`, by createdAt.
+   */
+  async getTodosOnDay(date) {
+    this._ensureInit();
+    const day = dueDateRange(date, date).from;
+    const rows = await this._all(
+      `SELECT ${TODO_COLUMNS}
+       FROM todos
+       WHERE ${LIVE} AND ${CALENDAR_DAY_SQL} = ?
+       ORDER BY created_at ASC`,
+      [day]
+    );
+    return this._rowsToTodos(rows);
   }
 
   async getTodoById(id) {
     this._ensureInit();
     const row = await this._get(
-      `SELECT id, title, description, done, created_at, updated_at FROM todos WHERE id = ?`,
+      `SELECT ${TODO_COLUMNS} FROM todos WHERE id = ? AND ${LIVE}`,
       [id]
     );
     if (!row) return null;
-    return this._rowToTodo(row);
+    const [todo] = await this._rowsToTodos([row]);
+    return todo;
   }
 
-  async updateTodo(id, patch = {}) {
+  /**
+   * Applies `patch` and bumps the todo's version. Resolves to null when
+   * there is no such todo (outside the trash).
+   *
+   * options:
+   *  - expectedVersion: the version the caller last read; a different
+   *    current version throws a ConflictError instead of writing
+   */
+  async updateTodo(id, patch = {}, { expectedVersion } = {}) {
     this._ensureInit();
+    // read and written in one transaction, so no other write lands between
+    return this._transaction(() =>
+      this._updateTodo(id, patch, expectedVersion)
+    );
+  }
+
+  async _updateTodo(id, patch, expectedVersion) {
     const existing = await this.getTodoById(id);
     if (!existing) return null;
+    checkVersion(existing, expectedVersion);
 
     const now = new Date().toISOString();
     const updated = {
       ...existing,
-      title: typeof patch.title === "string" ? patch.title : existing.title,
+      title: normalizeTitle(patch.title, existing.title),
       description:
         patch.description !== undefined
           ? String(patch.description)
           : existing.description,
       done: typeof patch.done === "boolean" ? patch.done : existing.done,
+      priority: normalizePriority(patch.priority, existing.priority),
+      dueDate: normalizeDueDate(patch.dueDate, existing.dueDate),
+      remindAt: normalizeRemindAt(patch.remindAt, existing.remindAt),
+      listId:
+        patch.listId !== undefined
+          ? await this._checkListId(normalizeListId(patch.listId))
+          : existing.listId,
+      recurrence: normalizeRecurrence(patch.recurrence, existing.recurrence),
+      items:
+        patch.items !== undefined
+          ? normalizeItems(patch.items, {
+              existing: existing.items,
+              generateId: generateUuid,
+              now,
+            })
+          : existing.items,
+      tags:
+        patch.tags !== undefined
+          ? await this._resolveTags(normalizeTagRefs(patch.tags))
+          : existing.tags,
       updatedAt: now,
+      version: existing.version + 1,
     };
 
-    // Normalize and validate title after applying patch but before running SQL
-    if (typeof updated.title === "string") {
-      updated.title = updated.title.trim();
-    } else {
-      updated.title = "";
-    }
-    if (updated.title === "") {
-      // Keep behavior consistent with addTodo by throwing a validation error
-      throw new Error("Title must not be empty.");
-    }
-
     const sql = `UPDATE todos
-                 SET title = ?, description = ?, done = ?, updated_at = ?
+                 SET title = ?, description = ?, done = ?, priority = ?,
+                     due_date = ?, remind_at = ?, list_id = ?, recurrence = ?,
+                     updated_at = ?, version = version + 1
                  WHERE id = ?`;
+    const changes = diffTodos(existing, updated);
     const params = [
       updated.title,
       updated.description,
       updated.done ? 1 : 0,
+      updated.priority,
+      updated.dueDate,
+      updated.remindAt,
+      updated.listId,
+      updated.recurrence && JSON.stringify(updated.recurrence),
       updated.updatedAt,
       id,
     ];
     await this._run(sql, params);
-    return { ...updated };
+    if (patch.items !== undefined) {
+      await this._run(`DELETE FROM todo_items WHERE todo_id = ?`, [id]);
+      await this._insertItems(id, updated.items);
+    }
+    if (patch.tags !== undefined) {
+      await this._run(`DELETE FROM todo_tags WHERE todo_id = ?`, [id]);
+      await this._insertTodoTags(id, updated.tags);
+    }
+    if (changes) {
+      await this._run(
+        `INSERT INTO todo_revisions (id, todo_id, changes, created_at)
+         VALUES (?, ?, ?, ?)`,
+        [generateUuid(), id, JSON.stringify(changes), now]
+      );
+    }
+    return this._cloneTodo(updated);
+  }
+
+  /**
+   * The revisions recorded by updateTodo for a todo, newest first:
+   * [{ id, todoId, createdAt, changes }] (see todoRevisions.js).
+   */
+  async getRevisions(todoId) {
+    this._ensureInit();
+    const rows = await this._all(
+      `SELECT id, todo_id, changes, created_at
+       FROM todo_revisions
+       WHERE todo_id = ?
+       ORDER BY created_at DESC, rowid DESC`,
+      [todoId]
+    );
+    return rows.map((r) => ({
+      id: r.id,
+      todoId: r.todo_id,
+      createdAt: r.created_at,
+      changes: JSON.parse(r.changes),
+    }));
+  }
+
+  /**
+   * Moves the todo to the trash. Resolves to false if there is no such
+   * todo outside of the trash.
+   *
+   * options:
+   *  - expectedVersion: as for updateTodo()
+   */
+  async deleteTodo(id, { expectedVersion } = {}) {
+    this._ensureInit();
+    const expected = expectedVersion === undefined ? null : expectedVersion;
+    const now = new Date().toISOString();
+    const info = await this._write(
+      `UPDATE todos SET deleted_at = ?, updated_at = ?, version = version + 1
+       WHERE id = ? AND ${LIVE} AND version = COALESCE(?, version)`,
+      [now, now, id, expected]
+    );
+    if (info.changes > 0) return true;
+    const current = expected === null ? null : await this.getTodoById(id);
+    if (current) throw new ConflictError(current);
+    return false;
+  }
+
+  /**
+   * Todos in the trash, most recently deleted first.
+   */
+  async getTrashedTodos() {
+    this._ensureInit();
+    const rows = await this._all(
+      `SELECT ${TODO_COLUMNS}
+       FROM todos
+       WHERE deleted_at IS NOT NULL
+       ORDER BY deleted_at DESC, created_at ASC`
+    );
+    return this._rowsToTodos(rows);
   }
 
-  async deleteTodo(id) {
+  /**
+   * Takes a todo out of the trash. Resolves to the todo, or null if it is
+   * not in the trash.
+   */
+  async restoreTodo(id) {
+    this._ensureInit();
+    const info = await this._write(
+      `UPDATE todos
+       SET deleted_at = NULL, updated_at = ?, version = version + 1
+       WHERE id = ? AND deleted_at IS NOT NULL`,
+      [new Date().toISOString(), id]
+    );
+    if (info.changes === 0) return null;
+    return this.getTodoById(id);
+  }
+
+  /**
+   * Deletes a trashed todo for good. Resolves to false if it is not in the
+   * trash.
+   */
+  async purgeTodo(id) {
     this._ensureInit();
-    const info = await this._run(`DELETE FROM todos WHERE id = ?`, [id]);
+    const info = await this._write(
+      `DELETE FROM todos WHERE id = ? AND deleted_at IS NOT NULL`,
+      [id]
+    );
     return info.changes > 0;
   }
 
+  /**
+   * Deletes for good the todos trashed before `before` (an ISO timestamp),
+   * or the whole trash without it. Resolves to the number deleted.
+   */
+  async purgeTrash({ before = null } = {}) {
+    this._ensureInit();
+    const info = await this._write(
+      `DELETE FROM todos
+       WHERE deleted_at IS NOT NULL AND (? IS NULL OR deleted_at < ?)`,
+      [before, before]
+    );
+    return info.changes;
+  }
+
+  /**
+   * All tags by name, each with the number of todos carrying it:
+   * [{ id, name, createdAt, count }]
+   */
+  async getAllTags() {
+    this._ensureInit();
+    const rows = await this._all(
+      `SELECT t.id, t.name, t.created_at, COUNT(td.id) AS count
+       FROM tags t
+       LEFT JOIN todo_tags tt ON tt.tag_id = t.id
+       LEFT JOIN todos td ON td.id = tt.todo_id AND td.${LIVE}
+       GROUP BY t.id
+       ORDER BY t.name COLLATE NOCASE ASC`
+    );
+    return rows.map((r) => ({
+      id: r.id,
+      name: r.name,
+      createdAt: r.created_at,
+      count: r.count,
+    }));
+  }
+
+  async createTag(name) {
+    this._ensureInit();
+    const tag = {
+      id: generateUuid(),
+      name: normalizeTagName(name),
+      createdAt: new Date().toISOString(),
+    };
+    await this._transaction(async () => {
+      await this._assertTagNameFree(tag.name);
+      await this._run(
+        `INSERT INTO tags (id, name, created_at) VALUES (?, ?, ?)`,
+        [tag.id, tag.name, tag.createdAt]
+      );
+    });
+    return { ...tag, count: 0 };
+  }
+
+  /**
+   * Resolves to the renamed tag, or null if there is no tag with that id.
+   */
+  async renameTag(id, name) {
+    this._ensureInit();
+    const normalized = normalizeTagName(name);
+    const info = await this._transaction(async () => {
+      await this._assertTagNameFree(normalized, id);
+      return this._run(`UPDATE tags SET name = ? WHERE id = ?`, [
+        normalized,
+        id,
+      ]);
+    });
+    if (info.changes === 0) return null;
+    const tags = await this.getAllTags();
+    return tags.find((t) => t.id === id);
+  }
+
+  /**
+   * Deletes the tag and removes it from every todo (todos are kept).
+   */
+  async deleteTag(id) {
+    this._ensureInit();
+    const info = await this._write(`DELETE FROM tags WHERE id = ?`, [id]);
+    return info.changes > 0;
+  }
+
+  async _assertTagNameFree(name, exceptId = null) {
+    const row = await this._get(
+      `SELECT id FROM tags WHERE name = ? AND id IS NOT ?`,
+      [name, exceptId]
+    );
+    if (row) throw new Error(`A tag named "${name}" already exists.`);
+  }
+
+  // tag ids -> [{ id, name }] ordered by name; unknown ids are an error
+  async _resolveTags(ids) {
+    if (ids.length === 0) return [];
+    const rows = await this._all(
+      `SELECT id, name FROM tags
+       WHERE id IN (${ids.map(() => "?").join(", ")})
+       ORDER BY name COLLATE NOCASE ASC`,
+      ids
+    );
+    const missing = ids.find((id) => !rows.some((r) => r.id === id));
+    if (missing) throw new Error(`Unknown tag: ${missing}`);
+    return rows.map((r) => ({ id: r.id, name: r.name }));
+  }
+
+  async _insertTodoTags(todoId, tags) {
+    for (const tag of tags) {
+      await this._run(
+        `INSERT OR IGNORE INTO todo_tags (todo_id, tag_id) VALUES (?, ?)`,
+        [todoId, tag.id]
+      );
+    }
+  }
+
+  // imported { id?, name } tags -> tag ids, matching existing tags by id,
+  // then by name, and creating the rest; must run inside a transaction
+  async _importTags(tags) {
+    const ids = [];
+    for (const tag of tags) {
+      let row = tag.id
+        ? await this._get(`SELECT id FROM tags WHERE id = ?`, [tag.id])
+        : null;
+      if (!row) {
+        row = await this._get(`SELECT id FROM tags WHERE name = ?`, [tag.name]);
+      }
+      if (!row) {
+        row = { id: tag.id || generateUuid() };
+        await this._run(`INSERT INTO tags (id, name) VALUES (?, ?)`, [
+          row.id,
+          tag.name,
+        ]);
+      }
+      ids.push({ id: row.id });
+    }
+    return ids;
+  }
+
+  /**
+   * All lists, the Inbox first and the rest by name, with their number of
+   * todos: [{ id, name, createdAt, count, pending }]
+   */
+  async getAllLists() {
+    this._ensureInit();
+    const rows = await this._all(
+      `SELECT l.id, l.name, l.created_at,
+              COUNT(t.id) AS count,
+              COALESCE(SUM(CASE WHEN t.done = 0 THEN 1 ELSE 0 END), 0)
+                AS pending
+       FROM lists l
+       LEFT JOIN todos t ON t.list_id = l.id AND t.${LIVE}
+       GROUP BY l.id
+       ORDER BY l.id <> ?, l.name COLLATE NOCASE ASC`,
+      [INBOX_LIST_ID]
+    );
+    return rows.map((r) => ({
+      id: r.id,
+      name: r.name,
+      createdAt: r.created_at,
+      count: r.count,
+      pending: r.pending,
+    }));
+  }
+
+  async createList(name) {
+    this._ensureInit();
+    const list = {
+      id: generateUuid(),
+      name: normalizeListName(name),
+      createdAt: new Date().toISOString(),
+    };
+    await this._transaction(async () => {
+      await this._assertListNameFree(list.name);
+      await this._run(
+        `INSERT INTO lists (id, name, created_at) VALUES (?, ?, ?)`,
+        [list.id, list.name, list.createdAt]
+      );
+    });
+    return { ...list, count: 0, pending: 0 };
+  }
+
+  /**
+   * Resolves to the renamed list, or null if there is no list with that id.
+   */
+  async renameList(id, name) {
+    this._ensureInit();
+    const normalized = normalizeListName(name);
+    const info = await this._transaction(async () => {
+      await this._assertListNameFree(normalized, id);
+      return this._run(`UPDATE lists SET name = ? WHERE id = ?`, [
+        normalized,
+        id,
+      ]);
+    });
+    if (info.changes === 0) return null;
+    const lists = await this.getAllLists();
+    return lists.find((l) => l.id === id);
+  }
+
+  /**
+   * Deletes a list. Its todos are moved to `moveTo` (default the Inbox)
+   * when todos is 'move', or moved to the trash when todos is 'delete'
+   * (restoring them later puts them in the Inbox).
+   * The Inbox cannot be deleted. Resolves to false if there is no such list.
+   */
+  async deleteList(id, { todos = "move", moveTo = INBOX_LIST_ID } = {}) {
+    this._ensureInit();
+    if (!["move", "delete"].includes(todos)) {
+      throw new Error("todos must be 'move' or 'delete'");
+    }
+    if (id === INBOX_LIST_ID) {
+      throw new Error("The Inbox cannot be deleted.");
+    }
+    if (todos === "move") {
+      if (moveTo === id) {
+        throw new Error("Todos cannot be moved to the list being deleted.");
+      }
+      await this._checkListId(moveTo);
+    }
+    return this._transaction(async () => {
+      const now = new Date().toISOString();
+      if (todos === "move") {
+        await this._run(
+          `UPDATE todos SET list_id = ?, updated_at = ?, version = version + 1
+           WHERE list_id = ?`,
+          [moveTo, now, id]
+        );
+      } else {
+        await this._run(
+          `UPDATE todos
+           SET deleted_at = COALESCE(deleted_at, ?), list_id = ?,
+               updated_at = ?, version = version + 1
+           WHERE list_id = ?`,
+          [now, INBOX_LIST_ID, now, id]
+        );
+      }
+      const info = await this._run(`DELETE FROM lists WHERE id = ?`, [id]);
+      return info.changes > 0;
+    });
+  }
+
+  async _assertListNameFree(name, exceptId = null) {
+    const row = await this._get(
+      `SELECT id FROM lists WHERE name = ? AND id IS NOT ?`,
+      [name, exceptId]
+    );
+    if (row) throw new Error(`A list named "${name}" already exists.`);
+  }
+
+  async _checkListId(id) {
+    const row = await this._get(`SELECT id FROM lists WHERE id = ?`, [id]);
+    if (!row) throw new Error(`Unknown list: ${id}`);
+    return id;
+  }
+
+  // imported { id, name } list -> list id, matching an existing list by id,
+  // then by name, creating it when it has a name, else the Inbox; must run
+  // inside a transaction
+  async _importList(list) {
+    if (!list) return INBOX_LIST_ID;
+    if (await this._get(`SELECT id FROM lists WHERE id = ?`, [list.id])) {
+      return list.id;
+    }
+    if (!list.name) return INBOX_LIST_ID;
+    const row = await this._get(`SELECT id FROM lists WHERE name = ?`, [
+      list.name,
+    ]);
+    if (row) return row.id;
+    const id = list.id || generateUuid();
+    await this._run(`INSERT INTO lists (id, name) VALUES (?, ?)`, [
+      id,
+      list.name,
+    ]);
+    return id;
+  }
+
+  /**
+   * Inserts complete todos (keeping id, done and timestamps) in a single
+   * transaction. Todos whose id already exists are left untouched. Tags
+   * and lists are matched to existing ones by id, then by name, or created.
+   * Resolves to the number of todos inserted.
+   *
+   * options:
+   *  - updates: [{ id, patch }] applied as by updateTodo() in the same
+   *    transaction; ids not found outside the trash are skipped
+   */
+  async importTodos(todos = [], { updates = [] } = {}) {
+    this._ensureInit();
+    const now = new Date().toISOString();
+    const normalized = todos.map((t) =>
+      normalizeImportedTodo(t, now, generateUuid)
+    );
+    return this._transaction(async () => {
+      let inserted = 0;
+      for (const { list, ...todo } of normalized) {
+        if (await this._get(`SELECT id FROM todos WHERE id = ?`, [todo.id])) {
+          continue;
+        }
+        todo.listId = await this._importList(list);
+        const info = await this._insertTodo(todo, { orIgnore: true });
+        if (info.changes === 0) continue;
+        await this._insertItems(todo.id, todo.items, { orIgnore: true });
+        await this._insertTodoTags(todo.id, await this._importTags(todo.tags));
+        inserted += 1;
+      }
+      for (const { id, patch } of updates) {
+        await this._updateTodo(id, patch);
+      }
+      return inserted;
+    });
+  }
+
+  _insertTodo(todo, { orIgnore = false } = {}) {
+    return this._run(
+      `INSERT ${orIgnore ? "OR IGNORE " : ""}INTO todos (${TODO_COLUMNS})
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        todo.id,
+        todo.title,
+        todo.description,
+        todo.done ? 1 : 0,
+        todo.priority,
+        todo.dueDate,
+        todo.remindAt,
+        todo.listId,
+        todo.recurrence && JSON.stringify(todo.recurrence),
+        todo.createdAt,
+        todo.updatedAt,
+        todo.deletedAt,
+        todo.version,
+      ]
+    );
+  }
+
+  async _insertItems(todoId, items, { orIgnore = false } = {}) {
+    for (const [position, item] of items.entries()) {
+      await this._run(
+        `INSERT ${orIgnore ? "OR IGNORE " : ""}INTO todo_items
+           (id, todo_id, title, done, position, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [
+          item.id,
+          todoId,
+          item.title,
+          item.done ? 1 : 0,
+          position,
+          item.createdAt,
+          item.updatedAt,
+        ]
+      );
+    }
+  }
+
+  // rows from the todos table -> todos with their checklist items and tags
+  // attached
+  async _rowsToTodos(rows) {
+    const todos = rows.map((r) => this._rowToTodo(r));
+    const byId = new Map(todos.map((t) => [t.id, t]));
+    const ids = Array.from(byId.keys());
+    for (let i = 0; i < ids.length; i += IN_CHUNK_SIZE) {
+      const chunk = ids.slice(i, i + IN_CHUNK_SIZE);
+      const itemRows = await this._all(
+        `SELECT id, todo_id, title, done, created_at, updated_at
+         FROM todo_items
+         WHERE todo_id IN (${chunk.map(() => "?").join(", ")})
+         ORDER BY todo_id, position ASC`,
+        chunk
+      );
+      for (const r of itemRows) {
+        byId.get(r.todo_id).items.push({
+          id: r.id,
+          title: r.title,
+          done: r.done === 1,
+          createdAt: r.created_at,
+          updatedAt: r.updated_at,
+        });
+      }
+      const tagRows = await this._all(
+        `SELECT tt.todo_id, t.id, t.name
+         FROM todo_tags tt
+         JOIN tags t ON t.id = tt.tag_id
+         WHERE tt.todo_id IN (${chunk.map(() => "?").join(", ")})
+         ORDER BY t.name COLLATE NOCASE ASC`,
+        chunk
+      );
+      for (const r of tagRows) {
+        byId.get(r.todo_id).tags.push({ id: r.id, name: r.name });
+      }
+    }
+    return todos;
+  }
+
+  _cloneTodo(todo) {
+    return {
+      ...todo,
+      recurrence: normalizeRecurrence(todo.recurrence),
+      items: todo.items.map((i) => ({ ...i })),
+      tags: todo.tags.map((t) => ({ ...t })),
+    };
+  }
+
   _rowToTodo(row) {
     return {
       id: row.id,
       title: row.title,
       description: row.description || "",
       done: row.done === 1 || row.done === true,
+      priority: row.priority || "medium",
+      dueDate: row.due_date || null,
+      remindAt: row.remind_at || null,
+      listId: row.list_id || INBOX_LIST_ID,
+      recurrence: row.recurrence ? JSON.parse(row.recurrence) : null,
       createdAt: row.created_at,
       updatedAt: row.updated_at,
+      deletedAt: row.deleted_at || null,
+      version: row.version,
+      items: [],
+      tags: [],
     };
   }
 
+  // Writes are queued so they never interleave on the one connection: BEGIN
+  // inside BEGIN fails in SQLite, and a write run while another call's
+  // transaction is open would be undone by its ROLLBACK.
+  _transaction(fn) {
+    return this._queueWrite(() => this._runTransaction(fn));
+  }
+
+  // one statement outside of a transaction; inside fn of _transaction()
+  // use _run(), as the queue is already held there
+  _write(sql, params = []) {
+    return this._queueWrite(() => this._run(sql, params));
+  }
+
+  _queueWrite(task) {
+    const run = this._writeQueue.then(task);
+    this._writeQueue = run.catch(() => {});
+    return run;
+  }
+
+  async _runTransaction(fn) {
+    await this._exec("BEGIN IMMEDIATE");
+    try {
+      const result = await fn();
+      await this._exec("COMMIT");
+      return result;
+    } catch (err) {
+      try {
+        await this._exec("ROLLBACK");
+      } catch (e) {
+        // ignore, surface the original error
+      }
+      throw err;
+    }
+  }
+
   _exec(sql) {
     return new Promise((resolve, reject) => {
       this.db.exec(sql, (err) => (err ? reject(err) : resolve()));
@@ -0,0 +1,318 @@
+// src/storage/todoFields.js
+"use strict";
+
+const { normalizeRecurrence } = require("./recurrence.js");
+
+const PRIORITIES = ["low", "medium", "high"];
+const DEFAULT_PRIORITY = "medium";
+
+// every todo belongs to a list; this one always exists and cannot be deleted
+const INBOX_LIST_ID = "inbox";
+const INBOX_LIST_NAME = "Inbox";
+
+const DATE_RE = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+/**
+ * Titles are trimmed and must not be empty. undefined falls back to
+ * `fallback` when one is given.
+ */
+function normalizeTitle(value, fallback) {
+  if (value === undefined && fallback !== undefined) return fallback;
+  const trimmed = typeof value === "string" ? value.trim() : "";
+  if (trimmed === "") throw new Error("title must not be empty");
+  return trimmed;
+}
+
+/**
+ * Returns a valid priority. undefined falls back to `fallback`;
+ * anything else that is not one of PRIORITIES throws.
+ */
+function normalizePriority(value, fallback = DEFAULT_PRIORITY) {
+  if (value === undefined) return fallback;
+  if (typeof value === "string" && PRIORITIES.includes(value)) return value;
+  throw new Error(`priority must be one of ${PRIORITIES.join(", ")}`);
+}
+
+/**
+ * Due dates are calendar days ("YYYY-MM-DD", as produced by
+ * <input type="date">). undefined falls back to `fallback`; null or ""
+ * clears the date; anything that is not a real calendar day throws.
+ */
+function normalizeDueDate(value, fallback = null) {
+  if (value === undefined) return fallback;
+  if (value === null || value === "") return null;
+  const match = typeof value === "string" ? DATE_RE.exec(value) : null;
+  if (match) {
+    const [, y, m, d] = match.map(Number);
+    const date = new Date(Date.UTC(y, m - 1, d));
+    if (
+      date.getUTCFullYear() === y &&
+      date.getUTCMonth() === m - 1 &&
+      date.getUTCDate() === d
+    ) {
+      return value;
+    }
+  }
+  throw new Error("dueDate must be a date in YYYY-MM-DD format");
+}
+
+/**
+ * Reminder times are instants, stored as ISO timestamps. undefined falls
+ * back to `fallback`; null or "" removes the reminder; anything Date
+ * cannot parse throws.
+ */
+function normalizeRemindAt(value, fallback = null) {
+  if (value === undefined) return fallback;
+  if (value === null || value === "") return null;
+  const time = typeof value === "string" ? Date.parse(value) : NaN;
+  if (Number.isNaN(time)) {
+    throw new Error("remindAt must be a date and time");
+  }
+  return new Date(time).toISOString();
+}
+
+/**
+ * Local calendar day ("YYYY-MM-DD") of an ISO timestamp such as createdAt.
+ */
+function localDateOf(isoString) {
+  const date = new Date(isoString);
+  const y = date.getFullYear();
+  const m = String(date.getMonth() + 1).padStart(2, "0");
+  const d = String(date.getDate()).padStart(2, "0");
+  return `${y}-${m}-${d}`;
+}
+
+/**
+ * The day a todo belongs to on the calendar: its due date, or the local
+ * day it was created on when it has none.
+ */
+function calendarDayOf(todo) {
+  return todo.dueDate || localDateOf(todo.createdAt);
+}
+
+/**
+ * Validates a { from, to } pair of due dates for range queries.
+ */
+function dueDateRange(from, to) {
+  if (!from || !to) throw new Error("from and to dates are required");
+  const range = { from: normalizeDueDate(from), to: normalizeDueDate(to) };
+  if (range.from > range.to) throw new Error("from must not be after to");
+  return range;
+}
+
+/**
+ * Validates a todo's checklist and returns it in storage form:
+ *  [{ id, title, done, createdAt, updatedAt }] in display order.
+ *
+ * options:
+ *  - existing: the todo's current items; items whose id matches one of
+ *    them keep their id and createdAt (updatedAt moves only on change)
+ *  - keepIds: also keep ids/timestamps of unknown items (imports)
+ *  - generateId: () => string for new items
+ *  - now: ISO timestamp for new/changed items
+ */
+function normalizeItems(items, options = {}) {
+  const {
+    existing = [],
+    keepIds = false,
+    generateId,
+    now = new Date().toISOString(),
+  } = options;
+  if (items === undefined || items === null) return [];
+  if (!Array.isArray(items)) throw new Error("items must be an array");
+
+  const previous = new Map(existing.map((i) => [i.id, i]));
+  const seen = new Set();
+  return items.map((item) => {
+    if (!item || typeof item.title !== "string" || item.title.trim() === "") {
+      throw new Error("every checklist item needs a non-empty title");
+    }
+    const title = item.title.trim();
+    const done = !!item.done;
+    const id = typeof item.id === "string" && item.id ? item.id : null;
+    const prev = id && !seen.has(id) ? previous.get(id) : undefined;
+
+    let result;
+    if (prev) {
+      const changed = prev.title !== title || prev.done !== done;
+      result = {
+        id,
+        title,
+        done,
+        createdAt: prev.createdAt,
+        updatedAt: changed ? now : prev.updatedAt,
+      };
+    } else if (keepIds && id && !seen.has(id)) {
+      const createdAt =
+        typeof item.createdAt === "string" ? item.createdAt : now;
+      result = {
+        id,
+        title,
+        done,
+        createdAt,
+        updatedAt:
+          typeof item.updatedAt === "string" ? item.updatedAt : createdAt,
+      };
+    } else {
+      result = {
+        id: generateId(),
+        title,
+        done,
+        createdAt: now,
+        updatedAt: now,
+      };
+    }
+    seen.add(result.id);
+    return result;
+  });
+}
+
+const MAX_TAG_LENGTH = 50;
+
+/**
+ * Tag names are trimmed, lose a leading "#" and must be 1-50 characters.
+ * Uniqueness (case-insensitive) is checked by the storage.
+ */
+function normalizeTagName(name) {
+  const trimmed =
+    typeof name === "string" ? name.trim().replace(/^#+/, "").trim() : "";
+  if (trimmed === "" || trimmed.length > MAX_TAG_LENGTH) {
+    throw new Error(
+      `tag name must be between 1 and ${MAX_TAG_LENGTH} characters`
+    );
+  }
+  return trimmed;
+}
+
+/**
+ * A todo's tags as sent by callers: tag ids or { id } objects (so a todo
+ * read from storage can be sent back as-is). Returns unique ids.
+ */
+function normalizeTagRefs(tags) {
+  if (tags === undefined || tags === null) return [];
+  if (!Array.isArray(tags)) throw new Error("tags must be an array");
+  const ids = tags.map((tag) =>
+    tag && typeof tag === "object" ? tag.id : tag
+  );
+  if (!ids.every((id) => typeof id === "string" && id !== "")) {
+    throw new Error("tags must be tag ids");
+  }
+  return Array.from(new Set(ids));
+}
+
+/**
+ * Tags attached to an imported todo: [{ id?, name }]. Storages match them
+ * to existing tags by id, then by name, and create the rest.
+ */
+function normalizeImportedTags(tags) {
+  if (tags === undefined || tags === null) return [];
+  if (!Array.isArray(tags)) throw new Error("tags must be an array");
+  return tags.map((tag) => {
+    const name = normalizeTagName(
+      typeof tag === "string" ? tag : tag && tag.name
+    );
+    const id = tag && typeof tag.id === "string" && tag.id ? tag.id : null;
+    return { id, name };
+  });
+}
+
+const MAX_LIST_NAME_LENGTH = 50;
+
+/**
+ * List names are trimmed and must be 1-50 characters. Uniqueness
+ * (case-insensitive) is checked by the storage.
+ */
+function normalizeListName(name) {
+  const trimmed = typeof name === "string" ? name.trim() : "";
+  if (trimmed === "" || trimmed.length > MAX_LIST_NAME_LENGTH) {
+    throw new Error(
+      `list name must be between 1 and ${MAX_LIST_NAME_LENGTH} characters`
+    );
+  }
+  return trimmed;
+}
+
+/**
+ * Returns a list id. undefined falls back to `fallback`; null or "" means
+ * the Inbox. Whether the list exists is checked by the storage.
+ */
+function normalizeListId(value, fallback = INBOX_LIST_ID) {
+  if (value === undefined) return fallback;
+  if (value === null || value === "") return INBOX_LIST_ID;
+  if (typeof value === "string") return value;
+  throw new Error("listId must be a list id");
+}
+
+/**
+ * The list of an imported todo: { id, name } from a `list` object, or
+ * { id, name: null } from a bare listId, or null for the Inbox. Storages
+ * match it to an existing list by id, then by name, create it when it has
+ * a name, and fall back to the Inbox otherwise.
+ */
+function normalizeImportedList(item) {
+  if (item.list && typeof item.list === "object") {
+    const id = typeof item.list.id === "string" && item.list.id;
+    return { id: id || null, name: normalizeListName(item.list.name) };
+  }
+  if (typeof item.listId === "string" && item.listId !== "") {
+    return { id: item.listId, name: null };
+  }
+  return null;
+}
+
+/**
+ * Validates a complete todo coming from outside the app (an older
+ * todo.json, an import file) and fills in defaults. Unlike addTodo this
+ * keeps the given id, done flag and timestamps.
+ */
+function normalizeImportedTodo(
+  item,
+  now = new Date().toISOString(),
+  generateId
+) {
+  if (!item || typeof item.id !== "string" || item.id.trim() === "") {
+    throw new Error("imported todo must have a string id");
+  }
+  if (typeof item.title !== "string" || item.title.trim() === "") {
+    throw new Error(`imported todo ${item.id} must have a non-empty title`);
+  }
+  const createdAt = typeof item.createdAt === "string" ? item.createdAt : now;
+  return {
+    id: item.id,
+    title: item.title,
+    description: typeof item.description === "string" ? item.description : "",
+    done: !!item.done,
+    priority: normalizePriority(item.priority),
+    dueDate: normalizeDueDate(item.dueDate),
+    createdAt,
+    updatedAt: typeof item.updatedAt === "string" ? item.updatedAt : createdAt,
+    items: normalizeItems(item.items, { keepIds: true, generateId, now }),
+    tags: normalizeImportedTags(item.tags),
+    list: normalizeImportedList(item),
+    recurrence: normalizeRecurrence(item.recurrence),
+    remindAt: normalizeRemindAt(item.remindAt),
+    deletedAt: typeof item.deletedAt === "string" ? item.deletedAt : null,
+    version:
+      Number.isInteger(item.version) && item.version > 0 ? item.version : 1,
+  };
+}
+
+module.exports = {
+  PRIORITIES,
+  DEFAULT_PRIORITY,
+  INBOX_LIST_ID,
+  INBOX_LIST_NAME,
+  normalizeTitle,
+  normalizePriority,
+  normalizeDueDate,
+  normalizeRemindAt,
+  normalizeItems,
+  normalizeTagName,
+  normalizeTagRefs,
+  normalizeListName,
+  normalizeListId,
+  normalizeImportedTodo,
+  dueDateRange,
+  localDateOf,
+  calendarDayOf,
+};
@@ -0,0 +1,184 @@
+// src/storage/todoQuery.js
+"use strict";
+
+const { PRIORITIES, normalizeDueDate } = require("./todoFields.js");
+
+/**
+ * The queryTodos() contract shared by every storage backend.
+ *
+ * query:
+ *  - where: {
+ *      done?: boolean,
+ *      priority?: string | string[],  one of / any of PRIORITIES
+ *      dueFrom?: "YYYY-MM-DD",        due on or after (excludes undated)
+ *      dueTo?: "YYYY-MM-DD",          due on or before (excludes undated)
+ *      hasDueDate?: boolean,
+ *      tagIds?: string[],             has every one of these tags
+ *      listId?: string,               belongs to this list
+ *    }
+ *  - sort: "field" | "-field" | { field, direction: 'asc' | 'desc' }, or an
+ *    array of those. Fields: createdAt, updatedAt, dueDate, priority, title.
+ *    Todos without a due date always sort after dated ones. Priority sorts
+ *    by rank (low < medium < high). Default: createdAt ascending.
+ *  - limit: non-negative integer or null, offset: non-negative integer
+ */
+
+const SORT_FIELDS = ["createdAt", "updatedAt", "dueDate", "priority", "title"];
+
+const PRIORITY_RANK = { low: 0, medium: 1, high: 2 };
+
+function normalizeSortKey(key) {
+  let field;
+  let direction = "asc";
+  if (typeof key === "string") {
+    field = key.startsWith("-") ? key.slice(1) : key;
+    if (key.startsWith("-")) direction = "desc";
+  } else if (key && typeof key === "object") {
+    field = key.field;
+    direction = key.direction === undefined ? "asc" : key.direction;
+  }
+  if (!SORT_FIELDS.includes(field)) {
+    throw new Error(`sort field must be one of ${SORT_FIELDS.join(", ")}`);
+  }
+  if (direction !== "asc" && direction !== "desc") {
+    throw new Error("sort direction must be 'asc' or 'desc'");
+  }
+  return { field, direction };
+}
+
+/**
+ * Validates a query and returns it in canonical form:
+ * { where, sort: [{ field, direction }], limit, offset }
+ */
+function normalizeQuery({ where = {}, sort, limit = null, offset = 0 } = {}) {
+  if (limit !== null && (!Number.isInteger(limit) || limit < 0)) {
+    throw new Error("limit must be a non-negative integer");
+  }
+  if (!Number.isInteger(offset) || offset < 0) {
+    throw new Error("offset must be a non-negative integer");
+  }
+  if (!where || typeof where !== "object") {
+    throw new Error("where must be an object");
+  }
+
+  const normalized = {};
+  if (where.done !== undefined) {
+    if (typeof where.done !== "boolean") {
+      throw new Error("where.done must be a boolean");
+    }
+    normalized.done = where.done;
+  }
+  if (where.priority !== undefined) {
+    const list = Array.isArray(where.priority)
+      ? where.priority
+      : [where.priority];
+    if (list.length === 0 || !list.every((p) => PRIORITIES.includes(p))) {
+      throw new Error(`where.priority must be in ${PRIORITIES.join(", ")}`);
+    }
+    normalized.priority = list;
+  }
+  if (where.dueFrom !== undefined && where.dueFrom !== null) {
+    normalized.dueFrom = normalizeDueDate(where.dueFrom);
+  }
+  if (where.dueTo !== undefined && where.dueTo !== null) {
+    normalized.dueTo = normalizeDueDate(where.dueTo);
+  }
+  if (where.hasDueDate !== undefined) {
+    if (typeof where.hasDueDate !== "boolean") {
+      throw new Error("where.hasDueDate must be a boolean");
+    }
+    normalized.hasDueDate = where.hasDueDate;
+  }
+  if (where.tagIds !== undefined) {
+    if (
+      !Array.isArray(where.tagIds) ||
+      !where.tagIds.every((id) => typeof id === "string" && id !== "")
+    ) {
+      throw new Error("where.tagIds must be an array of tag ids");
+    }
+    if (where.tagIds.length > 0) {
+      normalized.tagIds = Array.from(new Set(where.tagIds));
+    }
+  }
+
+  if (where.listId !== undefined) {
+    if (typeof where.listId !== "string" || where.listId === "") {
+      throw new Error("where.listId must be a list id");
+    }
+    normalized.listId = where.listId;
+  }
+
+  const keys = sort === undefined ? [] : Array.isArray(sort) ? sort : [sort];
+  const sortKeys = keys.map(normalizeSortKey);
+  // createdAt breaks ties so results are stable across backends
+  if (!sortKeys.some((k) => k.field === "createdAt")) {
+    sortKeys.push({ field: "createdAt", direction: "asc" });
+  }
+
+  return { where: normalized, sort: sortKeys, limit, offset };
+}
+
+/**
+ * In-memory implementation of a normalized `where`.
+ */
+function matchesWhere(todo, where) {
+  if (where.done !== undefined && todo.done !== where.done) return false;
+  if (where.priority && !where.priority.includes(todo.priority)) return false;
+  if (where.hasDueDate !== undefined && !!todo.dueDate !== where.hasDueDate) {
+    return false;
+  }
+  if (where.dueFrom && (!todo.dueDate || todo.dueDate < where.dueFrom)) {
+    return false;
+  }
+  if (where.dueTo && (!todo.dueDate || todo.dueDate > where.dueTo)) {
+    return false;
+  }
+  if (
+    where.tagIds &&
+    !where.tagIds.every((id) => todo.tags.some((tag) => tag.id === id))
+  ) {
+    return false;
+  }
+  if (where.listId && todo.listId !== where.listId) return false;
+  return true;
+}
+
+/**
+ * In-memory comparator for a normalized `sort`.
+ */
+function compareBy(sort) {
+  return (a, b) => {
+    for (const { field, direction } of sort) {
+      const sign = direction === "desc" ? -1 : 1;
+      let diff;
+      if (field === "dueDate") {
+        if (a.dueDate == null || b.dueDate == null) {
+          // undated last regardless of direction
+          diff = (a.dueDate == null) - (b.dueDate == null);
+          if (diff !== 0) return diff;
+          continue;
+        }
+        diff = sign * a.dueDate.localeCompare(b.dueDate);
+      } else if (field === "priority") {
+        diff = sign * (PRIORITY_RANK[a.priority] - PRIORITY_RANK[b.priority]);
+      } else if (field === "title") {
+        // case-insensitive like SQLite's NOCASE collation
+        const x = a.title.toLowerCase();
+        const y = b.title.toLowerCase();
+        diff = sign * (x < y ? -1 : x > y ? 1 : 0);
+      } else {
+        diff = sign * a[field].localeCompare(b[field]);
+      }
+      if (diff !== 0) return diff;
+    }
+    return 0;
+  };
+}
+
+module.exports = {
+  SORT_FIELDS,
+  PRIORITY_RANK,
+  normalizeQuery,
+  matchesWhere,
+  compareBy,
+};
@@ -0,0 +1,78 @@
+// src/storage/todoRevisions.js
+"use strict";
+
+/**
+ * Revision history of todos, shared by every storage backend.
+ *
+ * Each updateTodo() that changes something records a revision:
+ *  { id, todoId, createdAt, changes: { field: { from, to } } }
+ * with one entry per changed field of REVISION_FIELDS. Checklist items are
+ * kept as { id, title, done } and tags as { id, name }, so a revision holds
+ * everything needed to put the old value back.
+ */
+
+const REVISION_FIELDS = [
+  "title",
+  "description",
+  "done",
+  "priority",
+  "dueDate",
+  "remindAt",
+  "listId",
+  "recurrence",
+  "items",
+  "tags",
+];
+
+// the part of a field that revisions track (timestamps of items are not)
+function revisionValue(todo, field) {
+  if (field === "items") {
+    return (todo.items || []).map(({ id, title, done }) => ({
+      id,
+      title,
+      done,
+    }));
+  }
+  if (field === "tags") {
+    return (todo.tags || []).map(({ id, name }) => ({ id, name }));
+  }
+  return todo[field] === undefined ? null : todo[field];
+}
+
+/**
+ * The fields that differ between two versions of a todo as
+ * { field: { from, to } }, or null when nothing tracked changed.
+ */
+function diffTodos(before, after) {
+  const changes = {};
+  for (const field of REVISION_FIELDS) {
+    const from = revisionValue(before, field);
+    const to = revisionValue(after, field);
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[field] = { from, to };
+    }
+  }
+  return Object.keys(changes).length > 0 ? changes : null;
+}
+
+/**
+ * The patch that takes a todo back to how it was just before the revision
+ * `revisionId`, undoing that revision and every later one. `revisions` are
+ * the todo's revisions, newest first. null when the revision is not there.
+ */
+function patchBeforeRevision(revisions, revisionId) {
+  const patch = {};
+  for (const revision of revisions) {
+    for (const [field, { from }] of Object.entries(revision.changes)) {
+      patch[field] = from;
+    }
+    if (revision.id === revisionId) return patch;
+  }
+  return null;
+}
+
+module.exports = {
+  REVISION_FIELDS,
+  diffTodos,
+  patchBeforeRevision,
+};
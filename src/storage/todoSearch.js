@@ -0,0 +1,159 @@
+// src/storage/todoSearch.js
+"use strict";
+
+/**
+ * Full-text search helpers shared by the storage backends.
+ *
+ * searchTodos(text, { limit }) resolves to results ordered best first:
+ *  [{ todo, score, highlights: { title, description } }]
+ * score is higher-is-better. highlights contain the matched text wrapped in
+ * MARK_START / MARK_END (control characters that cannot come from a form
+ * field), so the renderer can escape the text first and then turn the
+ * markers into <mark> elements. description is a snippet around the first
+ * match, or "" if only the title matched.
+ *
+ * Every whitespace/punctuation separated term of the query has to match
+ * (as a prefix of a word) in the title or the description.
+ */
+
+const MARK_START = "\u0002";
+const MARK_END = "\u0003";
+const ELLIPSIS = "…";
+const SNIPPET_TOKENS = 12;
+const TITLE_WEIGHT = 10;
+
+// case and accent insensitive, like FTS5's unicode61 remove_diacritics
+function fold(text) {
+  return text
+    .normalize("NFD")
+    .replace(/\p{M}+/gu, "")
+    .toLowerCase();
+}
+
+function tokenize(text) {
+  return fold(String(text || "")).match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+/**
+ * FTS5 MATCH expression for user input: every term quoted (so operators
+ * and punctuation are taken literally) and prefix-matched. Returns null
+ * when the input has no searchable terms.
+ */
+function toFtsQuery(text) {
+  const terms = tokenize(text);
+  if (terms.length === 0) return null;
+  return terms.map((t) => `"${t}"*`).join(" ");
+}
+
+// words of `text` with their positions, for highlighting the original text
+function words(text) {
+  const result = [];
+  const re = /[\p{L}\p{N}\p{M}]+/gu;
+  let match;
+  while ((match = re.exec(text)) !== null) {
+    result.push({
+      start: match.index,
+      end: match.index + match[0].length,
+      folded: fold(match[0]),
+    });
+  }
+  return result;
+}
+
+function isHit(word, terms) {
+  return terms.some((t) => word.folded.startsWith(t));
+}
+
+function mark(text, from, to, list) {
+  let out = "";
+  let pos = from;
+  for (const w of list) {
+    out += text.slice(pos, w.start) + MARK_START;
+    out += text.slice(w.start, w.end) + MARK_END;
+    pos = w.end;
+  }
+  return out + text.slice(pos, to);
+}
+
+/**
+ * `text` with every word matching one of `terms` wrapped in markers.
+ */
+function highlight(text, terms) {
+  const hits = words(text).filter((w) => isHit(w, terms));
+  return mark(text, 0, text.length, hits);
+}
+
+/**
+ * A window of about SNIPPET_TOKENS words around the first match in `text`,
+ * highlighted, or "" when nothing matches.
+ */
+function snippet(text, terms) {
+  const all = words(text);
+  const first = all.findIndex((w) => isHit(w, terms));
+  if (first === -1) return "";
+  const from = Math.max(0, first - Math.floor(SNIPPET_TOKENS / 3));
+  const to = Math.min(all.length, from + SNIPPET_TOKENS);
+  const start = from === 0 ? 0 : all[from].start;
+  const end = to === all.length ? text.length : all[to - 1].end;
+  const hits = all.slice(from, to).filter((w) => isHit(w, terms));
+  return (
+    (from > 0 ? ELLIPSIS : "") +
+    mark(text, start, end, hits) +
+    (to < all.length ? ELLIPSIS : "")
+  );
+}
+
+/**
+ * Tokenized fallback used where FTS5 is not available (FileStorage).
+ * Resolves the same result shape as SqliteFileStorage#searchTodos from a
+ * list of todos.
+ */
+function searchInMemory(todos, text, { limit = 50 } = {}) {
+  const terms = tokenize(text);
+  if (terms.length === 0) return [];
+  const results = [];
+  for (const todo of todos) {
+    const titleTokens = tokenize(todo.title);
+    const descTokens = tokenize(todo.description);
+    let score = 0;
+    let matchedAll = true;
+    for (const term of terms) {
+      const inTitle = titleTokens.filter((t) => t.startsWith(term)).length;
+      const inDesc = descTokens.filter((t) => t.startsWith(term)).length;
+      if (inTitle + inDesc === 0) {
+        matchedAll = false;
+        break;
+      }
+      // favour titles and short texts, roughly like bm25
+      score +=
+        (TITLE_WEIGHT * inTitle) / (1 + titleTokens.length / 10) +
+        inDesc / (1 + descTokens.length / 10);
+    }
+    if (!matchedAll) continue;
+    results.push({
+      todo,
+      score,
+      highlights: {
+        title: highlight(todo.title, terms),
+        description: snippet(todo.description || "", terms),
+      },
+    });
+  }
+  return results
+    .sort(
+      (a, b) =>
+        b.score - a.score || a.todo.createdAt.localeCompare(b.todo.createdAt)
+    )
+    .slice(0, limit);
+}
+
+module.exports = {
+  MARK_START,
+  MARK_END,
+  ELLIPSIS,
+  SNIPPET_TOKENS,
+  TITLE_WEIGHT,
+  tokenize,
+  toFtsQuery,
+  searchInMemory,
+};
@@ -0,0 +1,40 @@
+"use strict";
+
+// Todos as storages return them, with every field the exporters write set
+// on `fancy` and left empty on `plain`. Shared by the export, import and
+// iCalendar tests.
+
+const lists = [
+  { id: "inbox", name: "Inbox" },
+  { id: "errands", name: "Errands" },
+];
+const fancy = {
+  id: "e1",
+  title: 'Say "hi", then =leave',
+  description: "line one\nline two",
+  done: true,
+  priority: "high",
+  dueDate: "2099-05-01",
+  remindAt: null,
+  listId: "errands",
+  recurrence: { type: "daily" },
+  createdAt: "2099-04-01T10:00:00.000Z",
+  updatedAt: "2099-04-02T10:00:00.000Z",
+  items: [{ id: "i1", title: "step", done: true }],
+  tags: [{ id: "g1", name: "home" }],
+};
+const plain = {
+  ...fancy,
+  id: "e2",
+  title: "plain",
+  description: "",
+  done: false,
+  priority: "medium",
+  dueDate: null,
+  listId: "inbox",
+  recurrence: null,
+  items: [],
+  tags: [],
+};
+
+module.exports = { lists, fancy, plain };
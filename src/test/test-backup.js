@@ -0,0 +1,109 @@
+"use strict";
+
+// BackupService: rotation and checked restores, on both file backends.
+
+const assert = require("assert").strict;
+const os = require("os");
+const path = require("path");
+const fs = require("fs/promises");
+const Database = require("../database.js");
+const SqliteFileStorage = require("../storage/sqliteFileStorage.js");
+const FileStorage = require("../storage/fileStorage.js");
+const { BackupService } = require("../backup/backupService.js");
+
+async function runTests() {
+  const tmpBase = await fs.mkdtemp(path.join(os.tmpdir(), "todo-backup-test-"));
+
+  // backups: rotation, checked restore, on both backends
+  const backupBackends = [
+    ["todo.db", (filepath) => new SqliteFileStorage({ filepath })],
+    ["todo.json", (filepath) => new FileStorage({ filepath })],
+  ];
+  for (const [fileName, openStorage] of backupBackends) {
+    const liveDir = path.join(tmpBase, "live");
+    const backupDir = path.join(tmpBase, "backups");
+    const sourcePath = path.join(liveDir, fileName);
+    const liveDb = new Database(openStorage(sourcePath));
+    await liveDb.init();
+    let now = Date.parse("2099-03-01T09:00:00Z");
+    const timers = [];
+    const service = new BackupService({
+      database: liveDb,
+      sourcePath,
+      backupDir,
+      maxBackups: 2,
+      intervalMs: 1000,
+      openStorage,
+      clock: {
+        now: () => now,
+        setTimeout: (fn, ms) => timers.push(ms),
+        clearTimeout: () => {},
+      },
+    });
+
+    await liveDb.addTodo({ title: "first" });
+    await service.start();
+    assert.deepEqual(timers, [1000], "next snapshot planned");
+    assert.deepEqual(
+      (await service.listBackups()).map((b) => b.name),
+      [`${fileName}.1`],
+      "start() snapshots when there is none"
+    );
+    service.stop();
+
+    await liveDb.addTodo({ title: "second" });
+    await service.backupNow();
+    await liveDb.addTodo({ title: "third" });
+    await service.backupNow();
+    assert.deepEqual(
+      (await service.listBackups()).map((b) => b.name),
+      [`${fileName}.1`, `${fileName}.2`],
+      "the oldest snapshot is rotated out"
+    );
+
+    await liveDb.addTodo({ title: "fourth" });
+    const restored = await service.restore(`${fileName}.2`);
+    assert.equal(restored.count, 2);
+    assert.equal(restored.savedAs, path.join(backupDir, `${fileName}.1`));
+    assert.deepEqual(
+      (await liveDb.getAllTodos()).map((t) => t.title),
+      ["first", "second"]
+    );
+    assert.equal(liveDb.history.canUndo, false, "history is dropped");
+    await liveDb.addTodo({ title: "after restore" });
+
+    // the replaced data is the newest snapshot and can be restored in turn
+    const undone = await service.restore(`${fileName}.1`);
+    assert.equal(undone.count, 4);
+
+    await fs.writeFile(
+      path.join(backupDir, `${fileName}.2`),
+      "this is not a snapshot"
+    );
+    await assert.rejects(
+      service.restore(`${fileName}.2`),
+      new RegExp(`${fileName.replace(".", "\\.")}\\.2 is not a usable backup`)
+    );
+    await assert.rejects(service.restore("../todo.db"), /No backup named/);
+    assert.equal(
+      (await liveDb.getAllTodos()).length,
+      4,
+      "a failed restore leaves the data alone"
+    );
+    await assert.rejects(fs.stat(`${sourcePath}.restore`), /ENOENT/);
+
+    await liveDb.close();
+    await fs.rm(liveDir, { recursive: true, force: true });
+    await fs.rm(backupDir, { recursive: true, force: true });
+  }
+
+  await fs.rm(tmpBase, { recursive: true, force: true });
+
+  console.log("Backup tests passed ✅");
+}
+
+runTests().catch((err) => {
+  console.error("Backup tests failed ❌");
+  console.error(err);
+  process.exitCode = 1;
+});
@@ -0,0 +1,392 @@
+"use strict";
+
+// Database on top of both file backends, SQLite and FileStorage.
+
+const assert = require("assert").strict;
+const os = require("os");
+const path = require("path");
+const fs = require("fs/promises");
+const Database = require("../database.js");
+const SqliteFileStorage = require("../storage/sqliteFileStorage.js");
+const FileStorage = require("../storage/fileStorage.js");
+const { ConflictError } = require("../storage/conflictError.js");
+const { ValidationError, todoErrors } = require("../validation.js");
+
+async function runTests() {
+  const tmpBase = await fs.mkdtemp(
+    path.join(os.tmpdir(), "todo-database-test-")
+  );
+  const storage = new SqliteFileStorage({
+    filepath: path.join(tmpBase, "todo.db"),
+  });
+  await storage.init();
+  const fileBackend = new FileStorage({
+    filepath: path.join(tmpBase, "backend.json"),
+  });
+  await fileBackend.init();
+
+  // trash behaves the same on both backends
+  for (const backend of [storage, fileBackend]) {
+    await backend.purgeTrash();
+    const tag = await backend.createTag("trashy");
+    const trashed = await backend.addTodo({
+      title: "throw away",
+      dueDate: "2099-04-01",
+      tags: [tag.id],
+    });
+    assert.equal(await backend.deleteTodo(trashed.id), true);
+    assert.equal(await backend.deleteTodo(trashed.id), false, "already gone");
+    assert.equal(await backend.getTodoById(trashed.id), null);
+    assert.equal(await backend.updateTodo(trashed.id, { title: "x" }), null);
+    assert.ok(!(await backend.getAllTodos()).some((t) => t.id === trashed.id));
+    assert.deepEqual(
+      await backend.queryTodos({ where: { dueFrom: "2099-04-01" } }),
+      []
+    );
+    assert.deepEqual(await backend.searchTodos("throw"), []);
+    assert.deepEqual(await backend.getTodosOnDay("2099-04-01"), []);
+    assert.equal(
+      (await backend.getAllTags()).find((t) => t.id === tag.id).count,
+      0,
+      "trashed todos are not counted"
+    );
+    const [inTrash] = await backend.getTrashedTodos();
+    assert.equal(inTrash.id, trashed.id);
+    assert.ok(inTrash.deletedAt);
+
+    const restored = await backend.restoreTodo(trashed.id);
+    assert.equal(restored.deletedAt, null);
+    assert.deepEqual(restored.tags, [{ id: tag.id, name: "trashy" }]);
+    assert.equal(await backend.restoreTodo(trashed.id), null);
+    assert.equal(await backend.purgeTodo(trashed.id), false, "not in trash");
+
+    await backend.deleteTodo(trashed.id);
+    assert.equal(
+      await backend.purgeTrash({ before: "2000-01-01T00:00:00.000Z" }),
+      0,
+      "recently trashed todos are kept"
+    );
+    assert.equal(
+      await backend.purgeTrash({ before: "2999-01-01T00:00:00.000Z" }),
+      1
+    );
+    assert.deepEqual(await backend.getTrashedTodos(), []);
+    assert.equal(await backend.restoreTodo(trashed.id), null);
+    await backend.deleteTag(tag.id);
+  }
+
+  // revisions: one per changing update, newest first, restorable
+  for (const backend of [storage, fileBackend]) {
+    const draft = await backend.addTodo({ title: "draft", description: "v1" });
+    await backend.updateTodo(draft.id, { title: "final", description: "v2" });
+    await backend.updateTodo(draft.id, { description: "v3" });
+    await backend.updateTodo(draft.id, { description: "v3" });
+    const revisions = await backend.getRevisions(draft.id);
+    assert.deepEqual(
+      revisions.map((r) => r.changes),
+      [
+        { description: { from: "v2", to: "v3" } },
+        {
+          title: { from: "draft", to: "final" },
+          description: { from: "v1", to: "v2" },
+        },
+      ],
+      "unchanged updates record nothing"
+    );
+    const revisionDb = new Database(backend);
+    const original = await revisionDb.restoreRevision(
+      draft.id,
+      revisions[1].id
+    );
+    assert.equal(original.title, "draft");
+    assert.equal(original.description, "v1");
+    assert.equal(
+      (await backend.getRevisions(draft.id)).length,
+      3,
+      "restoring is a revision too"
+    );
+    assert.equal(await revisionDb.restoreRevision(draft.id, "nope"), null);
+    await assert.rejects(
+      revisionDb.restoreRevision(draft.id, revisions[1].id, {
+        expectedVersion: original.version - 1,
+      }),
+      ConflictError,
+      "a restore from a stale page is refused"
+    );
+    await backend.deleteTodo(draft.id);
+    await backend.purgeTodo(draft.id);
+    assert.deepEqual(await backend.getRevisions(draft.id), []);
+  }
+
+  // undo and redo behave the same on both backends
+  for (const backend of [storage, fileBackend]) {
+    const db = new Database(backend);
+    const tag = await backend.createTag("undoable");
+    const added = await db.addTodo({
+      title: "undo me",
+      items: [{ title: "step" }],
+      tags: [tag.id],
+    });
+    const edited = await db.updateTodo(added.id, { title: "renamed" });
+    await db.updateTodo(added.id, { done: true });
+    await db.deleteTodo(added.id);
+
+    assert.equal(await db.undo(), 'Delete "renamed"');
+    const restored = await backend.getTodoById(added.id);
+    assert.equal(restored.done, true);
+    assert.deepEqual(restored.tags, [{ id: tag.id, name: "undoable" }]);
+    assert.equal(await db.undo(), 'Complete "renamed"');
+    assert.equal(await db.undo(), 'Edit "undo me"');
+    const reverted = await backend.getTodoById(added.id);
+    assert.equal(reverted.title, "undo me");
+    assert.equal(reverted.done, false);
+    assert.equal(reverted.items[0].id, added.items[0].id, "items keep ids");
+    assert.equal(await db.undo(), 'Add "undo me"');
+    assert.equal(await backend.getTodoById(added.id), null);
+    assert.ok(
+      !(await backend.getTrashedTodos()).some((t) => t.id === added.id),
+      "an undone add leaves nothing in the trash"
+    );
+    assert.equal(await db.undo(), null, "nothing left to undo");
+
+    assert.equal(await db.redo(), 'Add "undo me"');
+    assert.deepEqual(await backend.getTodoById(added.id), added);
+    assert.equal(await db.redo(), 'Edit "undo me"');
+    assert.equal((await backend.getTodoById(added.id)).title, edited.title);
+    await db.redo();
+    await db.redo();
+    assert.equal(await backend.getTodoById(added.id), null);
+    assert.equal(await db.redo(), null, "nothing left to redo");
+
+    await db.undo();
+    await db.addTodo({ title: "new branch" });
+    assert.equal(await db.redo(), null, "a new change clears redo");
+
+    // a change whose todo is gone for good cannot be undone and is dropped
+    const doomed = await db.addTodo({ title: "doomed" });
+    await db.deleteTodo(doomed.id);
+    await backend.purgeTodo(doomed.id);
+    await assert.rejects(db.undo(), {
+      name: "CannotUndoError",
+      message: '"doomed" is no longer in the trash',
+    });
+    assert.equal(await db.undo(), 'Add "doomed"', "the one before is next");
+
+    // an edit made in a list deleted since is undone into the Inbox
+    const shortLived = await backend.createList("Short-lived");
+    const listed = await db.addTodo({ title: "listed", listId: shortLived.id });
+    await db.updateTodo(listed.id, { title: "listed, renamed" });
+    await backend.deleteList(shortLived.id, { todos: "move" });
+    assert.equal(await db.undo(), 'Edit "listed"');
+    const unlisted = await backend.getTodoById(listed.id);
+    assert.equal(unlisted.title, "listed");
+    assert.equal(unlisted.listId, "inbox");
+    await backend.deleteTodo(listed.id);
+    await backend.purgeTodo(listed.id);
+
+    // an import through Database is one change like any other
+    const original = await db.addTodo({ title: "original" });
+    const copy = { ...original, id: `copy-of-${original.id}` };
+    assert.equal(await db.importTodos([copy]), 1);
+    assert.equal(await db.undo(), "Import 1 todos");
+    assert.equal(await backend.getTodoById(copy.id), null);
+
+    // deleting for good and deleting a list cannot be undone; undo() says
+    // so instead of taking back the change before them
+    await db.deleteTodo(original.id);
+    await db.purgeTodo(original.id);
+    const brief = await db.createList("Brief");
+    await db.deleteList(brief.id);
+    await assert.rejects(db.undo(), {
+      name: "CannotUndoError",
+      message: 'the list "Brief" was deleted',
+    });
+    await assert.rejects(db.undo(), {
+      name: "CannotUndoError",
+      message: '"original" was deleted for good',
+    });
+
+    // completing a repeating todo and its next occurrence are undone as one
+    const repeating = await db.addTodo({
+      title: "stretch",
+      dueDate: "2099-02-02",
+      recurrence: { type: "daily" },
+    });
+    await db.updateTodo(repeating.id, { done: true });
+    await db.undo();
+    const pending = await backend.queryTodos({
+      where: { done: false, dueFrom: "2099-02-01" },
+    });
+    assert.deepEqual(
+      pending.map((t) => [t.id, t.recurrence]),
+      [[repeating.id, { type: "daily" }]]
+    );
+    await db.redo();
+    assert.equal(
+      (await backend.queryTodos({ where: { dueFrom: "2099-02-03" } })).length,
+      1
+    );
+
+    for (const todo of await backend.getAllTodos()) {
+      if (["renamed", "new branch", "stretch"].includes(todo.title)) {
+        await backend.deleteTodo(todo.id);
+      }
+    }
+    await backend.deleteTag(tag.id);
+  }
+
+  // versions: every write bumps them, stale writes are refused
+  for (const backend of [storage, fileBackend]) {
+    const db = new Database(backend);
+    const list = await backend.createList("versioned");
+    const first = await db.addTodo({ title: "contested", listId: list.id });
+    assert.equal(first.version, 1);
+    const ours = await db.updateTodo(
+      first.id,
+      { title: "ours" },
+      { expectedVersion: 1 }
+    );
+    assert.equal(ours.version, 2);
+    assert.equal((await backend.getTodoById(first.id)).version, 2);
+
+    const stale = await db
+      .updateTodo(first.id, { title: "theirs" }, { expectedVersion: 1 })
+      .catch((err) => err);
+    assert.ok(stale instanceof ConflictError, "stale update is refused");
+    assert.equal(stale.code, "CONFLICT");
+    assert.equal(stale.current.title, "ours");
+    assert.equal(stale.current.version, 2);
+    await assert.rejects(
+      db.deleteTodo(first.id, { expectedVersion: 1 }),
+      ConflictError
+    );
+    assert.equal((await backend.getTodoById(first.id)).title, "ours");
+    assert.equal(await db.undo(), 'Edit "contested"', "nothing was recorded");
+    await db.redo(); // undo and redo are writes too: version 4
+
+    await backend.deleteList(list.id, { todos: "move", moveTo: "inbox" });
+    const moved = await backend.getTodoById(first.id);
+    assert.equal(moved.version, 5, "moving a list's todos is a write");
+    assert.equal(
+      await db.deleteTodo(first.id, { expectedVersion: 5 }),
+      true,
+      "a current version passes"
+    );
+    assert.equal(
+      await db.updateTodo(first.id, { title: "gone" }, { expectedVersion: 6 }),
+      null,
+      "trashed todos are not updated"
+    );
+    assert.equal((await backend.restoreTodo(first.id)).version, 7);
+    await backend.deleteTodo(first.id);
+    await backend.purgeTodo(first.id);
+  }
+
+  // change events: every write to a todo, undo and redo included
+  for (const backend of [storage, fileBackend]) {
+    const db = new Database(backend);
+    const changes = [];
+    const record = ({ type, todo }) => changes.push([type, todo.title]);
+    db.on("change", record);
+    const tag = await db.createTag("watched");
+    const list = await db.createList("watched list");
+    const watched = await db.addTodo({ title: "watched", tags: [tag.id] });
+    await db.updateTodo(watched.id, { title: "seen", listId: list.id });
+    await db.deleteTodo(watched.id);
+    await db.undo();
+    await db.undo();
+    await db.redo();
+    await db.renameTag(tag.id, "observed");
+    await db.deleteList(list.id, { todos: "delete" });
+    await db.restoreTodo(watched.id);
+    await db.deleteTag(tag.id);
+    assert.deepEqual(changes, [
+      ["added", "watched"],
+      ["updated", "seen"],
+      ["deleted", "seen"],
+      ["added", "seen"],
+      ["updated", "watched"],
+      ["updated", "seen"],
+      ["updated", "seen"],
+      ["deleted", "seen"],
+      ["added", "seen"],
+      ["updated", "seen"],
+    ]);
+    assert.deepEqual((await db.getTodoById(watched.id)).tags, []);
+
+    const repeating = await db.addTodo({
+      title: "weekly",
+      dueDate: "2099-05-01",
+      recurrence: { type: "interval", every: 7 },
+    });
+    changes.length = 0;
+    await db.updateTodo(repeating.id, { done: true });
+    await db.undo();
+    assert.deepEqual(changes, [
+      ["updated", "weekly"],
+      ["added", "weekly"],
+      ["deleted", "weekly"],
+      ["updated", "weekly"],
+    ]);
+
+    const events = [];
+    db.off("change", record);
+    db.on("change", (change) => events.push(change));
+    await db.reopen(async () => {});
+    assert.deepEqual(events, [{ type: "reset", todo: null }]);
+    for (const todo of await db.getAllTodos()) {
+      if ([watched.id, repeating.id].includes(todo.id)) {
+        await backend.deleteTodo(todo.id);
+        await backend.purgeTodo(todo.id);
+      }
+    }
+  }
+
+  // validation: the same rules and field errors on both backends
+  assert.deepEqual(todoErrors({ title: "ok" }), {});
+  assert.deepEqual(Object.keys(todoErrors({})), ["title"]);
+  assert.deepEqual(todoErrors({ description: "x" }, { partial: true }), {});
+  for (const backend of [storage, fileBackend]) {
+    const db = new Database(backend);
+    const refused = await db
+      .addTodo({ title: "  ", priority: "urgent", dueDate: "2025-02-30" })
+      .catch((err) => err);
+    assert.ok(refused instanceof ValidationError);
+    assert.equal(refused.code, "VALIDATION");
+    assert.deepEqual(Object.keys(refused.errors), [
+      "title",
+      "priority",
+      "dueDate",
+    ]);
+    const trimmed = await db.addTodo({ title: "  padded  " });
+    assert.equal(trimmed.title, "padded");
+    await assert.rejects(
+      db.updateTodo(trimmed.id, { title: " ", done: "yes" }),
+      (err) => Object.keys(err.errors).join() === "title,done"
+    );
+    await assert.rejects(
+      backend.updateTodo(trimmed.id, { title: " " }),
+      /title must not be empty/,
+      "storages refuse blank titles themselves"
+    );
+    assert.equal(
+      (await db.updateTodo(trimmed.id, { title: " kept " })).title,
+      "kept"
+    );
+    assert.equal((await db.undo()).startsWith("Edit"), true);
+    await backend.deleteTodo(trimmed.id);
+    await backend.purgeTodo(trimmed.id);
+  }
+
+  await fileBackend.close();
+  await storage.close();
+  await fs.rm(tmpBase, { recursive: true, force: true });
+
+  console.log("Database tests passed ✅");
+}
+
+runTests().catch((err) => {
+  console.error("Database tests failed ❌");
+  console.error(err);
+  process.exitCode = 1;
+});
@@ -0,0 +1,106 @@
+"use strict";
+
+// exportTodos and the CSV and Markdown writers.
+
+const assert = require("assert").strict;
+const os = require("os");
+const path = require("path");
+const fs = require("fs/promises");
+const SqliteFileStorage = require("../storage/sqliteFileStorage.js");
+const FileStorage = require("../storage/fileStorage.js");
+const { importJsonIntoStorage } = require("../storage/jsonImporter.js");
+const { exportTodos } = require("../export/exporter.js");
+const { writeCsv, escapeCell } = require("../export/csvWriter.js");
+const { writeMarkdown } = require("../export/markdownWriter.js");
+const { lists: exportLists, fancy, plain } = require("./fixtures/todos.js");
+
+async function runTests() {
+  const dbDir = await fs.mkdtemp(path.join(os.tmpdir(), "todo-export-test-"));
+  const storage = new SqliteFileStorage({
+    filepath: path.join(dbDir, "todo.db"),
+  });
+  await storage.init();
+  await storage.addTodo({
+    title: "from json",
+    description: "kept",
+    done: true,
+  });
+  await storage.addTodo({ title: "second" });
+  const todos = await storage.getAllTodos();
+
+  // export: JSON reads back through the importer unchanged
+  const roundTripPath = path.join(dbDir, "roundtrip.json");
+  const written = await exportTodos({
+    database: storage,
+    format: "json",
+    filePath: roundTripPath,
+  });
+  assert.equal(written.count, 2);
+  const roundTrip = new FileStorage({
+    filepath: path.join(dbDir, "roundtrip-target.json"),
+  });
+  await roundTrip.init();
+  await importJsonIntoStorage({ jsonPath: roundTripPath, storage: roundTrip });
+  assert.deepEqual(await roundTrip.getAllTodos(), todos);
+  await roundTrip.close();
+  const filtered = await exportTodos({
+    database: storage,
+    format: "csv",
+    filePath: path.join(dbDir, "done.csv"),
+    query: { where: { done: true } },
+  });
+  assert.equal(
+    filtered.count,
+    todos.filter((t) => t.done).length,
+    "only the todos matching the query"
+  );
+  await assert.rejects(
+    exportTodos({ database: storage, format: "xml", filePath: "x" }),
+    /format must be one of/
+  );
+  await storage.close();
+
+  // CSV and Markdown writers
+  const csv = writeCsv([fancy, plain], { lists: exportLists });
+  assert.ok(csv.startsWith("\uFEFFid,title,description,done,"), "BOM + header");
+  const csvRows = csv.slice(1).split("\r\n");
+  assert.equal(
+    csvRows[1],
+    'e1,"Say ""hi"", then =leave","line one\nline two",yes,high,2099-05-01,,' +
+      'Errands,home,[x] step,"{""type"":""daily""}",' +
+      "2099-04-01T10:00:00.000Z,2099-04-02T10:00:00.000Z"
+  );
+  assert.equal(csvRows[2].split(",")[8], "", "no tags");
+  assert.equal(csvRows.length, 4, "trailing CRLF");
+  assert.equal(escapeCell("=SUM(A1)"), "'=SUM(A1)", "formulas are defused");
+  assert.equal(escapeCell(null), "");
+
+  assert.equal(
+    writeMarkdown([fancy, plain], { lists: exportLists }),
+    [
+      "# Todos",
+      "",
+      "## Inbox",
+      "",
+      "[ ] plain",
+      "",
+      "## Errands",
+      "",
+      '[x] Say "hi", then =leave (due 2099-05-01, high priority, #home)',
+      "  line one",
+      "  line two",
+      "  [x] step",
+      "",
+    ].join("\n")
+  );
+
+  await fs.rm(dbDir, { recursive: true, force: true });
+
+  console.log("Export tests passed ✅");
+}
+
+runTests().catch((err) => {
+  console.error("Export tests failed ❌");
+  console.error(err);
+  process.exitCode = 1;
+});
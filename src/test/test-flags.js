@@ -0,0 +1,134 @@
+"use strict";
+
+// Feature flags: parsing raw values and merging the sources loadFlags()
+// reads, with files served from a Map instead of the disk.
+
+const assert = require("assert").strict;
+const {
+  FLAG_DEFINITIONS,
+  loadFlags,
+  parseFlagValue,
+} = require("../flags/featureFlags.js");
+
+// fs for loadFlags()'s fsModule option, reading files from a Map
+function createFlagFs(files) {
+  return {
+    readFileSync(file) {
+      if (!files.has(file)) {
+        throw Object.assign(new Error(`ENOENT: ${file}`), { code: "ENOENT" });
+      }
+      return files.get(file);
+    },
+  };
+}
+
+function runTests() {
+  // parseFlagValue: strings from the environment, JSON from settings
+  const { storageBackend, reminderHour, fileStorageMode, fileStorageFsync } =
+    FLAG_DEFINITIONS;
+  assert.equal(parseFlagValue(fileStorageFsync, "yes"), true);
+  assert.equal(parseFlagValue(fileStorageFsync, " OFF "), false);
+  assert.equal(parseFlagValue(fileStorageFsync, false), false);
+  assert.equal(parseFlagValue(fileStorageFsync, "maybe"), undefined);
+  assert.equal(parseFlagValue(reminderHour, "7"), 7);
+  assert.equal(parseFlagValue(reminderHour, 23), 23);
+  assert.equal(parseFlagValue(reminderHour, ""), undefined);
+  assert.equal(parseFlagValue(reminderHour, "soon"), undefined);
+  assert.equal(parseFlagValue(reminderHour, "24"), undefined, "above max");
+  assert.equal(parseFlagValue(reminderHour, -1), undefined, "below min");
+  assert.equal(parseFlagValue(storageBackend, " File "), "file");
+  assert.equal(parseFlagValue(storageBackend, "postgres"), undefined);
+  assert.equal(
+    parseFlagValue(fileStorageMode, "onclose"),
+    "onClose",
+    "enum values come back as defined"
+  );
+  assert.equal(parseFlagValue(fileStorageMode, null), undefined);
+
+  // defaults when no source sets anything
+  const defaults = loadFlags({ env: {} });
+  assert.deepEqual(
+    defaults,
+    Object.fromEntries(
+      Object.entries(FLAG_DEFINITIONS).map(([name, def]) => [name, def.default])
+    )
+  );
+  assert.equal(defaults.storageBackend, "sqlite");
+  assert.equal(defaults.fileStorageMode, "autosave");
+  assert.equal(defaults.fileStorageFsync, true);
+  assert.ok(Object.isFrozen(defaults));
+
+  // settings < .env files (later ones win) < environment
+  const files = new Map([
+    [
+      "settings.json",
+      JSON.stringify({
+        flags: { reminderHour: 6, backupCount: 3, fileStorageMode: "onClose" },
+      }),
+    ],
+    ["first.env", "FLAG_REMINDER_HOUR=7\nFLAG_BACKUP_COUNT=4\n"],
+    ["second.env", "FLAG_REMINDER_HOUR=8\n"],
+  ]);
+  const layered = loadFlags({
+    env: { FLAG_REMINDER_HOUR: "9" },
+    envFiles: ["first.env", "second.env", "missing.env"],
+    settingsPath: "settings.json",
+    fsModule: createFlagFs(files),
+  });
+  assert.equal(layered.reminderHour, 9, "environment wins");
+  assert.equal(layered.backupCount, 4, ".env beats settings");
+  assert.equal(layered.fileStorageMode, "onClose", "settings beat defaults");
+  assert.equal(layered.backupIntervalHours, 24, "unset flags keep defaults");
+
+  // an invalid value is reported and the source below it still counts
+  const invalid = [];
+  const refused = loadFlags({
+    env: { FLAG_FILE_STORAGE_MODE: "sometimes", FLAG_BACKUP_COUNT: "0" },
+    envFiles: ["first.env"],
+    fsModule: createFlagFs(files),
+    onInvalid: (name, raw, source) => invalid.push([name, raw, source]),
+  });
+  assert.equal(refused.fileStorageMode, "autosave");
+  assert.equal(refused.backupCount, 4);
+  assert.deepEqual(invalid, [
+    ["backupCount", "0", "env"],
+    ["fileStorageMode", "sometimes", "env"],
+  ]);
+
+  // a settings file without flags, or none at all, changes nothing
+  assert.deepEqual(
+    loadFlags({
+      env: {},
+      settingsPath: "other.json",
+      fsModule: createFlagFs(new Map([["other.json", '{"theme":"dark"}']])),
+    }),
+    defaults
+  );
+  assert.deepEqual(
+    loadFlags({
+      env: {},
+      settingsPath: "missing.json",
+      fsModule: createFlagFs(new Map()),
+    }),
+    defaults
+  );
+  assert.throws(
+    () =>
+      loadFlags({
+        env: {},
+        settingsPath: "broken.json",
+        fsModule: createFlagFs(new Map([["broken.json", "{"]])),
+      }),
+    SyntaxError
+  );
+
+  console.log("Feature flag tests passed ✅");
+}
+
+try {
+  runTests();
+} catch (err) {
+  console.error("Feature flag tests failed ❌");
+  console.error(err);
+  process.exitCode = 1;
+}
@@ -0,0 +1,85 @@
+"use strict";
+
+// Reading and writing iCalendar VTODOs, against the files in fixtures/.
+
+const assert = require("assert").strict;
+const path = require("path");
+const fs = require("fs/promises");
+const { writeIcs, parseIcs, foldLine } = require("../ical/icalendar.js");
+const { fancy, plain } = require("./fixtures/todos.js");
+
+async function runTests() {
+  // iCalendar: fixtures from a calendar app and of the writer's output
+  const fixtures = path.join(__dirname, "fixtures");
+  assert.deepEqual(
+    parseIcs(await fs.readFile(path.join(fixtures, "tasks.ics"), "utf8")),
+    [
+      {
+        uid: "20250101-renew@example.com",
+        title: "Renew passport, ID card",
+        description:
+          "Bring two photos; the old passport.\nOffice opens at 8 am and " +
+          "closes at noon on Fridays, so go early.",
+        done: false,
+        section: null,
+        priority: "high",
+        dueDate: "2025-02-14",
+        tagNames: [],
+        items: [],
+      },
+      {
+        uid: "20250101-taxes@example.com",
+        title: "File taxes",
+        description: "",
+        done: true,
+        section: null,
+        priority: "low",
+        dueDate: "2025-05-31",
+        tagNames: [],
+        items: [],
+      },
+      {
+        uid: "20250101-plain@example.com",
+        title: "Water the ficus",
+        description: "",
+        done: true,
+        section: null,
+        priority: null,
+        dueDate: null,
+        tagNames: [],
+        items: [],
+      },
+    ]
+  );
+  const longTitle = { ...plain, id: "e3", title: "ü".repeat(50) };
+  longTitle.priority = "low";
+  const ics = writeIcs([fancy, plain, longTitle], {
+    now: new Date("2099-06-01T12:00:00Z"),
+  });
+  assert.equal(
+    ics,
+    await fs.readFile(path.join(fixtures, "export.ics"), "utf8")
+  );
+  assert.ok(
+    ics.split("\r\n").every((line) => Buffer.byteLength(line, "utf8") <= 75),
+    "lines are folded at 75 octets"
+  );
+  assert.equal(foldLine("short"), "short");
+  assert.deepEqual(
+    parseIcs(ics).map((c) => [c.uid, c.title, c.description, c.done]),
+    [
+      ["e1", fancy.title, fancy.description, true],
+      ["e2", "plain", "", false],
+      ["e3", longTitle.title, "", false],
+    ]
+  );
+  assert.throws(() => parseIcs("BEGIN:VTODO"), /Not an iCalendar file/);
+
+  console.log("iCalendar tests passed ✅");
+}
+
+runTests().catch((err) => {
+  console.error("iCalendar tests failed ❌");
+  console.error(err);
+  process.exitCode = 1;
+});
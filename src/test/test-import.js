@@ -0,0 +1,235 @@
+"use strict";
+
+// The Markdown and CSV parsers, and previewing and applying an import.
+
+const assert = require("assert").strict;
+const os = require("os");
+const path = require("path");
+const fs = require("fs/promises");
+const Database = require("../database.js");
+const SqliteFileStorage = require("../storage/sqliteFileStorage.js");
+const { exportTodos } = require("../export/exporter.js");
+const { writeCsv } = require("../export/csvWriter.js");
+const { writeMarkdown } = require("../export/markdownWriter.js");
+const { parseMarkdown } = require("../import/markdownParser.js");
+const { parseCsv, parseCsvRows } = require("../import/csvParser.js");
+const {
+  readImportFile,
+  previewImport,
+  applyImport,
+} = require("../import/importer.js");
+const { lists: exportLists, fancy, plain } = require("./fixtures/todos.js");
+
+async function runTests() {
+  const dbDir = await fs.mkdtemp(path.join(os.tmpdir(), "todo-import-test-"));
+
+  // Markdown import: todo.md style checklists and the writer's output
+  const checklist = parseMarkdown(
+    [
+      "# Plans",
+      "[ ] loose item",
+      "## Work",
+      "- [x] ship it (due 2099-06-01, low priority, #job #urgent)",
+      "  needs a review",
+      "  [ ] write notes",
+      "",
+      "  [X] tag release",
+      "[ ] call (maybe) Bob",
+      "[ ]   ",
+      "### Home",
+      "* [ ] fix sink",
+    ].join("\n")
+  );
+  assert.deepEqual(
+    checklist.map((c) => [c.title, c.section, c.done]),
+    [
+      ["loose item", null, false],
+      ["ship it", "Work", true],
+      ["call (maybe) Bob", "Work", false],
+      ["fix sink", "Home", false],
+    ]
+  );
+  assert.equal(checklist[1].description, "needs a review");
+  assert.equal(checklist[1].dueDate, "2099-06-01");
+  assert.equal(checklist[1].priority, "low");
+  assert.deepEqual(checklist[1].tagNames, ["job", "urgent"]);
+  assert.deepEqual(checklist[1].items, [
+    { title: "write notes", done: false },
+    { title: "tag release", done: true },
+  ]);
+  const fromMarkdown = parseMarkdown(
+    writeMarkdown([fancy, plain], { lists: exportLists })
+  );
+  assert.deepEqual(fromMarkdown[1], {
+    title: fancy.title,
+    description: fancy.description,
+    done: true,
+    section: "Errands",
+    priority: "high",
+    dueDate: "2099-05-01",
+    tagNames: ["home"],
+    items: [{ title: "step", done: true }],
+  });
+
+  // CSV import: quoting, byte order mark, the writer's output
+  assert.deepEqual(parseCsvRows('\uFEFFa,"b ""c"", d"\r\n"x\ny",\n'), [
+    ["a", 'b "c", d'],
+    ["x\ny", ""],
+  ]);
+  assert.throws(() => parseCsvRows('a,"b'), /inside a quoted field/);
+  assert.throws(() => parseCsv("name only\nx"), /title column/);
+  const fromCsv = parseCsv(writeCsv([fancy, plain], { lists: exportLists }));
+  assert.deepEqual(fromCsv[0], {
+    title: fancy.title,
+    description: fancy.description,
+    done: true,
+    section: "Errands",
+    priority: "high",
+    dueDate: "2099-05-01",
+    remindAt: null,
+    recurrence: { type: "daily" },
+    tagNames: ["home"],
+    items: [{ title: "step", done: true }],
+  });
+  assert.equal(fromCsv[1].done, false);
+  assert.equal(
+    parseCsv("Task,Status\n'=1+1,Done")[0].title,
+    "=1+1",
+    "defused formulas are read back"
+  );
+
+  // preview and apply: duplicates, new lists and tags, bad fields
+  const importStorage = new SqliteFileStorage({
+    filepath: path.join(dbDir, "checklist-import.db"),
+  });
+  await importStorage.init();
+  const importDb = new Database(importStorage);
+  await importDb.addTodo({ title: "Ship It" });
+  const mdPath = path.join(dbDir, "plans.md");
+  await fs.writeFile(
+    mdPath,
+    [
+      "## Work",
+      "[x] ship it",
+      "[ ] plan (due 2099-02-30)",
+      "[ ] plan",
+      "## Inbox",
+      "[ ] sort mail (#work)",
+    ].join("\n")
+  );
+  const { format, candidates } = await readImportFile(mdPath);
+  assert.equal(format, "markdown");
+  await assert.rejects(readImportFile("todos.xlsx"), /Cannot import \.xlsx/);
+  const preview = await previewImport(importDb, candidates);
+  assert.deepEqual(
+    preview.todos.map((t) => [t.title, t.listName, t.duplicate]),
+    [
+      ["ship it", "Work", true],
+      ["plan", "Work", false],
+      ["plan", "Work", true],
+      ["sort mail", "Inbox", false],
+    ]
+  );
+  assert.deepEqual(preview.newLists, ["Work"], "Inbox exists already");
+  assert.deepEqual(preview.newTags, ["work"]);
+  assert.equal(preview.duplicates, 2);
+  assert.equal(preview.todos[1].dueDate, null);
+  assert.match(preview.todos[1].warnings[0], /Due date "2099-02-30"/);
+  const asTags = await previewImport(importDb, candidates, {
+    sectionsAs: "tags",
+  });
+  assert.deepEqual(asTags.todos[3].tagNames, ["Inbox", "work"]);
+  assert.deepEqual(asTags.newLists, []);
+  await assert.rejects(
+    previewImport(importDb, candidates, { sectionsAs: "folders" }),
+    /sectionsAs must be one of/
+  );
+  assert.equal((await importDb.getAllTodos()).length, 1, "preview is dry");
+
+  assert.deepEqual(await applyImport(importDb, preview), {
+    added: 2,
+    updated: 0,
+    skipped: 2,
+  });
+  const workList = (await importDb.getAllLists()).find(
+    (l) => l.name === "Work"
+  );
+  const imported = await importDb.getAllTodos();
+  assert.equal(imported.length, 3);
+  const plan = imported.find((t) => t.title === "plan");
+  assert.equal(plan.listId, workList.id);
+  const mail = imported.find((t) => t.title === "sort mail");
+  assert.equal(mail.listId, "inbox");
+  assert.deepEqual(
+    mail.tags.map((t) => t.name),
+    ["work"]
+  );
+  assert.equal(await importDb.undo(), "Import 2 todos", "undone as one");
+  assert.equal((await importDb.getAllTodos()).length, 1);
+  await importDb.redo();
+  assert.equal((await importDb.getAllTodos()).length, 3);
+  await assert.rejects(
+    applyImport(importDb, {
+      todos: [
+        { ...preview.todos[0], title: "valid", duplicate: false },
+        { ...preview.todos[0], title: "  ", duplicate: false },
+      ],
+    }),
+    /Nothing was imported: todo 2/
+  );
+  assert.equal((await importDb.getAllTodos()).length, 3, "a bad row stops all");
+  assert.deepEqual(
+    await applyImport(importDb, {
+      todos: [{ ...preview.todos[0], updateId: "gone", duplicate: false }],
+    }),
+    { added: 0, updated: 0, skipped: 1 },
+    "an update of a todo that is gone is skipped"
+  );
+
+  // importing an export updates the todos it came from by UID
+  const icsPath = path.join(dbDir, "todos.ics");
+  await exportTodos({ database: importDb, format: "ical", filePath: icsPath });
+  const exportedIcs = await fs.readFile(icsPath, "utf8");
+  await fs.writeFile(
+    icsPath,
+    exportedIcs
+      .replace("SUMMARY:sort mail", "SUMMARY:sort all mail")
+      .replace(
+        "END:VCALENDAR",
+        "BEGIN:VTODO\r\nUID:elsewhere\r\nSUMMARY:from a calendar\r\n" +
+          "END:VTODO\r\nEND:VCALENDAR"
+      )
+  );
+  const icsPreview = await previewImport(
+    importDb,
+    (
+      await readImportFile(icsPath)
+    ).candidates
+  );
+  assert.equal(icsPreview.updates, 3);
+  assert.equal(icsPreview.duplicates, 0, "updates are not duplicates");
+  assert.deepEqual(await applyImport(importDb, icsPreview), {
+    added: 1,
+    updated: 3,
+    skipped: 0,
+  });
+  const resynced = await importDb.getTodoById(mail.id);
+  assert.equal(resynced.title, "sort all mail");
+  assert.deepEqual(
+    resynced.tags.map((t) => t.name),
+    ["work"],
+    "fields iCalendar lacks are kept"
+  );
+  assert.equal((await importDb.getAllTodos()).length, 4);
+  await importStorage.close();
+
+  await fs.rm(dbDir, { recursive: true, force: true });
+
+  console.log("Import tests passed ✅");
+}
+
+runTests().catch((err) => {
+  console.error("Import tests failed ❌");
+  console.error(err);
+  process.exitCode = 1;
+});
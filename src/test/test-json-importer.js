@@ -0,0 +1,131 @@
+"use strict";
+
+// Moving todo.json, and its journal, into SQLite, and writing it back.
+
+const assert = require("assert").strict;
+const os = require("os");
+const path = require("path");
+const fs = require("fs/promises");
+const SqliteFileStorage = require("../storage/sqliteFileStorage.js");
+const FileStorage = require("../storage/fileStorage.js");
+const {
+  importJsonIntoStorage,
+  exportStorageToJson,
+} = require("../storage/jsonImporter.js");
+
+async function runTests() {
+  const dbDir = await fs.mkdtemp(
+    path.join(os.tmpdir(), "todo-json-import-test-")
+  );
+
+  // todo.json left behind by FileStorage is imported once, as-is
+  const importFile = path.join(dbDir, "import.db");
+  const jsonPath = path.join(dbDir, "todo.json");
+  const legacyTodos = [
+    {
+      id: "json-1",
+      title: "from json",
+      description: "kept",
+      done: true,
+      createdAt: "2025-09-07T17:16:58.846Z",
+      updatedAt: "2025-09-07T17:53:20.745Z",
+    },
+    {
+      id: "json-2",
+      title: "second",
+      description: "",
+      done: false,
+      createdAt: "2025-09-08T10:00:00.000Z",
+      updatedAt: "2025-09-08T10:00:00.000Z",
+    },
+  ];
+  await fs.writeFile(jsonPath, JSON.stringify(legacyTodos), "utf8");
+  const importTarget = new SqliteFileStorage({ filepath: importFile });
+  await importTarget.init();
+  const result = await importJsonIntoStorage({
+    jsonPath,
+    storage: importTarget,
+  });
+  assert.equal(result.imported, 2);
+  assert.ok(result.markedAs, "json file is marked as imported");
+  await assert.rejects(fs.stat(jsonPath), { code: "ENOENT" });
+  const importedTodos = await importTarget.getAllTodos();
+  assert.deepEqual(
+    // fields added since todo.json was written get their defaults
+    importedTodos.map((todo) =>
+      Object.fromEntries(
+        Object.keys(legacyTodos[0]).map((key) => [key, todo[key]])
+      )
+    ),
+    legacyTodos,
+    "ids, done and timestamps are preserved"
+  );
+  const again = await importJsonIntoStorage({
+    jsonPath,
+    storage: importTarget,
+  });
+  assert.equal(again.imported, 0, "marked file is not imported again");
+
+  // changes FileStorage only journaled before a crash are imported too
+  const crashedPath = path.join(dbDir, "crashed.json");
+  const crashed = new FileStorage({ filepath: crashedPath });
+  await crashed.init();
+  const errands = await crashed.createList("Errands");
+  await crashed.addTodo({ title: "journaled only", listId: errands.id });
+  const binned = await crashed.addTodo({ title: "binned" });
+  await crashed.deleteTodo(binned.id);
+  await assert.rejects(fs.stat(crashedPath), { code: "ENOENT" });
+  const crashTarget = new SqliteFileStorage({
+    filepath: path.join(dbDir, "crash-import.db"),
+  });
+  await crashTarget.init();
+  const fromJournal = await importJsonIntoStorage({
+    jsonPath: crashedPath,
+    storage: crashTarget,
+  });
+  assert.equal(fromJournal.imported, 2);
+  assert.deepEqual(
+    (await crashTarget.getAllTodos()).map((todo) => [todo.title, todo.listId]),
+    [["journaled only", errands.id]]
+  );
+  assert.deepEqual(
+    (await crashTarget.getTrashedTodos()).map((todo) => todo.title),
+    ["binned"],
+    "trashed todos come along"
+  );
+  await assert.rejects(fs.stat(`${crashedPath}.journal`), { code: "ENOENT" });
+  assert.equal(
+    JSON.parse(await fs.readFile(fromJournal.markedAs, "utf8")).todos.length,
+    2,
+    "the marked file holds the journaled changes"
+  );
+  await crashTarget.close();
+
+  // and the reverse direction writes the FileStorage format
+  const exportPath = path.join(dbDir, "export.json");
+  assert.equal(
+    await exportStorageToJson({ storage: importTarget, jsonPath: exportPath }),
+    2
+  );
+  const exported = JSON.parse(await fs.readFile(exportPath, "utf8"));
+  assert.deepEqual(
+    exported.todos,
+    importedTodos.map(({ tags, ...rest }) => ({ ...rest, tagIds: [] }))
+  );
+  assert.deepEqual(exported.tags, []);
+  assert.deepEqual(
+    exported.lists.map((l) => l.id),
+    ["inbox"]
+  );
+
+  await importTarget.close();
+  await fs.rm(dbDir, { recursive: true, force: true });
+
+  console.log("JSON importer tests passed ✅");
+}
+
+runTests().catch((err) => {
+  console.error("JSON importer tests failed ❌");
+  console.error(err);
+  process.exitCode = 1;
+});
@@ -0,0 +1,88 @@
+"use strict";
+
+// Recurrence rules, and the next occurrence Database spawns when a
+// repeating todo is completed.
+
+const assert = require("assert").strict;
+const os = require("os");
+const path = require("path");
+const fs = require("fs/promises");
+const Database = require("../database.js");
+const SqliteFileStorage = require("../storage/sqliteFileStorage.js");
+const { nextOccurrence } = require("../storage/recurrence.js");
+
+async function runTests() {
+  const tmpBase = await fs.mkdtemp(
+    path.join(os.tmpdir(), "todo-recurrence-test-")
+  );
+  const storage = new SqliteFileStorage({
+    filepath: path.join(tmpBase, "todo.db"),
+  });
+  await storage.init();
+
+  // recurrence: next due dates, and completing spawns the next occurrence
+  const from = "2025-01-01"; // a Wednesday
+  assert.equal(
+    nextOccurrence({ type: "daily" }, "2025-01-10", from),
+    "2025-01-11"
+  );
+  assert.equal(
+    nextOccurrence({ type: "weekdays" }, "2025-01-10", from),
+    "2025-01-13",
+    "Friday -> Monday"
+  );
+  assert.equal(
+    nextOccurrence({ type: "weekly", days: [2, 4] }, "2025-01-07", from),
+    "2025-01-09"
+  );
+  assert.equal(
+    nextOccurrence({ type: "monthly", day: 31 }, "2025-01-31", from),
+    "2025-02-28",
+    "clamped to the end of shorter months"
+  );
+  assert.equal(
+    nextOccurrence({ type: "interval", every: 3 }, null, from),
+    "2025-01-04",
+    "undated todos repeat from today"
+  );
+  assert.equal(
+    nextOccurrence({ type: "daily" }, "2024-12-01", from),
+    "2025-01-01",
+    "occurrences in the past are skipped"
+  );
+  await assert.rejects(
+    storage.addTodo({ title: "bad rule", recurrence: { type: "weekly" } }),
+    /days/
+  );
+
+  const database = new Database(storage);
+  const chore = await database.addTodo({
+    title: "water plants",
+    dueDate: "2099-01-05",
+    recurrence: { type: "weekly", days: [1] },
+    items: [{ title: "ficus", done: true }],
+  });
+  assert.deepEqual(chore.recurrence, { type: "weekly", days: [1] });
+  const completed = await database.updateTodo(chore.id, { done: true });
+  assert.equal(completed.recurrence, null, "completed todo stops repeating");
+  const [next] = await storage.queryTodos({
+    where: { done: false, dueFrom: "2099-01-06" },
+  });
+  assert.equal(next.title, "water plants");
+  assert.equal(next.dueDate, "2099-01-12");
+  assert.deepEqual(next.recurrence, { type: "weekly", days: [1] });
+  assert.equal(next.items[0].done, false, "checklist starts unticked");
+  await storage.deleteTodo(chore.id);
+  await storage.deleteTodo(next.id);
+
+  await storage.close();
+  await fs.rm(tmpBase, { recursive: true, force: true });
+
+  console.log("Recurrence tests passed ✅");
+}
+
+runTests().catch((err) => {
+  console.error("Recurrence tests failed ❌");
+  console.error(err);
+  process.exitCode = 1;
+});
@@ -0,0 +1,81 @@
+"use strict";
+
+// ReminderScheduler driven by a fake clock and a fake database.
+
+const assert = require("assert").strict;
+const os = require("os");
+const path = require("path");
+const fs = require("fs/promises");
+const { ReminderScheduler } = require("../reminders/reminderScheduler.js");
+
+async function runTests() {
+  const tmpBase = await fs.mkdtemp(
+    path.join(os.tmpdir(), "todo-reminders-test-")
+  );
+
+  // reminders: a fake clock drives the scheduler, state survives restarts
+  const clock = {
+    time: Date.parse("2099-03-01T08:00:00.000Z"),
+    timers: [],
+    now() {
+      return this.time;
+    },
+    setTimeout(fn, ms) {
+      const timer = { fn, at: this.time + ms };
+      this.timers.push(timer);
+      return timer;
+    },
+    clearTimeout(timer) {
+      this.timers = this.timers.filter((t) => t !== timer);
+    },
+  };
+  const reminderTodos = [
+    { id: "r1", title: "call", remindAt: "2099-03-01T09:00:00.000Z" },
+    { id: "r2", title: "email", remindAt: "2099-03-01T10:00:00.000Z" },
+    { id: "r3", title: "done already", remindAt: "2099-03-01T09:30:00.000Z" },
+  ];
+  const reminderDb = {
+    queryTodos: async ({ where }) =>
+      reminderTodos.filter((t) => !where.done === !t.done),
+  };
+  reminderTodos[2].done = true;
+  const notified = [];
+  const schedulerOptions = {
+    database: reminderDb,
+    notify: (n) => notified.push(n.todoId),
+    statePath: path.join(tmpBase, "reminders.json"),
+    clock,
+  };
+  let scheduler = new ReminderScheduler(schedulerOptions);
+  await scheduler.start();
+  assert.deepEqual(notified, [], "first run does not replay the past");
+  assert.equal(clock.timers.length, 1);
+  assert.equal(clock.timers[0].at, Date.parse("2099-03-01T09:00:00.000Z"));
+  const [firstTimer] = clock.timers;
+  clock.timers = [];
+  clock.time = firstTimer.at;
+  firstTimer.fn();
+  await scheduler.refresh();
+  assert.deepEqual(notified, ["r1"]);
+  scheduler.stop();
+  assert.equal(clock.timers.length, 0, "stop clears the timer");
+
+  // closed from 09:00 to 12:00: r2 is caught up on the next start
+  clock.time = Date.parse("2099-03-01T12:00:00.000Z");
+  scheduler = new ReminderScheduler(schedulerOptions);
+  await scheduler.start();
+  assert.deepEqual(notified, ["r1", "r2"]);
+  await scheduler.refresh();
+  assert.deepEqual(notified, ["r1", "r2"], "reminders fire once");
+  scheduler.stop();
+
+  await fs.rm(tmpBase, { recursive: true, force: true });
+
+  console.log("Reminder tests passed ✅");
+}
+
+runTests().catch((err) => {
+  console.error("Reminder tests failed ❌");
+  console.error(err);
+  process.exitCode = 1;
+});
@@ -0,0 +1,456 @@
+"use strict";
+
+const assert = require("assert").strict;
+const os = require("os");
+const path = require("path");
+const fs = require("fs/promises");
+const sqlite3 = require("sqlite3");
+const SqliteFileStorage = require("../storage/sqliteFileStorage.js");
+const { localDateOf } = require("../storage/todoFields.js");
+
+// Schema as created by builds before the migration runner existed
+const LEGACY_SCHEMA_SQL = `
+CREATE TABLE IF NOT EXISTS schema_migrations (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  name TEXT NOT NULL UNIQUE,
+  run_at TEXT NOT NULL DEFAULT (datetime('now'))
+);
+CREATE TABLE IF NOT EXISTS todos (
+  id TEXT PRIMARY KEY,
+  title TEXT NOT NULL,
+  description TEXT DEFAULT '',
+  done INTEGER NOT NULL DEFAULT 0 CHECK (done IN (0,1)),
+  created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ','now')),
+  updated_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ','now'))
+);
+INSERT INTO todos (id, title) VALUES ('legacy-1', 'from before migrations');
+`;
+
+function rawExec(file, sql) {
+  return new Promise((resolve, reject) => {
+    const db = new sqlite3.Database(file, (err) => {
+      if (err) return reject(err);
+      db.exec(sql, (execErr) => {
+        db.close(() => (execErr ? reject(execErr) : resolve()));
+      });
+    });
+  });
+}
+
+async function runTests() {
+  const tmpBase = await fs.mkdtemp(path.join(os.tmpdir(), "todo-sqlite-test-"));
+  const dbDir = path.join(tmpBase, "db");
+  const dbFile = path.join(dbDir, "todo.db");
+
+  const storage = new SqliteFileStorage({
+    filepath: dbFile,
+    busyTimeout: 2000,
+  });
+
+  // init should create DB file and run every migration
+  await storage.init();
+  const migratedVersion = await storage.getSchemaVersion();
+  assert.ok(migratedVersion >= 1, "migrations recorded in schema_migrations");
+
+  // DB file should exist
+  const stat = await fs.stat(dbFile);
+  assert.ok(stat.isFile(), "sqlite db file should exist");
+
+  // start with empty
+  let all = await storage.getAllTodos();
+  assert.equal(Array.isArray(all), true);
+  assert.equal(all.length, 0);
+
+  // add 3 todos with tiny delays to ensure distinct createdAt timestamps
+  const t1 = await storage.addTodo({ title: "S1", description: "first" });
+  await new Promise((resolve) => setTimeout(resolve, 5));
+  const t2 = await storage.addTodo({ title: "S2" });
+  await new Promise((resolve) => setTimeout(resolve, 5));
+  const t3 = await storage.addTodo({ title: "S3" });
+
+  assert.ok(t1.id && t2.id && t3.id);
+  all = await storage.getAllTodos();
+  assert.equal(all.length, 3);
+  assert.equal(all[0].id, t1.id, "ordered by createdAt asc");
+  assert.equal(all[1].id, t2.id, "ordered by createdAt asc");
+  assert.equal(all[2].id, t3.id, "ordered by createdAt asc");
+
+  // get by id
+  const fetched = await storage.getTodoById(t2.id);
+  assert.deepEqual(fetched, t2);
+
+  // missing get returns null
+  const missing = await storage.getTodoById("no-such");
+  assert.equal(missing, null);
+
+  // update t2
+  const before = await storage.getTodoById(t2.id);
+  const updated = await storage.updateTodo(t2.id, {
+    title: "S2-ed",
+    done: true,
+  });
+  assert.equal(updated.title, "S2-ed");
+  assert.equal(updated.done, true);
+  assert.equal(updated.createdAt, before.createdAt);
+  assert.notEqual(updated.updatedAt, before.updatedAt);
+
+  // priority and dueDate default, persist and validate
+  assert.equal(t1.priority, "medium");
+  assert.equal(t1.dueDate, null);
+  const prioritized = await storage.updateTodo(t1.id, {
+    priority: "high",
+    dueDate: "2025-03-01",
+  });
+  assert.equal(prioritized.priority, "high");
+  assert.equal(prioritized.dueDate, "2025-03-01");
+  assert.deepEqual(
+    (await storage.getTodoById(t1.id)).dueDate,
+    "2025-03-01",
+    "dueDate persisted"
+  );
+  const cleared = await storage.updateTodo(t1.id, { dueDate: "" });
+  assert.equal(cleared.dueDate, null, "empty dueDate clears it");
+  assert.equal(cleared.priority, "high", "omitted fields are kept");
+  await assert.rejects(
+    storage.updateTodo(t1.id, { priority: "urgent" }),
+    /priority must be one of/
+  );
+  await assert.rejects(
+    storage.addTodo({ title: "bad date", dueDate: "2025-02-30" }),
+    /dueDate must be a date/
+  );
+
+  // due date range queries, with overdue and undated buckets
+  const dOverdue = await storage.addTodo({
+    title: "late",
+    dueDate: "2025-02-27",
+  });
+  const dDoneLate = await storage.addTodo({
+    title: "late but done",
+    dueDate: "2025-02-26",
+    done: true,
+  });
+  const dInRange = await storage.addTodo({
+    title: "due",
+    dueDate: "2025-03-02",
+  });
+  const dFirst = await storage.addTodo({
+    title: "due first",
+    dueDate: "2025-03-01",
+  });
+  const inRange = await storage.getTodosByDueDate({
+    from: "2025-03-01",
+    to: "2025-03-07",
+  });
+  assert.deepEqual(
+    inRange.map((t) => t.id),
+    [dFirst.id, dInRange.id],
+    "ordered by due date"
+  );
+  const withBuckets = await storage.getTodosByDueDate({
+    from: "2025-03-01",
+    to: "2025-03-07",
+    includeOverdue: true,
+    includeUndated: true,
+  });
+  assert.equal(withBuckets[0].id, dOverdue.id, "pending overdue comes first");
+  assert.ok(!withBuckets.some((t) => t.id === dDoneLate.id));
+  assert.ok(
+    withBuckets.slice(-1)[0].dueDate === null,
+    "undated todos sort last"
+  );
+  await assert.rejects(
+    storage.getTodosByDueDate({ from: "2025-03-07", to: "2025-03-01" }),
+    /from must not be after to/
+  );
+  // calendar counts per day (due date, or created day when undated)
+  const counts = await storage.getDayCounts({
+    from: "2025-02-26",
+    to: "2025-03-02",
+  });
+  assert.deepEqual(counts, [
+    { date: "2025-02-26", pending: 0, completed: 1 },
+    { date: "2025-02-27", pending: 1, completed: 0 },
+    { date: "2025-03-01", pending: 1, completed: 0 },
+    { date: "2025-03-02", pending: 1, completed: 0 },
+  ]);
+  const onDay = await storage.getTodosOnDay("2025-03-01");
+  assert.deepEqual(
+    onDay.map((t) => t.id),
+    [dFirst.id]
+  );
+  const createdToday = await storage.getTodosOnDay(
+    localDateOf(new Date().toISOString())
+  );
+  assert.ok(
+    createdToday.some((t) => t.id === t2.id),
+    "undated todos count on the day they were created"
+  );
+  // queryTodos: filter, sort and paginate in SQL
+  const highPending = await storage.queryTodos({
+    where: { done: false, dueFrom: "2025-02-01", dueTo: "2025-03-31" },
+    sort: "-dueDate",
+  });
+  assert.deepEqual(
+    highPending.map((t) => t.id),
+    [dInRange.id, dFirst.id, dOverdue.id]
+  );
+  const undatedFirstPage = await storage.queryTodos({
+    where: { hasDueDate: false },
+    sort: [{ field: "createdAt", direction: "desc" }],
+    limit: 1,
+  });
+  assert.equal(undatedFirstPage.length, 1);
+  assert.equal(undatedFirstPage[0].dueDate, null);
+  const byDue = await storage.queryTodos({ sort: "dueDate" });
+  assert.equal(byDue[byDue.length - 1].dueDate, null, "undated sort last");
+  const byPriority = await storage.queryTodos({ sort: "-priority" });
+  assert.equal(byPriority[0].priority, "high");
+  await assert.rejects(
+    storage.queryTodos({ sort: "bogus" }),
+    /sort field must be one of/
+  );
+  await assert.rejects(
+    storage.queryTodos({ where: { priority: "urgent" } }),
+    /where.priority/
+  );
+  for (const t of [dOverdue, dDoneLate, dInRange, dFirst]) {
+    await storage.deleteTodo(t.id);
+  }
+
+  // full-text search stays in sync with inserts, updates and deletes
+  const sMilk = await storage.addTodo({
+    title: "Buy milk",
+    description: "and some bread",
+  });
+  const sMom = await storage.addTodo({
+    title: "Call mom",
+    description: "milk?",
+  });
+  let hits = await storage.searchTodos("milk");
+  assert.deepEqual(
+    hits.map((h) => h.todo.id),
+    [sMilk.id, sMom.id],
+    "title matches rank above description matches"
+  );
+  assert.equal(hits[0].highlights.title, "Buy \u0002milk\u0003");
+  assert.equal(hits[1].highlights.description, "\u0002milk\u0003?");
+  await storage.updateTodo(sMilk.id, { title: "Buy oat drink" });
+  hits = await storage.searchTodos("milk");
+  assert.deepEqual(
+    hits.map((h) => h.todo.id),
+    [sMom.id],
+    "updated title is reindexed"
+  );
+  assert.equal((await storage.searchTodos("oat bre")).length, 1, "prefixes");
+  await storage.deleteTodo(sMom.id);
+  assert.equal((await storage.searchTodos("mom")).length, 0);
+  assert.deepEqual(await storage.searchTodos('" OR *'), []);
+  await storage.deleteTodo(sMilk.id);
+
+  // checklist items: ordered, replaced as a whole, deleted with their todo
+  const withItems = await storage.addTodo({
+    title: "multi-step",
+    items: [{ title: "one" }, { title: "two", done: true }],
+  });
+  assert.deepEqual(
+    withItems.items.map((i) => [i.title, i.done]),
+    [
+      ["one", false],
+      ["two", true],
+    ]
+  );
+  const [one, two] = withItems.items;
+  const reordered = await storage.updateTodo(withItems.id, {
+    items: [
+      { id: two.id, title: "two", done: true },
+      { id: one.id, title: "one", done: true },
+      { title: "three" },
+    ],
+  });
+  assert.deepEqual(
+    (await storage.getTodoById(withItems.id)).items.map((i) => i.title),
+    ["two", "one", "three"],
+    "items keep the order they were saved in"
+  );
+  assert.equal(reordered.items[1].id, one.id, "existing items keep their id");
+  assert.equal(reordered.items[0].updatedAt, two.updatedAt, "unchanged item");
+  await assert.rejects(
+    storage.updateTodo(withItems.id, { items: [{ title: " " }] }),
+    /non-empty title/
+  );
+  await storage.deleteTodo(withItems.id);
+  await storage.purgeTodo(withItems.id);
+  const orphanItems = await storage._all(
+    `SELECT id FROM todo_items WHERE todo_id = ?`,
+    [withItems.id]
+  );
+  assert.equal(orphanItems.length, 0, "items cascade with their purged todo");
+
+  // tags: many-to-many, case-insensitive unique names, cascading deletes
+  const work = await storage.createTag("#work");
+  assert.equal(work.name, "work", "leading # is dropped");
+  const home = await storage.createTag("home");
+  await assert.rejects(storage.createTag("WORK"), /already exists/);
+  await assert.rejects(
+    storage.addTodo({ title: "bad tag", tags: ["no-such-tag"] }),
+    /Unknown tag/
+  );
+  const tagged = await storage.addTodo({
+    title: "tagged",
+    tags: [work.id, home.id],
+  });
+  assert.deepEqual(
+    tagged.tags.map((t) => t.name),
+    ["home", "work"],
+    "tags come back ordered by name"
+  );
+  const workOnly = await storage.addTodo({ title: "work only", tags: [work] });
+  let byTag = await storage.queryTodos({ where: { tagIds: [work.id] } });
+  assert.deepEqual(
+    byTag.map((t) => t.id),
+    [tagged.id, workOnly.id]
+  );
+  byTag = await storage.queryTodos({ where: { tagIds: [work.id, home.id] } });
+  assert.deepEqual(
+    byTag.map((t) => t.id),
+    [tagged.id],
+    "tag filter requires every tag"
+  );
+  assert.deepEqual(
+    (await storage.getAllTags()).map((t) => [t.name, t.count]),
+    [
+      ["home", 1],
+      ["work", 2],
+    ]
+  );
+  const renamed = await storage.renameTag(work.id, "job");
+  assert.equal(renamed.name, "job");
+  assert.equal((await storage.getTodoById(workOnly.id)).tags[0].name, "job");
+  assert.equal(await storage.renameTag("no-such-tag", "x"), null);
+  const untagged = await storage.updateTodo(tagged.id, { tags: [home.id] });
+  assert.deepEqual(
+    untagged.tags.map((t) => t.id),
+    [home.id]
+  );
+  assert.equal(await storage.deleteTag(home.id), true);
+  assert.deepEqual((await storage.getTodoById(tagged.id)).tags, []);
+  await storage.deleteTodo(workOnly.id);
+  assert.equal((await storage.getAllTags())[0].count, 0, "links cascade");
+  await storage.deleteTodo(tagged.id);
+  await storage.deleteTag(work.id);
+
+  // lists: todos default to the Inbox; deleting a list moves or deletes them
+  const inboxTodo = await storage.addTodo({ title: "inbox by default" });
+  assert.equal(inboxTodo.listId, "inbox");
+  const project = await storage.createList("Project");
+  await assert.rejects(storage.createList("project"), /already exists/);
+  await assert.rejects(
+    storage.addTodo({ title: "nowhere", listId: "no-such-list" }),
+    /Unknown list/
+  );
+  const inProject = await storage.addTodo({
+    title: "in project",
+    listId: project.id,
+  });
+  const moved = await storage.updateTodo(inboxTodo.id, { listId: project.id });
+  assert.equal(moved.listId, project.id);
+  await storage.updateTodo(inProject.id, { done: true });
+  assert.deepEqual(
+    (await storage.queryTodos({ where: { listId: project.id } })).map(
+      (t) => t.id
+    ),
+    [inboxTodo.id, inProject.id]
+  );
+  const inInbox = (await storage.getAllTodos()).filter(
+    (t) => t.listId === "inbox"
+  );
+  let lists = await storage.getAllLists();
+  assert.deepEqual(
+    lists.map((l) => [l.name, l.count, l.pending]),
+    [
+      ["Inbox", inInbox.length, inInbox.filter((t) => !t.done).length],
+      ["Project", 2, 1],
+    ],
+    "Inbox first, with per-list counts"
+  );
+  await assert.rejects(storage.deleteList("inbox"), /cannot be deleted/);
+  assert.equal(await storage.deleteList(project.id), true);
+  assert.equal((await storage.getTodoById(inProject.id)).listId, "inbox");
+  const scratch = await storage.createList("Scratch");
+  await storage.updateTodo(inProject.id, { listId: scratch.id });
+  await storage.deleteList(scratch.id, { todos: "delete" });
+  assert.equal(await storage.getTodoById(inProject.id), null);
+  assert.equal(
+    (await storage.restoreTodo(inProject.id)).listId,
+    "inbox",
+    "todos of a deleted list are restored to the Inbox"
+  );
+  await storage.deleteTodo(inProject.id);
+  await storage.deleteTodo(inboxTodo.id);
+  lists = await storage.getAllLists();
+  assert.deepEqual(
+    lists.map((l) => l.id),
+    ["inbox"]
+  );
+
+  // update missing -> null
+  const updMissing = await storage.updateTodo("no-such-id", { title: "x" });
+  assert.equal(updMissing, null);
+
+  // delete t3
+  const deleted = await storage.deleteTodo(t3.id);
+  assert.equal(deleted, true);
+  all = await storage.getAllTodos();
+  assert.equal(all.length, 2);
+
+  // delete missing returns false
+  const delMissing = await storage.deleteTodo("no-such");
+  assert.equal(delMissing, false);
+
+  // close storage
+  await storage.close();
+
+  // Re-open and ensure data persisted
+  const storage2 = new SqliteFileStorage({ filepath: dbFile });
+  await storage2.init();
+  const afterReopen = await storage2.getAllTodos();
+  assert.equal(afterReopen.length, 2);
+  assert.equal(
+    await storage2.getSchemaVersion(),
+    migratedVersion,
+    "reopening does not re-run migrations"
+  );
+  await storage2.close();
+
+  // a database migrated by a newer app is refused
+  await rawExec(
+    dbFile,
+    `INSERT INTO schema_migrations (name) VALUES ('9999_from_the_future');`
+  );
+  const storage3 = new SqliteFileStorage({ filepath: dbFile });
+  await assert.rejects(storage3.init(), (err) => err.code === "SCHEMA_TOO_NEW");
+  assert.equal(storage3.db, null, "refused database is closed again");
+
+  // a database created before the migration runner is adopted in place
+  const legacyFile = path.join(dbDir, "legacy.db");
+  await rawExec(legacyFile, LEGACY_SCHEMA_SQL);
+  const legacy = new SqliteFileStorage({ filepath: legacyFile });
+  await legacy.init();
+  assert.equal(await legacy.getSchemaVersion(), migratedVersion);
+  const legacyTodo = await legacy.getTodoById("legacy-1");
+  assert.equal(legacyTodo.title, "from before migrations");
+  assert.equal(legacyTodo.listId, "inbox", "existing todos land in the Inbox");
+  await legacy.close();
+
+  // clean up
+  await fs.rm(tmpBase, { recursive: true, force: true });
+
+  console.log("SqliteFileStorage tests passed ✅");
+}
+
+runTests().catch((err) => {
+  console.error("SqliteFileStorage tests failed ❌");
+  console.error(err);
+  process.exitCode = 1;
+});
@@ -0,0 +1,578 @@
+"use strict";
+
+// The storage contract: the same cases against every backend, so that what
+// one storage does the others do too. Run by `npm test` before
+// test-sqlite.js, which goes deeper into SqliteFileStorage.
+
+const assert = require("assert").strict;
+const os = require("os");
+const path = require("path");
+const fs = require("fs/promises");
+const InMemoryStorage = require("../storage/inMemoryStorage.js");
+const FileStorage = require("../storage/fileStorage.js");
+const SqliteFileStorage = require("../storage/sqliteFileStorage.js");
+const { ConflictError } = require("../storage/conflictError.js");
+
+const pause = (ms = 5) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const ISO_RE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z$/;
+
+// fs/promises for FileStorage's fsModule option, keeping files in a Map
+function createMemoryFs() {
+  const files = new Map();
+  const missing = (file) =>
+    Object.assign(new Error(`ENOENT: ${file}`), { code: "ENOENT" });
+  const memoryFs = {
+    files,
+    syncs: 0,
+    async mkdir() {},
+    async readFile(file) {
+      if (!files.has(file)) throw missing(file);
+      return files.get(file);
+    },
+    async writeFile(file, data) {
+      files.set(file, String(data));
+    },
+    async appendFile(file, data) {
+      files.set(file, (files.get(file) || "") + String(data));
+    },
+    // a handle that only appends or writes whole files, as FileStorage does
+    async open(file, flags) {
+      if (flags === "w") files.set(file, "");
+      return {
+        appendFile: async (data) =>
+          files.set(file, (files.get(file) || "") + String(data)),
+        writeFile: async (data) => files.set(file, String(data)),
+        sync: async () => {
+          memoryFs.syncs += 1;
+        },
+        close: async () => {},
+      };
+    },
+    async rename(from, to) {
+      if (!files.has(from)) throw missing(from);
+      files.set(to, files.get(from));
+      files.delete(from);
+    },
+    async rm(file) {
+      files.delete(file);
+    },
+    async copyFile(from, to) {
+      if (!files.has(from)) throw missing(from);
+      files.set(to, files.get(from));
+    },
+  };
+  return memoryFs;
+}
+
+/**
+ * Each backend: create(dir) makes an empty storage, reopen(storage) hands
+ * back a storage over the same data the way the app would after a restart.
+ */
+const BACKENDS = [
+  {
+    name: "InMemoryStorage",
+    create: () => new InMemoryStorage(),
+    reopen: async (storage) => {
+      await storage.close();
+      await storage.init();
+      return storage;
+    },
+  },
+  {
+    name: "FileStorage",
+    create: (dir) =>
+      new FileStorage({
+        filepath: path.join(dir, "todo.json"),
+        fsModule: createMemoryFs(),
+      }),
+    reopen: async (storage) => {
+      await storage.close();
+      const reopened = new FileStorage({
+        filepath: storage.filepath,
+        fsModule: storage.fs,
+      });
+      await reopened.init();
+      return reopened;
+    },
+  },
+  {
+    name: "FileStorage (immediate)",
+    create: (dir) =>
+      new FileStorage({
+        filepath: path.join(dir, "todo.json"),
+        mode: "immediate",
+        fsModule: createMemoryFs(),
+      }),
+    // every write is on disk already, so the old instance is not closed
+    reopen: async (storage) => {
+      const reopened = new FileStorage({
+        filepath: storage.filepath,
+        fsModule: storage.fs,
+      });
+      await reopened.init();
+      return reopened;
+    },
+  },
+  {
+    name: "FileStorage (crash)",
+    create: (dir) =>
+      new FileStorage({
+        filepath: path.join(dir, "todo.json"),
+        fsModule: createMemoryFs(),
+      }),
+    // never closed, so everything comes back from the journal
+    reopen: async (storage) => {
+      const reopened = new FileStorage({
+        filepath: storage.filepath,
+        fsModule: storage.fs,
+      });
+      await reopened.init();
+      return reopened;
+    },
+  },
+  {
+    name: "FileStorage (autosave, fsync)",
+    create: (dir) =>
+      new FileStorage({
+        filepath: path.join(dir, "todo.json"),
+        mode: "autosave",
+        autosaveDelayMs: 60000,
+        fsync: true,
+        fsModule: createMemoryFs(),
+      }),
+    reopen: async (storage) => {
+      const reopened = new FileStorage({
+        filepath: storage.filepath,
+        mode: "autosave",
+        fsync: true,
+        fsModule: storage.fs,
+      });
+      await reopened.init();
+      assert.ok(storage.fs.syncs > 0, "journal writes synced");
+      return reopened;
+    },
+  },
+  {
+    name: "SqliteFileStorage",
+    create: (dir) =>
+      new SqliteFileStorage({ filepath: path.join(dir, "todo.db") }),
+    reopen: async (storage) => {
+      await storage.close();
+      const reopened = new SqliteFileStorage({ filepath: storage.filepath });
+      await reopened.init();
+      return reopened;
+    },
+  },
+];
+
+// name -> async (storage, backend) => storage still open at the end
+const CASES = {
+  "starts empty with an Inbox": async (storage) => {
+    assert.deepEqual(await storage.getAllTodos(), []);
+    assert.deepEqual(await storage.getTrashedTodos(), []);
+    assert.deepEqual(await storage.getAllTags(), []);
+    const lists = await storage.getAllLists();
+    assert.deepEqual(
+      lists.map(({ id, name, count, pending }) => ({
+        id,
+        name,
+        count,
+        pending,
+      })),
+      [{ id: "inbox", name: "Inbox", count: 0, pending: 0 }]
+    );
+    return storage;
+  },
+
+  "fills in defaults": async (storage) => {
+    const todo = await storage.addTodo({ title: "  defaults  " });
+    assert.equal(todo.title, "defaults", "titles are trimmed");
+    assert.equal(todo.description, "");
+    assert.equal(todo.done, false);
+    assert.equal(todo.priority, "medium");
+    assert.equal(todo.dueDate, null);
+    assert.equal(todo.remindAt, null);
+    assert.equal(todo.listId, "inbox");
+    assert.equal(todo.recurrence, null);
+    assert.equal(todo.deletedAt, null);
+    assert.equal(todo.version, 1);
+    assert.deepEqual(todo.items, []);
+    assert.deepEqual(todo.tags, []);
+    assert.deepEqual(await storage.getTodoById(todo.id), todo);
+    return storage;
+  },
+
+  "orders by creation and paginates": async (storage) => {
+    const titles = ["first", "second", "third", "fourth"];
+    for (const title of titles) {
+      await storage.addTodo({ title });
+      await pause();
+    }
+    const all = await storage.getAllTodos();
+    assert.deepEqual(
+      all.map((t) => t.title),
+      titles
+    );
+    const page = await storage.getAllTodos({ limit: 2, offset: 1 });
+    assert.deepEqual(
+      page.map((t) => t.title),
+      ["second", "third"]
+    );
+    assert.deepEqual(await storage.getAllTodos({ limit: 0 }), []);
+    assert.deepEqual(await storage.getAllTodos({ limit: 10, offset: 4 }), []);
+    const queried = await storage.queryTodos({
+      sort: "-createdAt",
+      limit: 2,
+    });
+    assert.deepEqual(
+      queried.map((t) => t.title),
+      ["fourth", "third"]
+    );
+    return storage;
+  },
+
+  "validates pagination": async (storage) => {
+    for (const limit of [-1, 1.5, "2"]) {
+      await assert.rejects(
+        storage.getAllTodos({ limit }),
+        /limit must be a non-negative integer/
+      );
+      await assert.rejects(
+        storage.queryTodos({ limit }),
+        /limit must be a non-negative integer/
+      );
+    }
+    await assert.rejects(
+      storage.getAllTodos({ limit: 1, offset: -1 }),
+      /offset must be a non-negative integer/
+    );
+    await assert.rejects(
+      storage.queryTodos({ offset: -1 }),
+      /offset must be a non-negative integer/
+    );
+    return storage;
+  },
+
+  "keeps timestamps and versions": async (storage) => {
+    const added = await storage.addTodo({ title: "stamped" });
+    assert.match(added.createdAt, ISO_RE);
+    assert.equal(added.updatedAt, added.createdAt);
+    await pause();
+    const updated = await storage.updateTodo(added.id, { done: true });
+    assert.equal(updated.createdAt, added.createdAt);
+    assert.ok(updated.updatedAt > added.updatedAt, "updatedAt moves");
+    assert.equal(updated.version, 2);
+    assert.deepEqual(
+      await storage.getTodoById(added.id),
+      updated,
+      "stored as returned"
+    );
+    await pause();
+    assert.equal(await storage.deleteTodo(added.id), true);
+    const [trashed] = await storage.getTrashedTodos();
+    assert.match(trashed.deletedAt, ISO_RE);
+    assert.equal(trashed.createdAt, added.createdAt);
+    assert.equal(trashed.version, 3);
+    assert.equal(trashed.updatedAt, trashed.deletedAt, "trashing is a write");
+    await pause();
+    const restored = await storage.restoreTodo(added.id);
+    assert.equal(restored.deletedAt, null);
+    assert.ok(restored.updatedAt > trashed.updatedAt, "so is restoring");
+    assert.equal(restored.version, 4);
+    return storage;
+  },
+
+  "applies overlapping updates without a version": async (storage) => {
+    const added = await storage.addTodo({ title: "shared" });
+    const [first, second] = await Promise.all([
+      storage.updateTodo(added.id, { title: "first" }),
+      storage.updateTodo(added.id, { done: true }),
+    ]);
+    assert.equal(first.title, "first");
+    assert.equal(second.done, true);
+    const stored = await storage.getTodoById(added.id);
+    assert.equal(stored.title, "first");
+    assert.equal(stored.done, true);
+    assert.equal(stored.version, 3);
+    await assert.rejects(
+      storage.updateTodo(added.id, { done: false }, { expectedVersion: 1 }),
+      { name: "ConflictError" }
+    );
+    return storage;
+  },
+
+  "imports and updates in one write": async (storage) => {
+    const kept = await storage.addTodo({ title: "kept" });
+    const imported = {
+      id: "imported-1",
+      title: "imported",
+      list: { name: "Errands" },
+      tags: [{ name: "home" }],
+    };
+    await assert.rejects(
+      storage.importTodos([imported], {
+        updates: [{ id: kept.id, patch: { priority: "urgent" } }],
+      }),
+      /priority must be one of/
+    );
+    assert.deepEqual(
+      (await storage.getAllTodos()).map((todo) => todo.title),
+      ["kept"],
+      "a bad update imports nothing"
+    );
+    const inserted = await storage.importTodos([imported], {
+      updates: [
+        { id: kept.id, patch: { title: "kept, renamed" } },
+        { id: "gone", patch: { title: "nobody" } },
+      ],
+    });
+    assert.equal(inserted, 1);
+    const renamed = await storage.getTodoById(kept.id);
+    assert.equal(renamed.title, "kept, renamed");
+    assert.equal(renamed.version, 2);
+    assert.equal((await storage.getRevisions(kept.id)).length, 1);
+    const added = await storage.getTodoById("imported-1");
+    assert.deepEqual(
+      added.tags.map((tag) => tag.name),
+      ["home"]
+    );
+    const errands = (await storage.getAllLists()).find(
+      (list) => list.name === "Errands"
+    );
+    assert.equal(added.listId, errands.id);
+    return storage;
+  },
+
+  "hands out copies": async (storage) => {
+    const todo = await storage.addTodo({
+      title: "original",
+      items: [{ title: "step" }],
+    });
+    todo.title = "changed";
+    todo.items[0].title = "changed";
+    todo.tags.push({ id: "x", name: "x" });
+    const stored = await storage.getTodoById(todo.id);
+    assert.equal(stored.title, "original");
+    assert.equal(stored.items[0].title, "step");
+    assert.deepEqual(stored.tags, []);
+    return storage;
+  },
+
+  "persists across reopen": async (storage, backend) => {
+    const tag = await storage.createTag("kept");
+    const list = await storage.createList("Kept list");
+    const kept = await storage.addTodo({
+      title: "kept",
+      description: "survives",
+      priority: "high",
+      dueDate: "2099-01-31",
+      remindAt: "2099-01-31T08:00:00.000Z",
+      listId: list.id,
+      recurrence: { type: "weekly", days: [1, 3] },
+      items: [{ title: "a", done: true }, { title: "b" }],
+      tags: [tag.id],
+    });
+    await pause();
+    const edited = await storage.updateTodo(kept.id, { title: "kept, edited" });
+    const binned = await storage.addTodo({ title: "binned" });
+    await storage.deleteTodo(binned.id);
+    const revisions = await storage.getRevisions(kept.id);
+    const reopened = await backend.reopen(storage);
+
+    assert.deepEqual(await reopened.getTodoById(kept.id), edited);
+    assert.deepEqual(await reopened.getRevisions(kept.id), revisions);
+    assert.deepEqual(
+      (await reopened.getTrashedTodos()).map((t) => t.id),
+      [binned.id]
+    );
+    assert.deepEqual(
+      (await reopened.getAllTags()).map((t) => [t.id, t.name, t.count]),
+      [[tag.id, "kept", 1]]
+    );
+    assert.deepEqual(
+      (await reopened.getAllLists()).map((l) => [l.id, l.count]),
+      [
+        ["inbox", 0],
+        [list.id, 1],
+      ]
+    );
+    const later = await reopened.addTodo({ title: "after reopen" });
+    assert.deepEqual(
+      (await reopened.getAllTodos()).map((t) => t.id),
+      [kept.id, later.id]
+    );
+    return reopened;
+  },
+
+  "refuses bad input": async (storage) => {
+    await assert.rejects(
+      storage.addTodo({ title: "   " }),
+      /title must not be empty/
+    );
+    await assert.rejects(
+      storage.addTodo({ title: "x", priority: "urgent" }),
+      /priority must be one of/
+    );
+    await assert.rejects(
+      storage.addTodo({ title: "x", dueDate: "2025-02-30" }),
+      /dueDate must be a date/
+    );
+    await assert.rejects(
+      storage.addTodo({ title: "x", listId: "nowhere" }),
+      /Unknown list: nowhere/
+    );
+    await assert.rejects(
+      storage.addTodo({ title: "x", tags: ["nothing"] }),
+      /Unknown tag: nothing/
+    );
+    await assert.rejects(
+      storage.addTodo({ title: "x", recurrence: { type: "hourly" } }),
+      /recurrence.type must be one of/
+    );
+    assert.deepEqual(await storage.getAllTodos(), [], "nothing was added");
+
+    const todo = await storage.addTodo({ title: "target" });
+    await assert.rejects(
+      storage.updateTodo(todo.id, { title: "" }),
+      /title must not be empty/
+    );
+    await assert.rejects(
+      storage.updateTodo(todo.id, { title: "x" }, { expectedVersion: 7 }),
+      ConflictError
+    );
+    assert.deepEqual(await storage.getTodoById(todo.id), todo, "unchanged");
+
+    await storage.createTag("Work");
+    await assert.rejects(storage.createTag("work"), /already exists/);
+    await storage.createList("Home");
+    await assert.rejects(storage.createList("HOME"), /already exists/);
+    await assert.rejects(storage.deleteList("inbox"), /cannot be deleted/);
+    return storage;
+  },
+
+  "reports missing things without throwing": async (storage) => {
+    assert.equal(await storage.getTodoById("missing"), null);
+    assert.equal(await storage.updateTodo("missing", { title: "x" }), null);
+    assert.equal(await storage.deleteTodo("missing"), false);
+    assert.equal(await storage.restoreTodo("missing"), null);
+    assert.equal(await storage.purgeTodo("missing"), false);
+    assert.deepEqual(await storage.getRevisions("missing"), []);
+    assert.equal(await storage.renameTag("missing", "x"), null);
+    assert.equal(await storage.deleteTag("missing"), false);
+    assert.equal(await storage.renameList("missing", "x"), null);
+    assert.equal(await storage.deleteList("missing"), false);
+    return storage;
+  },
+};
+
+async function runTests() {
+  const tmpBase = await fs.mkdtemp(path.join(os.tmpdir(), "todo-contract-"));
+  for (const backend of BACKENDS) {
+    for (const [name, run] of Object.entries(CASES)) {
+      const dir = await fs.mkdtemp(path.join(tmpBase, "case-"));
+      const storage = backend.create(dir);
+      await storage.init();
+      try {
+        await (await run(storage, backend)).close();
+      } catch (err) {
+        console.error(`${backend.name}: ${name}`);
+        throw err;
+      }
+    }
+  }
+
+  // FileStorage: a failed write keeps the data and leaves no temp file
+  const memoryFs = createMemoryFs();
+  const failing = {
+    ...memoryFs,
+    rename: async () => {
+      throw new Error("disk full");
+    },
+  };
+  const file = new FileStorage({ filepath: "todo.json", fsModule: failing });
+  await file.init();
+  await file.addTodo({ title: "unsaved" });
+  await assert.rejects(file.flush(), /disk full/);
+  assert.deepEqual(
+    [...memoryFs.files.keys()],
+    ["todo.json.journal"],
+    "temp file removed"
+  );
+  assert.equal((await file.getAllTodos())[0].title, "unsaved");
+
+  // FileStorage: a journal line cut short by a crash and everything after
+  // it are ignored
+  const tornFs = createMemoryFs();
+  const crashed = new FileStorage({ filepath: "todo.json", fsModule: tornFs });
+  await crashed.init();
+  await crashed.addTodo({ title: "kept" });
+  tornFs.files.set(
+    "todo.json.journal",
+    tornFs.files.get("todo.json.journal") +
+      '{"seq":2,"kind":"todo","id":"cut\n{"seq":3,"kind":"tag","id":"t1",' +
+      '"value":{"id":"t1","name":"late"}}\n'
+  );
+  const replayed = new FileStorage({ filepath: "todo.json", fsModule: tornFs });
+  await replayed.init();
+  assert.deepEqual(
+    (await replayed.getAllTodos()).map((todo) => todo.title),
+    ["kept"]
+  );
+  assert.deepEqual(await replayed.getAllTags(), []);
+  await replayed.close();
+  assert.equal(tornFs.files.has("todo.json.journal"), false);
+  assert.equal(JSON.parse(tornFs.files.get("todo.json")).todos.length, 1);
+
+  // FileStorage: journal entries already in the file are not applied again
+  // (a crash between writing the file and removing the journal)
+  const staleFs = createMemoryFs();
+  const flushed = new FileStorage({ filepath: "todo.json", fsModule: staleFs });
+  await flushed.init();
+  const todo = await flushed.addTodo({ title: "flushed" });
+  await flushed.flush();
+  assert.equal(JSON.parse(staleFs.files.get("todo.json")).journalSeq, 1);
+  staleFs.files.set(
+    "todo.json.journal",
+    JSON.stringify({ seq: 1, kind: "todo", id: todo.id, value: null }) + "\n"
+  );
+  const reread = new FileStorage({ filepath: "todo.json", fsModule: staleFs });
+  await reread.init();
+  assert.equal((await reread.getTodoById(todo.id)).title, "flushed");
+  await reread.close();
+
+  // FileStorage: mode 'autosave' writes the file once changes stop
+  const autosaveFs = createMemoryFs();
+  const autosaved = new FileStorage({
+    filepath: "todo.json",
+    mode: "autosave",
+    autosaveDelayMs: 20,
+    fsModule: autosaveFs,
+  });
+  await autosaved.init();
+  await autosaved.addTodo({ title: "one" });
+  await autosaved.addTodo({ title: "two" });
+  assert.equal(autosaveFs.files.has("todo.json"), false, "not saved yet");
+  await new Promise((resolve) => setTimeout(resolve, 100));
+  const saved = JSON.parse(autosaveFs.files.get("todo.json"));
+  assert.deepEqual(
+    saved.todos.map((t) => t.title),
+    ["one", "two"]
+  );
+  assert.equal(saved.journalSeq, 2);
+  assert.equal(autosaveFs.files.has("todo.json.journal"), false);
+  await autosaved.close();
+
+  await fs.rm(tmpBase, { recursive: true, force: true });
+  console.log(
+    `Storage contract tests passed ✅ (${BACKENDS.map((b) => b.name).join(
+      ", "
+    )})`
+  );
+}
+
+runTests().catch((err) => {
+  console.error("Storage contract tests failed ❌");
+  console.error(err);
+  process.exitCode = 1;
+});
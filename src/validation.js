@@ -0,0 +1,90 @@
+// src/validation.js
+"use strict";
+
+const {
+  normalizeTitle,
+  normalizePriority,
+  normalizeDueDate,
+  normalizeRemindAt,
+  normalizeItems,
+  normalizeListId,
+  normalizeTagRefs,
+} = require("./storage/todoFields.js");
+const { normalizeRecurrence } = require("./storage/recurrence.js");
+
+/**
+ * Checks todo input for Database before it reaches a storage, so both
+ * backends refuse the same things and a caller hears about every bad
+ * field at once instead of the first one a storage trips over. Whether a
+ * list or tag id exists is still up to the storage.
+ */
+
+// field -> check that throws on a bad value
+const FIELD_CHECKS = {
+  title: (value) => normalizeTitle(value),
+  description: (value) => {
+    if (typeof value !== "string") {
+      throw new Error("description must be text");
+    }
+  },
+  done: (value) => {
+    if (typeof value !== "boolean")
+      throw new Error("done must be true or false");
+  },
+  priority: (value) => normalizePriority(value),
+  dueDate: normalizeDueDate,
+  remindAt: normalizeRemindAt,
+  recurrence: normalizeRecurrence,
+  items: (value) => normalizeItems(value, { generateId: () => "" }),
+  listId: (value) => normalizeListId(value),
+  tags: normalizeTagRefs,
+};
+
+/**
+ * Thrown by validateTodo(). `errors` maps each bad field to its message,
+ * e.g. { title: "title must not be empty" }.
+ */
+class ValidationError extends Error {
+  constructor(errors) {
+    super(Object.values(errors).join("; "));
+    this.name = "ValidationError";
+    this.code = "VALIDATION";
+    this.errors = errors;
+  }
+}
+
+/**
+ * The problems with `todoData` as { field: message }, {} when there are
+ * none. Fields that are undefined or unknown are not checked, except the
+ * title when adding (`partial` false).
+ */
+function todoErrors(todoData, { partial = false } = {}) {
+  const data = todoData || {};
+  const errors = {};
+  for (const [field, check] of Object.entries(FIELD_CHECKS)) {
+    if (data[field] === undefined && (partial || field !== "title")) continue;
+    try {
+      check(data[field]);
+    } catch (err) {
+      errors[field] = err.message;
+    }
+  }
+  return errors;
+}
+
+/**
+ * Throws a ValidationError when todoErrors() finds anything; otherwise
+ * returns a copy of `todoData` with its title trimmed.
+ *
+ * options:
+ *  - partial: a patch for updateTodo, where every field may be left out
+ */
+function validateTodo(todoData, options = {}) {
+  const errors = todoErrors(todoData, options);
+  if (Object.keys(errors).length > 0) throw new ValidationError(errors);
+  const data = { ...todoData };
+  if (data.title !== undefined) data.title = normalizeTitle(data.title);
+  return data;
+}
+
+module.exports = { ValidationError, todoErrors, validateTodo };